@@ -1,153 +1,117 @@
 // netlify/functions/rule-lookup.js
+//   ?rule=fear            → one parsed rule, or 404 { error, slug } (504 on upstream timeout)
+//   ?rules=fear,fly,...   → { rules: { fear: {...}, fly: { error, slug } } } (always 200;
+//                           `retry: true` marks a timeout or network error rather than a missing rule)
+// Results are cached (found: 7 days, not found: 1 day) and each upstream fetch has a timeout.
 
-exports.handler = async function (event) {
-  const CORS = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Content-Type": "application/json",
-  };
+const { parseRulePage } = require("../lib/rule-page.cjs");
+const { createDefaultCache } = require("../lib/rule-cache.cjs");
 
-  if (event.httpMethod === "OPTIONS") {
-    return { statusCode: 200, headers: CORS, body: "" };
-  }
+const FOUND_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = Number(process.env.RULE_FETCH_TIMEOUT_MS) || 8000;
+const MAX_BATCH = 100;
+const BATCH_CONCURRENCY = 4;
 
-  const rule = event.queryStringParameters?.rule;
-  if (!rule) {
-    return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: "No rule slug provided" }) };
-  }
+// Module scope so warm invocations share it. Swap with setCache (e.g. a Netlify Blobs store).
+let cache = createDefaultCache();
+
+function setCache(store) {
+  cache = store;
+}
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Content-Type": "application/json",
+};
+
+async function fetchRulePage(url) {
+  const res = await fetch(url, {
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+      "Accept": "text/html",
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  return res.ok ? res.text() : null;
+}
+
+// Returns the parsed rule, or { error, slug } when no candidate page exists.
+// Timeouts and network errors are not cached, so the next request retries.
+async function lookupRule(slug) {
+  const cached = await cache.get(`rule:${slug}`);
+  if (cached) return cached;
 
   const candidates = [
-    `https://tow.whfb.app/special-rules/${rule}`,
-    `https://tow.whfb.app/rules/special-rules/${rule}`,
-    `https://tow.whfb.app/rules/${rule}`,
+    `https://tow.whfb.app/special-rules/${slug}`,
+    `https://tow.whfb.app/rules/special-rules/${slug}`,
+    `https://tow.whfb.app/rules/${slug}`,
   ];
 
-  let html = null;
-  let sourceUrl = null;
-
+  let failed = false;
   for (const url of candidates) {
     try {
-      const res = await fetch(url, {
-        headers: {
-          "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-          "Accept": "text/html",
-        },
-      });
-      if (res.ok) {
-        html = await res.text();
-        sourceUrl = url;
-        break;
+      const html = await fetchRulePage(url);
+      if (html) {
+        const parsed = parseRulePage(html, url, slug);
+        await cache.set(`rule:${slug}`, parsed, FOUND_TTL_MS);
+        return parsed;
       }
-    } catch (_) {}
-  }
-
-  if (!html) {
-    return {
-      statusCode: 404,
-      headers: CORS,
-      body: JSON.stringify({ error: "Rule not found", slug: rule }),
-    };
+    } catch (_) {
+      failed = true;
+    }
   }
 
-  const parsed = parseRulePage(html, sourceUrl, rule);
-  return { statusCode: 200, headers: CORS, body: JSON.stringify(parsed) };
-};
+  if (failed) return { error: "Rule lookup failed", slug, retry: true };
+  const notFound = { error: "Rule not found", slug };
+  await cache.set(`rule:${slug}`, notFound, NOT_FOUND_TTL_MS);
+  return notFound;
+}
 
-function parseRulePage(html, sourceUrl, slug) {
-  const result = { sourceUrl };
+async function lookupBatch(slugs) {
+  const results = {};
+  const queue = [...slugs];
+  const worker = async () => {
+    while (queue.length) {
+      const slug = queue.shift();
+      results[slug] = await lookupRule(slug);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, queue.length) }, worker));
+  return results;
+}
 
-  // Pretty rule name from slug as fallback
-  const prettyName = slug.split("-").map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
-  result.name = prettyName;
+function cleanSlug(slug) {
+  return (slug || "").toLowerCase().replace(/[^a-z0-9-]/g, "");
+}
 
-  // Try to get real rule name from h1 — but reject if it's the site title
-  const h1Match = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-  if (h1Match) {
-    const h1Text = stripTags(h1Match[1]).trim();
-    if (h1Text.length > 2 && !h1Text.toLowerCase().includes("online rules index") && !h1Text.toLowerCase().includes("warhammer: the old world")) {
-      result.name = h1Text;
-    }
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers: CORS, body: "" };
   }
 
-  // Strip all tags to get a plain text version to work with
-  const plainText = html
-    .replace(/<script[\s\S]*?<\/script>/gi, "")
-    .replace(/<style[\s\S]*?<\/style>/gi, "")
-    .replace(/<br\s*\/?>/gi, "\n")
-    .replace(/<\/p>/gi, "\n")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&nbsp;/g, " ")
-    .replace(/&quot;/g, '"')
-    .replace(/&#\d+;/g, "")
-    .replace(/[ \t]{2,}/g, " ")
-    .split("\n")
-    .map(l => l.trim())
-    .filter(l => l.length > 0)
-    .join("\n");
-
-  // The key pattern: tow.whfb.app always has "Rulebook, p. XXX · [rule text]"
-  // OR the text appears right after the page reference line
-  // Find "Rulebook, p. NNN" and grab everything after the · separator
-  const rulebookMatch = plainText.match(/Rulebook,?\s*p\.\s*\d+\s*[·•]\s*([\s\S]+?)(?=\n(?:Back|Source:|Table of Contents|Last update|New FAQ|Special Rules Table|Cumulative)|$)/i);
-
-  if (rulebookMatch) {
-    const pageRefMatch = plainText.match(/Rulebook,?\s*p\.\s*\d+/i);
-    if (pageRefMatch) result.pageRef = pageRefMatch[0];
-
-    const bodyLines = rulebookMatch[1]
-      .split("\n")
-      .map(l => l.trim())
-      .filter(l =>
-        l.length > 10 &&
-        !l.match(/^back$/i) &&
-        !l.match(/^source:/i) &&
-        !l.match(/^last update/i) &&
-        !l.match(/^table of contents/i) &&
-        !l.match(/online rules index/i) &&
-        !l.match(/^new faq/i)
-      );
-
-    if (bodyLines.length) {
-      result.body = bodyLines.join(" ").replace(/\s{2,}/g, " ").trim();
-      return result;
+  const params = event.queryStringParameters || {};
+
+  if (params.rules) {
+    const slugs = [...new Set(params.rules.split(",").map(cleanSlug).filter(Boolean))];
+    if (slugs.length > MAX_BATCH) {
+      return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: `At most ${MAX_BATCH} rules per request` }) };
     }
+    const rules = await lookupBatch(slugs);
+    return { statusCode: 200, headers: { ...CORS, "Cache-Control": "public, max-age=3600" }, body: JSON.stringify({ rules }) };
   }
 
-  // Fallback: find the rule name in plain text, then grab the paragraph after it
-  const nameIdx = plainText.indexOf(result.name);
-  if (nameIdx !== -1) {
-    const afterName = plainText.slice(nameIdx + result.name.length);
-    // Skip page ref line, grab the meaty paragraph
-    const paragraphs = afterName
-      .split("\n")
-      .map(l => l.trim())
-      .filter(l =>
-        l.length > 40 &&
-        !l.match(/^back$/i) &&
-        !l.match(/^source:/i) &&
-        !l.match(/online rules index/i) &&
-        !l.match(/table of contents/i) &&
-        !l.match(/^last update/i)
-      );
-
-    if (paragraphs.length) {
-      result.body = paragraphs[0];
-    }
+  const rule = cleanSlug(params.rule);
+  if (!rule) {
+    return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: "No rule slug provided" }) };
   }
 
-  return result;
-}
+  const result = await lookupRule(rule);
+  if (result.error) {
+    return { statusCode: result.retry ? 504 : 404, headers: CORS, body: JSON.stringify(result) };
+  }
+  return { statusCode: 200, headers: { ...CORS, "Cache-Control": "public, max-age=3600" }, body: JSON.stringify(result) };
+};
 
-function stripTags(str) {
-  return str
-    .replace(/<[^>]+>/g, " ")
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&nbsp;/g, " ")
-    .replace(/\s{2,}/g, " ")
-    .trim();
-}
+exports.setCache = setCache;
@@ -0,0 +1,93 @@
+// netlify/lib/rule-cache.cjs
+// Pluggable cache for the rule-lookup function. A store is any object with
+//   async get(key) → value | null      (expired entries must come back as null)
+//   async set(key, value, ttlMs)
+// Stores provided here: in-memory (per warm container), file-backed (RULE_CACHE_DIR, default
+// the OS temp dir), and an adapter for a Netlify Blobs store. createTieredCache checks stores
+// in order and back-fills the faster ones on a hit.
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+function createMemoryCache({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      if (Date.now() > hit.expires) {
+        entries.delete(key);
+        return null;
+      }
+      return hit.value;
+    },
+    async set(key, value, ttlMs) {
+      if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+    },
+  };
+}
+
+function createFileCache(dir = process.env.RULE_CACHE_DIR || path.join(os.tmpdir(), "rule-lookup-cache")) {
+  const fileFor = (key) => path.join(dir, `${key.replace(/[^a-z0-9_-]/gi, "_")}.json`);
+  return {
+    async get(key) {
+      try {
+        const { value, expires } = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        return Date.now() > expires ? null : value;
+      } catch (_) {
+        return null;
+      }
+    },
+    async set(key, value, ttlMs) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(fileFor(key), JSON.stringify({ value, expires: Date.now() + ttlMs }));
+      } catch (_) {
+        // Read-only filesystem: the memory tier still works.
+      }
+    },
+  };
+}
+
+// Adapter for a Netlify Blobs store, e.g. createBlobsCache(getStore("rule-lookup")).
+function createBlobsCache(store) {
+  return {
+    async get(key) {
+      const hit = await store.get(key, { type: "json" });
+      if (!hit || Date.now() > hit.expires) return null;
+      return hit.value;
+    },
+    async set(key, value, ttlMs) {
+      await store.setJSON(key, { value, expires: Date.now() + ttlMs });
+    },
+  };
+}
+
+function createTieredCache(...stores) {
+  return {
+    async get(key) {
+      for (let i = 0; i < stores.length; i++) {
+        const value = await stores[i].get(key);
+        if (value != null) {
+          // Back-fill faster tiers for the rest of this container's life.
+          await Promise.all(stores.slice(0, i).map((s) => s.set(key, value, 5 * 60 * 1000)));
+          return value;
+        }
+      }
+      return null;
+    },
+    async set(key, value, ttlMs) {
+      await Promise.all(stores.map((s) => s.set(key, value, ttlMs)));
+    },
+  };
+}
+
+// Default cache: memory in front of the file store. Set RULE_CACHE=memory to skip the file tier.
+function createDefaultCache() {
+  if (process.env.RULE_CACHE === "memory") return createMemoryCache();
+  return createTieredCache(createMemoryCache(), createFileCache());
+}
+
+module.exports = { createMemoryCache, createFileCache, createBlobsCache, createTieredCache, createDefaultCache };
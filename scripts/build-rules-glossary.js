@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Builds public/data/special-rules.json (the offline Rules Glossary) from tow.whfb.app rule pages,
+ * using the same parseRulePage as the rule-lookup Netlify function.
+ *
+ * Usage:
+ *   node scripts/build-rules-glossary.js --from <dir>     ingest saved pages (<slug>.html)
+ *   node scripts/build-rules-glossary.js --crawl          fetch the special rules index and every rule page
+ *   node scripts/build-rules-glossary.js --crawl --slugs fear,hatred,fly
+ *
+ * --crawl also fetches every rule named in public/data/units.json. Existing entries are kept
+ * unless a page for the same slug is parsed again, so runs can be repeated or combined.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import { parseRulePage } from '../netlify/lib/rule-page.cjs'
+import { parseRuleList } from '../src/lib/rulesGlossary.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const OUT_PATH = join(__dirname, '../public/data/special-rules.json')
+const UNITS_PATH = join(__dirname, '../public/data/units.json')
+const SITE = 'https://tow.whfb.app'
+const INDEX_URL = `${SITE}/special-rules`
+const FETCH_TIMEOUT_MS = 15000
+const CRAWL_DELAY_MS = 300
+
+const args = process.argv.slice(2)
+function argValue(name) {
+  const i = args.indexOf(name)
+  return i !== -1 ? args[i + 1] : null
+}
+
+function loadExisting() {
+  if (!existsSync(OUT_PATH)) return {}
+  try {
+    return JSON.parse(readFileSync(OUT_PATH, 'utf8')).rules || {}
+  } catch {
+    return {}
+  }
+}
+
+async function fetchText(url) {
+  const res = await fetch(url, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; tow-army-builder glossary)', Accept: 'text/html' },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  })
+  if (!res.ok) return null
+  return res.text()
+}
+
+function slugsFromUnits() {
+  const slugs = new Set()
+  try {
+    const units = JSON.parse(readFileSync(UNITS_PATH, 'utf8'))
+    for (const list of Object.values(units)) {
+      for (const u of list) {
+        for (const r of parseRuleList(u.specialRules || [])) {
+          if (r.slug) slugs.add(r.slug)
+        }
+      }
+    }
+  } catch (e) {
+    console.warn('Could not read units.json:', e.message)
+  }
+  return slugs
+}
+
+/** Parse one page; returns a glossary entry or null when the page has no rule text. */
+function toEntry(html, sourceUrl, slug) {
+  const parsed = parseRulePage(html, sourceUrl, slug)
+  if (!parsed.body) return null
+  const entry = { name: parsed.name, body: parsed.body, sourceUrl: parsed.sourceUrl }
+  if (parsed.pageRef) entry.pageRef = parsed.pageRef
+  return entry
+}
+
+function ingestDir(dir, rules, report) {
+  for (const file of readdirSync(dir).filter((f) => f.endsWith('.html')).sort()) {
+    const slug = basename(file, '.html')
+    const entry = toEntry(readFileSync(join(dir, file), 'utf8'), `${SITE}/special-rules/${slug}`, slug)
+    if (entry) {
+      rules[slug] = entry
+      report.added.push(slug)
+    } else {
+      report.skipped.push(slug)
+    }
+  }
+}
+
+async function crawl(rules, report) {
+  const only = argValue('--slugs')
+  let slugs
+  if (only) {
+    slugs = new Set(only.split(',').map((s) => s.trim()).filter(Boolean))
+  } else {
+    slugs = slugsFromUnits()
+    const index = await fetchText(INDEX_URL)
+    if (index) {
+      for (const m of index.matchAll(/href="(?:https:\/\/tow\.whfb\.app)?\/(?:rules\/)?special-rules\/([a-z0-9-]+)"/g)) slugs.add(m[1])
+    } else {
+      console.warn(`Could not fetch ${INDEX_URL}; using rule names from units.json only.`)
+    }
+  }
+  console.log(`Crawling ${slugs.size} rules…`)
+  for (const slug of [...slugs].sort()) {
+    const candidates = [`${SITE}/special-rules/${slug}`, `${SITE}/rules/special-rules/${slug}`, `${SITE}/rules/${slug}`]
+    let entry = null
+    for (const url of candidates) {
+      try {
+        const html = await fetchText(url)
+        if (html) entry = toEntry(html, url, slug)
+      } catch (e) {
+        console.warn(`  ${slug}: ${e.message}`)
+      }
+      if (entry) break
+    }
+    if (entry) {
+      rules[slug] = entry
+      report.added.push(slug)
+    } else {
+      report.skipped.push(slug)
+    }
+    await new Promise((r) => setTimeout(r, CRAWL_DELAY_MS))
+  }
+}
+
+const fromDir = argValue('--from')
+if (!fromDir && !args.includes('--crawl')) {
+  console.error('Usage: node scripts/build-rules-glossary.js --from <dir> | --crawl [--slugs a,b,c]')
+  process.exit(1)
+}
+
+const rules = loadExisting()
+const report = { added: [], skipped: [] }
+if (fromDir) ingestDir(fromDir, rules, report)
+if (args.includes('--crawl')) await crawl(rules, report)
+
+// Nothing parsed (site unreachable, wrong --from dir): leave the file alone rather than stamp an empty glossary as generated
+if (!report.added.length) {
+  console.error(`No rule pages parsed${report.skipped.length ? ` (skipped: ${report.skipped.join(', ')})` : ''}; ${OUT_PATH} left unchanged.`)
+  process.exit(1)
+}
+
+const sorted = Object.fromEntries(Object.entries(rules).sort(([a], [b]) => a.localeCompare(b)))
+const out = {
+  _note: 'Generated by scripts/build-rules-glossary.js from the Warhammer: The Old World online rules index. Keyed by rule slug.',
+  _generatedAt: new Date().toISOString(),
+  rules: sorted,
+}
+writeFileSync(OUT_PATH, JSON.stringify(out, null, 2) + '\n', 'utf8')
+console.log(`Parsed ${report.added.length} rules, skipped ${report.skipped.length} without rule text.`)
+if (report.skipped.length) console.log('Skipped:', report.skipped.join(', '))
+console.log(`${Object.keys(sorted).length} rules in ${OUT_PATH}`)
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Loads public/data (factions.json, units.json, items.json, armyItems.json, rules.json) into the
+ * Supabase tables created by supabase/migrations. Safe to re-run: rows are matched on their natural
+ * keys, only new or changed rows are written, and every row is reported as added, updated or unchanged.
+ * Rows in the database that aren't in the JSON are counted but left alone.
+ *
+ * Usage:
+ *   node --env-file=.env.local scripts/seed-supabase.js
+ *   node scripts/seed-supabase.js --dry-run             report what would change, write nothing
+ *   node scripts/seed-supabase.js --only units,factions
+ *
+ * Needs SUPABASE_URL (or VITE_SUPABASE_URL) and SUPABASE_SERVICE_ROLE_KEY: the reference tables
+ * are read-only to the app's anon key, so seeding uses the service role.
+ */
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { createClient } from '@supabase/supabase-js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const DATA_DIR = join(__dirname, '../public/data')
+const PAGE_SIZE = 1000
+
+const args = process.argv.slice(2)
+function argValue(name) {
+  const i = args.indexOf(name)
+  return i !== -1 ? args[i + 1] : null
+}
+const dryRun = args.includes('--dry-run')
+const only = argValue('--only')?.split(',').map((s) => s.trim())
+
+const readData = (file) => JSON.parse(readFileSync(join(DATA_DIR, file), 'utf8'))
+
+// Same comparison both ways round: keys sorted, so jsonb's reordering doesn't count as a change
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]))
+  }
+  return value
+}
+const same = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b))
+
+/**
+ * Each table: the natural key columns (the upsert conflict target), how to label a row in the
+ * report, and the rows the JSON files describe.
+ */
+const TABLES = [
+  {
+    table: 'factions',
+    key: ['id'],
+    label: (r) => r.id,
+    rows: () => Object.entries(readData('factions.json')).map(([id, config]) => ({ id, config })),
+  },
+  {
+    table: 'units',
+    key: ['faction_id', 'unit_id'],
+    label: (r) => `${r.faction_id}/${r.unit_id}`,
+    rows: () => Object.entries(readData('units.json')).flatMap(([factionId, units]) =>
+      units.map((u) => ({ faction_id: factionId, unit_id: u.id, category: u.category, name: u.name, data: u }))),
+  },
+  {
+    table: 'magic_items',
+    key: ['army', 'slot', 'name'],
+    label: (r) => `${r.army || 'common'}/${r.slot}/${r.name}`,
+    rows: () => {
+      const itemRow = (army, slot, { name, pts, ...details }) => ({
+        army, slot, name, pts: pts ?? 0, details: Object.keys(details).length ? details : null,
+      })
+      const common = Object.entries(readData('items.json'))
+        .flatMap(([slot, items]) => items.map((i) => itemRow('', slot, i)))
+      // Keys starting with "_" (e.g. _factionRules) describe item access, not items
+      const army = Object.entries(readData('armyItems.json'))
+        .filter(([key]) => !key.startsWith('_'))
+        .flatMap(([key, slots]) => Object.entries(slots).flatMap(([slot, items]) => items.map((i) => itemRow(key, slot, i))))
+      return [...common, ...army]
+    },
+  },
+  {
+    table: 'house_rules',
+    key: ['faction', 'rule'],
+    label: (r) => `${r.faction}: ${r.rule.length > 60 ? `${r.rule.slice(0, 60)}…` : r.rule}`,
+    rows: () => readData('rules.json').map(({ faction, rule }) => ({ faction, rule })),
+  },
+]
+
+async function fetchAll(supabase, table) {
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase.from(table).select('*').range(from, from + PAGE_SIZE - 1)
+    if (error) throw new Error(`${table}: ${error.message}`)
+    rows.push(...data)
+    if (data.length < PAGE_SIZE) return rows
+  }
+}
+
+async function seedTable(supabase, { table, key, label, rows }) {
+  const wanted = rows()
+  const keyOf = (r) => JSON.stringify(key.map((k) => r[k]))
+  const existing = new Map((await fetchAll(supabase, table)).map((r) => [keyOf(r), r]))
+
+  const counts = { added: 0, updated: 0, unchanged: 0 }
+  const writes = []
+  const seen = new Set()
+  for (const row of wanted) {
+    const k = keyOf(row)
+    if (seen.has(k)) {
+      console.log(`  ! ${label(row)} (duplicate in JSON, skipped)`)
+      continue
+    }
+    seen.add(k)
+    const current = existing.get(k)
+    const status = !current ? 'added' : Object.keys(row).every((c) => same(row[c], current[c])) ? 'unchanged' : 'updated'
+    counts[status]++
+    console.log(`  ${{ added: '+', updated: '~', unchanged: '=' }[status]} ${label(row)} (${status})`)
+    if (status !== 'unchanged') writes.push(row)
+  }
+
+  if (writes.length && !dryRun) {
+    const { error } = await supabase.from(table).upsert(writes, { onConflict: key.join(',') })
+    if (error) throw new Error(`${table}: ${error.message}`)
+  }
+  const extra = [...existing.keys()].filter((k) => !seen.has(k)).length
+  console.log(
+    `${table}: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged` +
+    `${extra ? `, ${extra} not in JSON (kept)` : ''}${dryRun && writes.length ? ' [dry run, nothing written]' : ''}\n`
+  )
+  return counts
+}
+
+async function main() {
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+  if (!url || !serviceKey) {
+    console.error('Set SUPABASE_URL (or VITE_SUPABASE_URL) and SUPABASE_SERVICE_ROLE_KEY.')
+    process.exit(1)
+  }
+  const supabase = createClient(url, serviceKey, { auth: { persistSession: false } })
+
+  const tables = only ? TABLES.filter((t) => only.includes(t.table)) : TABLES
+  if (!tables.length) {
+    console.error(`--only matched no table (${TABLES.map((t) => t.table).join(', ')})`)
+    process.exit(1)
+  }
+  // In TABLES order, so factions exist before the units that reference them
+  for (const t of tables) {
+    console.log(`Seeding ${t.table}…`)
+    await seedTable(supabase, t)
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message)
+  process.exit(1)
+})
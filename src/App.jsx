@@ -5,7 +5,7 @@ import {
   setGoogleDriveConfig,
   clearGoogleDriveCache,
 } from "./lib/googleDriveLoader";
-import { getNewRecruitWikiUrl } from "./lib/unitVerification";
+import { getNewRecruitWikiUrl, buildDataHealthReport, mergeOverrideFix } from "./lib/unitVerification";
 import {
   writeSnapshot, readSnapshot,
   downloadBackup, parseBackupFile,
@@ -14,10 +14,39 @@ import {
   getDriveClientId, setDriveClientId,
   formatAge,
 } from "./lib/driveBackup";
-import { isBsdataEnabled, setBsdataEnabled, clearBsdataCache } from "./lib/bsdataLoader";
-import { isDatasetEnabled, setDatasetEnabled, clearDatasetCache } from "./lib/datasetLoader";
+import { isBsdataEnabled, setBsdataEnabled, clearBsdataCache, readRosterBytes } from "./lib/bsdataLoader";
+import {
+  isDatasetEnabled, setDatasetEnabled, clearDatasetCache,
+  loadDatasetManifest, setDatasetFactionOverride,
+} from "./lib/datasetLoader";
+import { getFactionComposition, validateComposition, canBeGeneral, canBeBSB, getListRoles, getAllyComposition, validateAllies, isAllied } from "./lib/composition";
+import {
+  MAGIC_ITEM_SLOTS, MAGIC_SLOT_LABELS, getAllowedSlots, getMagicItemBudget, getBsbBannerBudget, getRelicSlot,
+  calcMagicItemsCost, validateMagicItems, itemTakenBy,
+} from "./lib/magicItems";
 import GameView from "./GameView";
+import RulesGlossaryView from "./RulesGlossaryView";
+import LoreBlock from "./LoreBlock";
+import { findLore, findUnmatchedLoreKeys } from "./lib/lore";
+import { joinProblem, getJoinedCharacters } from "./lib/joining";
+import { getWizardData, getEntryWizardLevel, getWizardLevelCost, getEntryLore, migrateWizardEntry, loreName } from "./lib/magic";
+import { readTrash, moveToTrash, dropFromTrash, reconcileTrash, daysLeft, TRASH_DAYS } from "./lib/listTrash";
+import { diffLists, versionSnapshot } from "./lib/listDiff";
+import { parseListText, matchImportedList } from "./lib/listImport";
+import { copyToClipboard, entryDetails } from "./lib/listExport";
+import { isSupabaseEnabled, getSessionUser, signInWithEmail, signOut, onAuthChange } from "./lib/supabase";
+import {
+  queueChanges, seedQueueForUser, flushQueue, pullUserData, pendingCount,
+  withRuleIds, layerOverrides, readCampaignCache, localDataOwner, resetUserSync,
+} from "./lib/userDataSync";
+import {
+  queueListChanges, seedListQueueForUser, localListsOwner, resetListSync, pendingListIds, flushLists, pullLists,
+  reconcileRow, resolveConflicts, subscribeLists,
+} from "./lib/listSync";
+import { buildSharePayload, encodeShare, decodeShare, shareUrl, readShareHash, clearShareHash } from "./lib/shareLink";
+import { parseWeapons } from "./lib/weapons";
 import MapView from "./MapView";
+import ExportMenu from "./ExportMenu";
 
 // ═══════════════════════════════════════════════════════════════
 // CONSTANTS & HELPERS (data loaded from dataService)
@@ -63,11 +92,35 @@ const UNIT_CATEGORIES = [
   "Custom",
 ];
 
+// Where a unit definition came from (set by dataService; "custom" = created in Manage Data)
+const UNIT_SOURCES = {
+  local:    { label: "JSON",    color: "#9ca3af", title: "Bundled units.json" },
+  supabase: { label: "DB",      color: "#34d399", title: "Supabase" },
+  dataset:  { label: "Dataset", color: "#a78bfa", title: "Dataset JSON (datasets/manifest.json)" },
+  bsdata:   { label: "BSData",  color: "#60a5fa", title: "BattleScribe catalogue" },
+  drive:    { label: "Drive",   color: "#fbbf24", title: "Google Drive custom data" },
+  custom:   { label: "Custom",  color: "#f472b6", title: "Created in Manage Data" },
+  campaign: { label: "Campaign", color: "#fb923c", title: "Campaign organiser's custom unit (Supabase)" },
+};
+
+function UnitSourceBadge({ unit }) {
+  const src = UNIT_SOURCES[unit.source] || UNIT_SOURCES.local;
+  return (
+    <span title={src.title} style={{
+      fontSize: 9, padding: "0 4px", borderRadius: 3, border: `1px solid ${src.color}55`,
+      color: src.color, fontFamily: "'Segoe UI', sans-serif", letterSpacing: 0.5,
+    }}>
+      {src.label}
+    </span>
+  );
+}
+
 
 const STORAGE_KEY = "tow-campaign-army-lists";
 const CUSTOM_UNITS_KEY = "tow-campaign-custom-units";
 const OVERRIDES_KEY = "tow-campaign-unit-overrides";
 const CUSTOM_RULES_KEY = "tow-campaign-house-rules-custom";
+const HISTORY_LIMIT = 50; // undo steps kept for army list edits (this session only)
 
 // ═══════════════════════════════════════════════════════════════
 // UNIT OVERRIDE SYSTEM
@@ -203,9 +256,6 @@ function applyAllOverrides(units, overrides) {
   });
 }
 
-const MAGIC_ITEM_SLOTS = ["weapons", "armour", "talismans", "enchanted", "arcane", "banners"];
-const MAGIC_SLOT_LABELS = { weapons: "⚔️ Weapon", armour: "🛡 Armour", talismans: "✦ Talisman", enchanted: "✨ Enchanted", arcane: "🔮 Arcane", banners: "🚩 Banner" };
-
 const ENCHANTED_ARROWS = [
   { name: "Moonfire Shot", ptsPerModel: 1, ptsFlat: 3 },
   { name: "Trueflight Arrows", ptsPerModel: 1, ptsFlat: 3 },
@@ -233,82 +283,31 @@ function unitHasDatasetArrowOptions(unitDef) {
   return unitDef.upgrades.some(u => u.exclusive && ARROW_OPTION_NAMES.has(u.name.toLowerCase()));
 }
 
-// ── Named character magic item budgets ──────────────────────────
-// Add new named characters here; budget 0 = relic only.
-const NAMED_CHAR_BUDGETS = {
-  "gareth":      100, // Glade Lord → Lord tier
-  "daedilae":    100, // High Priestess of Kul Anar → Lord tier
-  "caerwynne":   100, // High Priestess (Shadow Dancer) → Lord tier
-  "rephal":       50, // Khainite Assassin → Hero tier
-  "dûgalathir":    0, // Watcher of the Void — relic only
-  "dugalathir":    0, // ASCII fallback
-  "elenornath":    0, // Watcher of the Stars — relic only
-};
-
-function getNamedCharBudget(unitDef) {
-  const nameLower = (unitDef.name || "").toLowerCase();
-  for (const [key, budget] of Object.entries(NAMED_CHAR_BUDGETS)) {
-    if (nameLower.startsWith(key)) return budget;
-  }
-  return null; // unknown — fall through to generic logic
-}
-
-// Determine which magic item slots a character can access
-function getAllowedSlots(unitDef) {
-  if (!unitDef?.isCharacter) return [];
-  if (unitDef.allowedSlots) return unitDef.allowedSlots;
-  // Named characters with 0 budget → no slots (relic only)
-  if (unitDef.category === "Named Characters" || unitDef.troopType?.includes("named")) {
-    const budget = getNamedCharBudget(unitDef);
-    if (budget === 0) return [];
-    // budget > 0: fall through to auto-detect
-  }
-  const slots = [];
-  const notes = (unitDef.notes || "").toLowerCase();
-  const rules = (unitDef.specialRules || []).join(" ").toLowerCase();
-  const isWizard = rules.includes("wizard") || notes.includes("wizard") || notes.includes("lore");
-  const isTreeSpirit = rules.includes("tree spirit");
-  const isBSBCapable = notes.includes("bsb") || notes.includes("battle standard");
-  slots.push("weapons", "talismans", "enchanted");
-  if (!isWizard && !isTreeSpirit) slots.push("armour");
-  if (isWizard) slots.push("arcane");
-  if (isBSBCapable) slots.push("banners");
-  return slots;
-}
-
-// Magic item point limits
-function getMagicItemBudget(unitDef) {
-  if (!unitDef?.isCharacter) return 0;
-  if (unitDef.magicItemBudget != null) return unitDef.magicItemBudget;
-  const match = unitDef.notes?.match(/Magic Items?\s*\((\d+)\s*pts?\)/i);
-  if (match) return parseInt(match[1]);
-  if (unitDef.category === "Named Characters" || unitDef.troopType?.includes("named")) {
-    const budget = getNamedCharBudget(unitDef);
-    return budget !== null ? budget : 50; // unknown named char → hero tier default
+// Full points cost of a list entry: models, upgrades, arrows, magic items and wizard level
+function calcEntryCost(entry, unitDef) {
+  const modelCount = entry.modelCount || 1;
+  const usesPerModel = ARROWS_PER_MODEL_UNITS.includes(unitDef.id);
+  const arrowCost = entry.arrows
+    ? (usesPerModel ? (entry.arrows.ptsPerModel || 0) * modelCount : (entry.arrows.ptsFlat || 0))
+    : 0;
+  // Calculate upgrade costs (per-model upgrades × modelCount)
+  const upgradeDefs = unitDef.upgrades || [];
+  const activeUpgrades = entry.activeUpgrades || [];
+  const upgradeCost = upgradeDefs
+    .filter(u => activeUpgrades.includes(u.id))
+    .reduce((sum, u) => sum + (u.perModel ? (u.pts || 0) * modelCount : (u.pts || 0)), 0);
+  // Calculate command magic items cost
+  const commandMagicItems = entry.commandMagicItems || {};
+  const commandMagicCost = Object.values(commandMagicItems).reduce((sum, items) => {
+    return sum + Object.values(items || {}).reduce((s, item) => s + (item?.pts || 0), 0);
+  }, 0);
+  const wizardCost = getWizardLevelCost(entry, unitDef);
+  if (unitDef.isCharacter) {
+    return (unitDef.ptsCost || 0) + calcMagicItemsCost(entry.magicItems) + arrowCost + upgradeCost + commandMagicCost + wizardCost;
   }
-  if (unitDef.category === "Lords") return 100;
-  if (unitDef.category === "Heroes") return 50;
-  return 0;
+  return ((unitDef.ptsPerModel || 0) * modelCount) + arrowCost + upgradeCost + commandMagicCost + wizardCost;
 }
 
-// Map a relic's type string to its magic item slot
-function getRelicSlot(relic) {
-  if (!relic || relic.name === "TBD") return null;
-  if (relic.slot) return relic.slot;
-  const type = (relic.type || "").toLowerCase();
-  if (/weapon|sword|axe|blade|lance|spear|dagger|bow/.test(type)) return "weapons";
-  if (/armou?r|armor|shield|plate|helm/.test(type)) return "armour";
-  if (/talisman|pendant|locket|charm|amulet/.test(type)) return "talismans";
-  if (/enchanted/.test(type)) return "enchanted";
-  if (/arcane|scroll|wand|staff|rod|orb/.test(type)) return "arcane";
-  if (/banner|standard/.test(type)) return "banners";
-  return "enchanted";
-}
-
-function calcMagicItemsCost(magicItems) {
-  if (!magicItems) return 0;
-  return Object.values(magicItems).reduce((sum, item) => sum + (item?.pts || 0), 0);
-}
 
 // ═══════════════════════════════════════════════════════════════
 // SPECIAL RULES REFERENCE
@@ -360,50 +359,8 @@ const SPECIAL_RULES_DESC = {
   "Daughters of Eternity": "This model has a 4+ Ward save.",
 };
 
-// Parse equipment strings into structured weapon data
-function parseWeapons(equipment) {
-  if (!equipment || equipment.length === 0) return [];
-  const weapons = [];
-  const nonWeapons = [];
-  for (const item of equipment) {
-    // Try to detect weapons by common keywords
-    const isWeapon = /weapon|sword|bow|spear|lance|axe|blade|dagger|javelin|falchion|greatbow|fist|claw|root|shot|crossbow|halberd|mace|flail|whip/i.test(item);
-    const isArmour = /armour|armor|shield|ward|save|bark|scales|plate/i.test(item);
-    if (isWeapon && !isArmour) {
-      // Parse weapon details from string
-      const rangeMatch = item.match(/[Rr](\d+)[\"″]|(\d+)[\"″]/);
-      const range = rangeMatch ? (rangeMatch[1] || rangeMatch[2]) + '"' : "Combat";
-      const sMatch = item.match(/S[\+:]?\s*(\d+|User|[A-Z])/i) || item.match(/\(S(\+?\d+)/);
-      const strength = sMatch ? "S" + (sMatch[1] || "") : "S";
-      const apMatch = item.match(/AP[\s-]*(\d+|-)/i);
-      const ap = apMatch ? "-" + apMatch[1].replace("-", "") : "-";
-      // Get special rules (everything in parentheses that isn't S/AP/R)
-      const parenContent = item.match(/\(([^)]+)\)/);
-      let specRules = "-";
-      if (parenContent) {
-        const parts = parenContent[1].split(",").map(s => s.trim())
-          .filter(s => !/^[RS]\+?\d|^AP/i.test(s) && !/^\d+[\"″]/.test(s));
-        if (parts.length > 0) specRules = parts.join(", ");
-      }
-      const name = item.split("(")[0].trim();
-      weapons.push({ name, range, strength, ap, specRules });
-    } else {
-      nonWeapons.push(item);
-    }
-  }
-  // If nothing parsed as a weapon, check for "Hand Weapon" exactly
-  if (weapons.length === 0) {
-    const hwIdx = equipment.findIndex(e => /^hand weapon$/i.test(e.trim()));
-    if (hwIdx !== -1) {
-      weapons.push({ name: "Hand Weapon", range: "Combat", strength: "S", ap: "-", specRules: "-" });
-      nonWeapons.splice(nonWeapons.indexOf(equipment[hwIdx]), 1);
-    }
-  }
-  return { weapons, nonWeapons };
-}
-
 function ArmyBuilder({ data, onRefreshData }) {
-  const { factions, units: baseUnits, items: magicItems, rules: houseRules } = data;
+  const { factions, units: baseUnits, items: magicItems, rules: houseRules, composition: compositionRules, glossary, lore, spells } = data;
   const [activeFaction, setActiveFaction] = useState("eonir");
   // Faction-specific magic item lists (embedded static data – no extra fetch needed)
   const armyItems = {"woodElves": {"weapons": [{"name": "Spear of Twilight", "pts": 65, "type": "Magic Weapon", "description": "S, AP -2. When the wielder makes a roll To Wound, a roll of 3+ is always a success, regardless of the target's Toughness."}, {"name": "Vaul's Wrath", "pts": 55, "type": "Magic Weapon", "description": "Range 32\", S+1, AP -2. Once per game, unless the wielder moved during the previous Movement phase, Vaul's Wrath can be shot like a bolt thrower using the Through & Through special rule."}, {"name": "Blades of Loec", "pts": 45, "type": "Magic Weapon", "description": "S, AP -. The wielder may re-roll any failed rolls To Wound."}, {"name": "Bow of Loren", "pts": 40, "type": "Magic Weapon", "description": "Counts as an Asrai longbow. Range 32\", S. The wielder may make a number of shooting attacks equal to their Attacks characteristic rather than the usual one, with no modifier for multiple shots."}, {"name": "Daith's Reaper", "pts": 40, "type": "Magic Weapon", "description": "S+1, AP -1. Enemy models must re-roll any successful Armour Save rolls against wounds caused by this weapon."}, {"name": "Hunt Master's Pride", "pts": 35, "type": "Magic Weapon", "description": "Orion's Wild Hunt armies only. S, AP -2. The Multiple Wounds (2) special rule applies only against monstrous infantry, monstrous cavalry, monstrous creatures, or behemoths."}, {"name": "Blades of Endless Flame", "pts": 25, "type": "Magic Weapon", "description": "S, AP -1. All attacks made with this weapon have the Flaming Attacks special rule."}, {"name": "Asyendi's Bane", "pts": 10, "type": "Magic Weapon", "description": "Counts as an Asrai longbow. Range 32\", S. The wielder may re-roll a single failed roll To Hit during the Shooting phase. However if the re-roll also fails, the wielder suffers a single Strength 3 hit with AP -."}], "armour": [{"name": "Helm of the Hunt", "pts": 50, "type": "Magic Armour", "description": "May be worn with other armour. Improves armour value by 1 (max 2+). The wearer has a +1 modifier to both their Weapon Skill and Attacks characteristics during a turn in which they charge."}, {"name": "Mantle of Rebirth", "pts": 40, "type": "Magic Armour", "description": "Light armour. The wearer has the Regeneration (5+) special rule."}, {"name": "Railarian's Mantle", "pts": 35, "type": "Magic Armour", "description": "Light armour. Whilst the wearer is within 6\" of a woodland terrain feature, they have a 4+ Ward save against any wounds suffered."}, {"name": "Cloak of Tumbling Leaves", "pts": 30, "type": "Magic Armour", "description": "Regular or heavy infantry only. Light armour. The wearer gains the Fly (10) and Swiftstride special rules. However, the wearer cannot join a unit."}], "talismans": [{"name": "Merciw's Locus", "pts": 35, "type": "Talisman", "description": "The Strength characteristic of the bearer cannot be modified by any weapon. However, the Strength characteristic of any model that directs its attacks against the bearer during the Combat phase cannot be modified by any weapon either."}, {"name": "Ariel's Favour", "pts": 30, "type": "Talisman", "description": "The bearer has the Magic Resistance (-2) special rule."}, {"name": "Glamourweave", "pts": 30, "type": "Talisman", "description": "Enemy models must make a Leadership test before making any rolls To Hit against the wearer during the Combat phase. If the test is failed, only rolls of a natural 6 will hit."}, {"name": "Orion's Favour", "pts": 25, "type": "Talisman", "description": "Single use. The bearer may re-roll any failed rolls To Hit and/or To Wound made during the Combat phase."}], "enchanted": [{"name": "Wraithstone", "pts": 50, "type": "Enchanted Item", "description": "Unless the bearer is fleeing, enemy units suffer a -1 modifier to their Leadership characteristic (minimum 2) whilst within 6\" of the bearer."}, {"name": "Crown of Antlers", "pts": 35, "type": "Enchanted Item", "description": "The wearer gains the Armour Bane (1) and Impact Hits (D3) special rules. These Impact Hits have an AP of -2."}, {"name": "Hail of Doom Arrow", "pts": 35, "type": "Enchanted Item", "description": "Single use. Asrai longbow models only. If the roll To Hit is successful, place a small (3\") blast template over the centre of the target unit. Any model under the template suffers a single S 4 hit with AP -1 and the Magical Attacks special rule."}, {"name": "Moonstone of the Hidden Ways", "pts": 30, "type": "Enchanted Item", "description": "Single use. The wearer may cast the Forest Walker spell from the Lore of Athel Loren as a Bound spell with Power Level 3."}, {"name": "Wailing Arrow", "pts": 20, "type": "Enchanted Item", "description": "Single use. Asrai longbow models only. Any unit that suffers an unsaved wound from this shot must make a Panic test as if it had taken heavy casualties."}, {"name": "Blight-Tipped Arrows", "pts": 15, "type": "Enchanted Item", "description": "Single use. Asrai longbow models only. If an enemy model suffers an unsaved wound, at the beginning of each subsequent Start of Turn sub-phase that model must make a Toughness test. If failed, the model immediately suffers a wound with no armour or Regeneration saves permitted."}], "arcane": [{"name": "Deepwood Sphere", "pts": 45, "type": "Arcane Item", "description": "When an enemy Wizard within 6\" of a woodland terrain feature successfully casts a spell, the bearer may use this (no dispel attempt can be made). Once the spell resolves, the enemy Wizard immediately suffers D3 Strength 4 hits with AP -1."}, {"name": "Oaken Stave", "pts": 40, "type": "Arcane Item", "description": "Whilst within 3\" of a woodland terrain feature, the bearer increases their Dispel range by 3\" and may roll an extra D6 when making the Dispel roll, discarding the lowest result."}, {"name": "Orb of Midsummer", "pts": 35, "type": "Arcane Item", "description": "Once per turn, the bearer may re-roll a Casting roll."}, {"name": "Wand of Wych Elm", "pts": 30, "type": "Arcane Item", "description": "Once per turn, if the bearer is within 3\" of a woodland terrain feature, they may re-roll a failed Casting roll."}, {"name": "Sigil of the Mage Queen", "pts": 25, "type": "Arcane Item", "description": "Single use. The bearer may use it before making a Casting roll to apply a +2 modifier to that Casting roll."}, {"name": "Heartwood Pendant", "pts": 15, "type": "Arcane Item", "description": "In addition to the Lores of Magic they may normally know spells from, the bearer may also know spells from the Lore of the Wilds."}], "banners": [{"name": "Tapestry of Talsyn", "pts": 80, "type": "Magic Standard", "description": "Host of Talsyn Battle Standard Bearer only. The bearer's Command Range increases to 18\". Friendly units within Command Range improve their Leadership characteristic by 1 (max 10)."}, {"name": "Banner of the Wildwood", "pts": 40, "type": "Magic Standard", "description": "A unit carrying this banner gains the Fear special rule. If the unit already has Fear, it instead gains Terror."}, {"name": "Banner of the Hunter King", "pts": 25, "type": "Magic Standard", "description": "A unit carrying this banner gains the Vanguard special rule."}, {"name": "Banner of the Wild Hunt", "pts": 25, "type": "Magic Standard", "description": "Orion's Wild Hunt armies only. When calculating combat result, the unit may claim an additional +1 combat result point. The unit may also re-roll Pursuit rolls."}, {"name": "Standard of Morning's Chill", "pts": 25, "type": "Magic Standard", "description": "The bearer can cast the Swirling Mists spell from the Lore of the Wilds as a Bound Spell with Power Level 2."}, {"name": "Banner of Springtide", "pts": 20, "type": "Magic Standard", "description": "A unit carrying this banner gains the Quick Shot special rule."}, {"name": "Banner of the Eternal Queen", "pts": 20, "type": "Magic Standard", "description": "When calculating combat result, the unit may claim an additional +1 combat result point if within 6\" of a woodland terrain feature."}, {"name": "Banner of Midsummer's Eve", "pts": 15, "type": "Magic Standard", "description": "A unit carrying this banner gains the Ignores Cover special rule."}]}, "darkElves": {"weapons": [{"name": "Executioner's Axe", "pts": 70, "type": "Magic Weapon", "description": "S, AP -2. When making a roll To Wound, a roll of 2+ is always a success, regardless of the target's Toughness."}, {"name": "Sword of Ruin", "pts": 65, "type": "Magic Weapon", "description": "S. No armour, Ward or Regeneration saves are permitted against wounds caused by this weapon."}, {"name": "Lifetaker", "pts": 35, "type": "Magic Weapon", "description": "Range 24\", S 3, AP -1. Missile weapon firing bolts dipped in the venom of a Black Dragon."}, {"name": "Whip of Agony", "pts": 30, "type": "Magic Weapon", "description": "High Beastmasters only. S+1, AP -1. Any enemy model that suffers one or more unsaved wounds suffers a -1 modifier to its Toughness characteristic (minimum 1) for the remainder of the game."}], "armour": [{"name": "Shield of Ghrond", "pts": 40, "type": "Magic Armour", "description": "Shield. All attacks directed against the bearer suffer a -1 modifier to their Strength characteristic (minimum 1)."}, {"name": "Blood Armour", "pts": 30, "type": "Magic Armour", "description": "Infantry or cavalry only. Gives the wearer an armour value of 5+. For each unsaved wound the wearer inflicts, this armour value improves by 1, to a maximum of 2+."}], "talismans": [{"name": "Pendant of Khaeleth", "pts": 40, "type": "Talisman", "description": "The bearer has a 5+ Ward save against wounds caused by attacks with Strength 4 or lower, and a 4+ Ward save against wounds caused by attacks with Strength 5 or higher."}, {"name": "Pearl of Infinite Bleakness", "pts": 15, "type": "Talisman", "description": "The bearer and any unit they have joined gains the Immune to Psychology special rule."}], "enchanted": [{"name": "Black Dragon Egg", "pts": 35, "type": "Enchanted Item", "description": "Single use. During the Command sub-phase, the bearer may consume it. Until the end of that turn, the model has Toughness 6 (which cannot be improved further) and gains noxious breath."}, {"name": "Hydra's Tooth", "pts": 30, "type": "Enchanted Item", "description": "Missile weapon. Range 9\", S equal to the wielder's S, AP -3. This weapon can target a specific model within the target unit, such as a champion or a character."}, {"name": "The Guiding Eye", "pts": 25, "type": "Enchanted Item", "description": "Single use. The bearer and any unit they have joined may re-roll any failed rolls To Hit made during the Shooting phase."}], "arcane": [{"name": "Black Staff", "pts": 55, "type": "Arcane Item", "description": "When attempting to cast a spell, the bearer may roll an extra D6 and discard the lowest result. However, if a double 1 is rolled on any two of the dice rolled, the spell is miscast."}, {"name": "Tome of Furion", "pts": 15, "type": "Arcane Item", "description": "The bearer knows one more spell (chosen in the usual way) than is normal for their Level of Wizardry."}, {"name": "Focus Familiar", "pts": 10, "type": "Arcane Item", "description": "Single use. When the bearer attempts to cast a spell, place a marker completely within 12\" of the owner. The range and all effects of the spell are measured from this marker rather than the owner."}], "banners": [{"name": "Banner of Nagarythe", "pts": 65, "type": "Magic Standard", "description": "A unit carrying this banner gains the Stubborn special rule. When calculating combat result, the unit may claim an additional +1 combat result point."}, {"name": "Standard of Slaughter", "pts": 40, "type": "Magic Standard", "description": "When calculating combat result during a turn in which it charged, a unit carrying this standard may claim an additional +D3 combat result points."}, {"name": "Banner of Har Ganeth", "pts": 25, "type": "Magic Standard", "description": "A unit carrying this banner improves the Armour Piercing characteristic of its combat weapons by 1."}, {"name": "Cold-Blooded Banner", "pts": 20, "type": "Magic Standard", "description": "Single use. When making any test against its Leadership characteristic, the unit may roll an extra D6 and discard the highest result."}]}, "highElves": {"weapons": [{"name": "Woodsman's Axe", "pts": 90, "type": "Magic Weapon", "description": "Chracian Warhost armies only. S+3, AP -4."}, {"name": "The White Sword", "pts": 70, "type": "Magic Weapon", "description": "Infantry or chariot troop types only. S+3, AP -2."}, {"name": "The Blade of Leaping Gold", "pts": 50, "type": "Magic Weapon", "description": "S, AP -. The wielder gains the Strike First special rule and has a +1 modifier to their Initiative and Weapon Skill characteristics."}, {"name": "Bow of the Seafarer", "pts": 50, "type": "Magic Weapon", "description": "Counts as a Bow of Avelorn. Range 30\", S 5, AP -3. Shoots like a bolt thrower using the Through & Through special rule."}, {"name": "Star Lance", "pts": 45, "type": "Magic Weapon", "description": "Cavalry or monster troop types only. S+3, AP -4. Can only be used during a turn in which the wielder charged; otherwise must use hand weapon."}, {"name": "Blade of Sea Gold", "pts": 40, "type": "Magic Weapon", "description": "Sea Guard Garrison armies only. S+1, AP -1."}, {"name": "Reaver Bow", "pts": 40, "type": "Magic Weapon", "description": "Counts as a Bow of Avelorn. Range 30\", S+1, AP -. The wielder may make a number of shooting attacks equal to their Attacks characteristic with no multiple shots modifier."}, {"name": "Foe Bane", "pts": 20, "type": "Magic Weapon", "description": "S, AP -. When the wielder makes a roll To Wound, a roll of 4+ is always a success, regardless of the target's Toughness."}], "armour": [{"name": "Armour of Stars", "pts": 40, "type": "Magic Armour", "description": "Infantry or cavalry only. Heavy armour. The wearer is immune to the Killing Blow special rule. If struck a Killing Blow, armour and Regeneration saves may be taken; if unsaved, they lose a single Wound."}, {"name": "Armour of Caledor", "pts": 35, "type": "Magic Armour", "description": "Full plate armour. The wearer has a 5+ Ward save against any wounds suffered."}, {"name": "The Golden Shield", "pts": 30, "type": "Magic Armour", "description": "Shield. Any enemy model that directs its attacks against the bearer during the Combat phase must re-roll any rolls To Hit of a natural 6."}, {"name": "Dragon Helm", "pts": 10, "type": "Magic Armour", "description": "May be worn with other armour. Improves armour value by 1 (max 2+). The wearer has a 6+ Ward save against wounds caused by attacks with the Flaming Attacks special rule."}], "talismans": [{"name": "Circlet of Atrazar", "pts": 55, "type": "Talisman", "description": "The wearer has +1 Wound on their profile. If their troop type is infantry or cavalry, they also have a +1 modifier to their Toughness characteristic."}, {"name": "Sacred Incense", "pts": 35, "type": "Talisman", "description": "Any enemy model that targets this character or any unit they have joined during the Shooting phase suffers an additional -1 To Hit modifier."}, {"name": "The Loremaster's Cloak", "pts": 25, "type": "Talisman", "description": "The bearer and any unit they have joined has a 4+ Ward save against any wounds suffered that were caused by a Magic Missile."}, {"name": "Opal Amulet", "pts": 20, "type": "Talisman", "description": "Single use. Gives the bearer a 2+ Ward save against a single wound."}], "enchanted": [{"name": "Null Stone", "pts": 75, "type": "Enchanted Item", "description": "All Wizards (friend or foe) within the bearer's Command range suffer a -1 modifier to their Casting and Dispel rolls. Once per turn in the Command sub-phase, if not in combat, the bearer may make a Leadership test; if passed, they cannot be targeted by spells until the next Start of Turn sub-phase."}, {"name": "Amulet of the Tempest", "pts": 50, "type": "Enchanted Item", "description": "Sea Guard Garrison armies only. Whilst within 9\" of the bearer, enemy Wizards cannot add their Level of Wizardry to their Casting rolls."}, {"name": "The Cloak of Beards", "pts": 30, "type": "Enchanted Item", "description": "The wearer causes Terror. However, other models cannot use the wearer's Leadership."}, {"name": "Ring of Fury", "pts": 25, "type": "Enchanted Item", "description": "The wielder can cast the Hammerhand spell from the Lore of Battle Magic as a Bound spell with Power Level 1."}, {"name": "Seed of Rebirth", "pts": 20, "type": "Enchanted Item", "description": "The bearer gains the Regeneration (5+) special rule."}, {"name": "Gem of Courage", "pts": 15, "type": "Enchanted Item", "description": "Chracian Warhost armies only. Single use. Once per game, when required to make a Break test, the bearer and their unit may roll an extra D6 and discard the highest result."}], "arcane": [{"name": "The Vortex Shard", "pts": 50, "type": "Arcane Item", "description": "Single use. May be used instead of making a dispel attempt. The spell is automatically dispelled with no Dispel roll required. In addition, all Remains in Play spells currently in play are dispelled, including friendly spells."}, {"name": "Sigil of Asuryan", "pts": 40, "type": "Arcane Item", "description": "Single use. May be used instead of making a dispel attempt. The spell is automatically dispelled with no Dispel roll required. Note that a perfect invocation cannot be dispelled."}, {"name": "The Trickster's Pendant", "pts": 40, "type": "Arcane Item", "description": "Single use. When attempting a Wizardly dispel, roll an extra D6 and discard the lowest result. If the spell is dispelled, the casting Wizard cannot cast more spells this turn. If a double 1 is rolled on any two dice, the bearer is outclassed in the art."}, {"name": "Annulian Crystal", "pts": 30, "type": "Arcane Item", "description": "Once per turn, upon successfully casting a spell, the bearer may choose to forget that spell and immediately generate another (not including signature spells) in the usual manner."}, {"name": "Silvery Wand", "pts": 15, "type": "Arcane Item", "description": "The bearer knows one more spell (chosen in the usual way) than is normal for their Level of Wizardry. This does not increase the Wizard's Level."}, {"name": "Staff of Solidity", "pts": 15, "type": "Arcane Item", "description": "Single use. Once per game, when the bearer is required to roll on the Miscast table, they may choose not to."}], "banners": [{"name": "Banner of Resilience", "pts": 80, "type": "Magic Standard", "description": "A unit carrying this banner has a +1 modifier to its Toughness characteristic."}, {"name": "Banner of Arcane Protection", "pts": 70, "type": "Magic Standard", "description": "A unit carrying this banner gains the Magic Resistance (-3) special rule. In addition, friendly units within 6\" of the model carrying this standard gain the Magic Resistance (-1) special rule."}, {"name": "Battle Banner", "pts": 60, "type": "Magic Standard", "description": "When calculating combat result, a unit carrying the Battle Banner may claim an additional +D3 combat result points."}, {"name": "The Banner of Lothern", "pts": 55, "type": "Magic Standard", "description": "If the unit is equipped with thrusting spears, half of the models in the third rank (rounding up) can make supporting attacks."}, {"name": "Banner of Balance", "pts": 25, "type": "Magic Standard", "description": "Whilst in base contact with a unit carrying this banner, enemy units cannot re-roll any rolls To Hit or To Wound. However, nor can the unit carrying the Banner of Balance."}, {"name": "Lion Standard", "pts": 25, "type": "Magic Standard", "description": "A unit carrying the Lion Standard automatically passes any Fear or Terror tests it is required to make."}, {"name": "Banner of Confidence", "pts": 20, "type": "Magic Standard", "description": "A unit carrying this banner does not suffer the usual -1 To Hit modifier when making a Stand & Shoot charge reaction."}, {"name": "Banner of Ellyrion", "pts": 20, "type": "Magic Standard", "description": "A unit carrying this banner gains the Move Through Cover special rule."}]}, "tombKings": {"weapons": [{"name": "Destroyer of Eternities", "pts": 75, "type": "Magic Weapon", "description": "S+2, AP -2. Rather than attacking normally, the wielder may choose to make a special 'Scything' attack: the enemy unit suffers D6 automatic hits, each resolved using the weapon's profile."}, {"name": "The Conqueror's Blade", "pts": 55, "type": "Magic Weapon", "description": "S+2, AP -2. Whilst in a challenge, the bearer strikes a Killing Blow if they roll a natural 5 or 6 when making a To Wound roll. If the enemy General is slain in a challenge, you win a bonus of 100 Victory Points."}, {"name": "Crook & Flail of Radiance", "pts": 50, "type": "Magic Weapon", "description": "Monarchs of Nehekhara only. S, AP -1. Represents the high status of the bearer; all that enter their presence are humbled."}, {"name": "Blade of Antarhak", "pts": 45, "type": "Magic Weapon", "description": "Nehekharan Royal Host armies only. S+1, AP -1. For each Wound an enemy unit loses as a result of an attack with this weapon, the wielder immediately recovers a single lost Wound."}, {"name": "Flail of Skulls", "pts": 35, "type": "Magic Weapon", "description": "S+3, AP -1. The Strength modifier applies only against enemy models the wielder charged this turn."}, {"name": "Phakth's Blades of Justice", "pts": 35, "type": "Magic Weapon", "description": "Infantry troop type only. S, AP -1. Grants the wielder +1 Attack for each rank an enemy unit the wielder is engaged with has."}, {"name": "Staff of Aeons", "pts": 30, "type": "Magic Weapon", "description": "Mortuary Cult Liche Priest only. S+2, AP -1. Any model hit by one or more attacks made with this weapon suffers a -1 modifier to its armour value for the remainder of the game."}, {"name": "Serpent Staff", "pts": 20, "type": "Magic Weapon", "description": "Liche Priests only. S+2, AP -2."}], "armour": [{"name": "Armour of the Ages", "pts": 50, "type": "Magic Armour", "description": "Light armour. Enemy models must re-roll successful rolls To Wound made against the wearer."}, {"name": "Royal Mantle", "pts": 40, "type": "Magic Armour", "description": "Nehekharan Royal Host armies only. May be worn with other armour. Improves armour value by 1 (max 2+). The wearer's My Will Be Done special rule affects all friendly Nehekharan Undead units within 6\" rather than just the unit they have joined."}, {"name": "Warding Splint", "pts": 35, "type": "Magic Armour", "description": "Heavy armour, may be worn by a Liche Priest without penalty. The wearer has a 5+ Ward save against any wounds suffered."}, {"name": "Shield of Ptra", "pts": 25, "type": "Magic Armour", "description": "Shield. Any enemy model that directs their attacks against the bearer during the Combat phase suffers a -1 modifier to their Weapon Skill characteristic."}], "talismans": [{"name": "Amulet of the Serpent", "pts": 30, "type": "Talisman", "description": "The bearer and any unit they have joined gains the Poisoned Attacks special rule."}, {"name": "Crown of Kings", "pts": 30, "type": "Talisman", "description": "Monarch of Nehekhara only. During the Command sub-phase, if not in combat, the wearer may make a Leadership test. If passed, a single friendly unit of Skeleton Warriors, Skeleton Archers, Skeleton Horsemen or Skeleton Horse Archers within Command range recovers D3+1 Wounds."}, {"name": "Collar of Shapesh", "pts": 25, "type": "Talisman", "description": "Single use. When the wearer loses their last Wound, roll a D6. On a 4+, the Wound is not lost. Instead, a single friendly model within the wearer's Command range is removed from play as a casualty."}, {"name": "Relic of the Desert Sun", "pts": 25, "type": "Talisman", "description": "The bearer is not subject to the Dry as Dust or Flammable special rules."}], "enchanted": [{"name": "Cloak of the Dunes", "pts": 50, "type": "Enchanted Item", "description": "Infantry troop type only. The wearer gains the Fly (9) special rule. In addition, any enemy unit the wearer moves over during Remaining Moves suffers D6 Strength 2 hits with AP -1."}, {"name": "Staff of Awakening", "pts": 50, "type": "Enchanted Item", "description": "High Priest only. When the wielder uses the Arise! special rule on a friendly infantry or cavalry unit, that unit recovers an additional D3 Wounds."}, {"name": "Orb of Ptra", "pts": 40, "type": "Enchanted Item", "description": "Any enemy model that targets this character or any unit they have joined during the Shooting phase suffers an additional -1 To Hit modifier."}, {"name": "Icon of Rulership", "pts": 35, "type": "Enchanted Item", "description": "Chariot troop type only. This model doubles its Unit Strength from 3 to 6. In addition, any Impact Hits caused by this model have an AP of -2 and the Magical Attacks special rule."}, {"name": "Death Mask of Kharnutt", "pts": 20, "type": "Enchanted Item", "description": "The wearer of the Death Mask of Kharnutt gains the Terror special rule."}], "arcane": [{"name": "Ph\u00e2zerakt's Kanopi", "pts": 40, "type": "Arcane Item", "description": "Single use. During the Command sub-phase, if not in combat, the bearer may make a Leadership test. If passed, place a unit of 2D6+3 Summoned Skeleton Warriors anywhere completely within 12\" of this model, but not within 1\" of enemy models."}, {"name": "Enkhil's Kanopi", "pts": 30, "type": "Arcane Item", "description": "Single use. During the Command sub-phase, the bearer may open the Kanopi. Until the next Start of Turn sub-phase, all Remains in Play spells are dispelled and no new Remains in Play spells can be cast."}], "banners": [{"name": "Standard of the Cursing Word", "pts": 80, "type": "Magic Standard", "description": "Battle Standard Bearer only. At the end of any phase in which one or more models in the bearer's unit lost their last Wound to an enemy attack, the attacking unit must make a Leadership test. If failed, it suffers D3 Strength 2 hits for each model that lost its last Wound."}, {"name": "Icon of the Sacred Eye", "pts": 50, "type": "Magic Standard", "description": "A unit carrying this banner has a +1 modifier to its Weapon Skill characteristic (maximum 10)."}, {"name": "Royal Standard of Settra", "pts": 50, "type": "Magic Standard", "description": "May only be taken in a muster list that includes Settra the Imperishable and/or Nekaph. A unit carrying this banner gains the Hatred (enemy characters) and Terror special rules."}, {"name": "Sigil of Centuries", "pts": 45, "type": "Magic Standard", "description": "All enemy units within 6\" of the bearer suffer a -1 modifier to their Initiative characteristic (minimum 1)."}, {"name": "Icon of Rakaph", "pts": 40, "type": "Magic Standard", "description": "Unless making a charge move, a unit carrying this banner may perform a single free reform at any point during its movement."}, {"name": "Tapestry of Conquered Lands", "pts": 35, "type": "Magic Standard", "description": "Any enemy standard captured by a unit carrying this banner is worth 100 Victory Points as a trophy of war."}, {"name": "Banner of the Desert Winds", "pts": 30, "type": "Magic Standard", "description": "Infantry troop type only. A unit carrying this banner gains the Vanguard and Reserve Move special rules."}, {"name": "Mirage Banner", "pts": 20, "type": "Magic Standard", "description": "Any enemy model that targets a unit carrying this banner during the Shooting phase suffers an additional -1 To Hit modifier."}]}, "lizardmen": {"weapons": [{"name": "Blade of Revered Tzunki", "pts": 65, "type": "Magic Weapon", "description": "S+1. No armour or Ward saves are permitted against wounds caused by this weapon (Regeneration saves can be attempted as normal)."}, {"name": "Scimitar of the Sun Resplendent", "pts": 50, "type": "Magic Weapon", "description": "S, AP -1. Invigorates the wielder with the power of the sun."}, {"name": "Staff of the Lost Sun", "pts": 40, "type": "Magic Weapon", "description": "Two profiles: Ranged: Range 12\", S 4, AP -3. Combat: S+1, AP -. Projects beams of hot light from its tip."}, {"name": "Piranha Blade", "pts": 35, "type": "Magic Weapon", "description": "S, AP -1. The blade is inlaid with thousands of tiny barbed teeth that rip and tear through the flesh of the enemy."}], "armour": [{"name": "Shield of the Mirror Pool", "pts": 40, "type": "Magic Armour", "description": "Shield. Each time the bearer loses one or more Wounds to a Magic Missile, the caster suffers a single Strength 5 hit with AP -2."}, {"name": "Hide of the Cold Ones", "pts": 20, "type": "Magic Armour", "description": "May be worn with other armour. Improves armour value by 1 (max 2+). However, the wearer is also subject to the Stupidity special rule."}], "talismans": [{"name": "Glyph Necklace", "pts": 45, "type": "Talisman", "description": "The bearer has a 5+ Ward save against any wounds suffered and gains the Magic Resistance (-2) special rule."}, {"name": "Aura of Quetzl", "pts": 40, "type": "Talisman", "description": "Any enemy model that directs its attacks against the bearer during the Combat phase suffers a -1 modifier to its rolls To Hit."}], "enchanted": [{"name": "Cloak of Feathers", "pts": 40, "type": "Enchanted Item", "description": "Skink Heroes whose troop type is infantry only. The wearer gains the Fly (10) and Swiftstride special rules."}, {"name": "Venom of the Firefly Frog", "pts": 15, "type": "Enchanted Item", "description": "All attacks made during the Combat phase by the bearer have the Poisoned Attacks and Flaming Attacks special rules. Does not apply to non-magical weapons or the model's mount."}, {"name": "Horned One", "pts": 10, "type": "Enchanted Item", "description": "Saurus Hero mounted on a Cold One only. The character's mount loses the Stupidity special rule and has a Movement characteristic of 8."}], "arcane": [{"name": "Cupped Hands of the Old Ones", "pts": 55, "type": "Arcane Item", "description": "Should the bearer miscast a spell, roll a D6. On a 1, roll on the Miscast table as normal. On a 2+, the bearer instead nominates an enemy character; centre a 3\" blast template over that character and every model underneath risks suffering a Strength 6 hit with AP -2."}, {"name": "Cube of Darkness", "pts": 50, "type": "Arcane Item", "description": "Single use. May be used instead of making a dispel attempt. The spell is automatically dispelled. In addition, all Remains in Play spells currently in play are dispelled, including friendly spells."}, {"name": "Itxi Grub", "pts": 30, "type": "Arcane Item", "description": "Single use. Before making a Casting roll, the bearer may attempt to consume a single Itxi Grub by making a Toughness test. If passed, the bearer may apply a +3 modifier to the Casting roll. If failed, the bearer immediately loses a single Wound."}], "banners": [{"name": "Sun Standard of Chotec", "pts": 40, "type": "Magic Standard", "description": "Enemy units cannot declare a Stand & Shoot charge reaction against a unit carrying this banner. In addition, any enemy model that targets the unit during the Shooting phase suffers an additional -1 To Hit modifier."}, {"name": "Skavenpelt Banner", "pts": 35, "type": "Magic Standard", "description": "A unit carrying this banner gains the Frenzy and Hatred (Skaven) special rules."}, {"name": "Totem of Prophecy", "pts": 30, "type": "Magic Standard", "description": "A unit carrying this banner gains the Fear special rule."}, {"name": "Jaguar Standard", "pts": 20, "type": "Magic Standard", "description": "When a unit carrying this banner makes a Pursuit roll, it may roll an extra D6 and discard the lowest result."}]}, "bretonnia": {"weapons": [{"name": "Sword of the Quest", "pts": 70, "type": "Magic Weapon", "description": "When the wielder makes a roll To Wound, a roll of 3+ is always a success, regardless of the target's Toughness."}, {"name": "Crusader's Lance", "pts": 60, "type": "Magic Weapon", "description": "Cavalry only. Lance that can only be used during a turn in which the wielder charged. On a turn the wielder charges, they gain +2 Strength and -2 AP rather than the usual lance bonus."}, {"name": "Sword of Heroes", "pts": 60, "type": "Magic Weapon", "description": "The wielder of the Sword of Heroes has the Heroic Killing Blow special rule."}, {"name": "Heartwood Lance", "pts": 50, "type": "Magic Weapon", "description": "Cavalry only. When the wielder charges, for each roll To Hit of a natural 6, one additional hit is scored."}, {"name": "Morning Star of Fracasse", "pts": 40, "type": "Magic Weapon", "description": "Models hit by the Morning Star of Fracasse must re-roll any successful Armour Save rolls."}, {"name": "Frontier Axe", "pts": 30, "type": "Magic Weapon", "description": "The wielder of the Frontier Axe has the Multiple Wounds (2) special rule against models whose troop type is monstrous infantry, monstrous cavalry, monstrous creature, or behemoth."}, {"name": "Sword of the Stout Hearted", "pts": 25, "type": "Magic Weapon", "description": "The wielder of the Sword of the Stout Hearted and any unit they have joined are Immune to Psychology."}, {"name": "Foebreaker", "pts": 20, "type": "Magic Weapon", "description": "S+1, AP -1. The wielder may re-roll any failed rolls To Hit."}], "armour": [{"name": "Gilded Cuirass", "pts": 60, "type": "Magic Armour", "description": "Heavy armour. The wearer has a 4+ Ward save against any wounds suffered."}, {"name": "Anointed Armour", "pts": 45, "type": "Magic Armour", "description": "Full plate armour. The wearer has a 6+ Ward save against wounds and is immune to the Killing Blow special rule."}, {"name": "Gromril Great Helm", "pts": 40, "type": "Magic Armour", "description": "May be worn with other armour. Improves armour value by 1 (max 2+). The wearer has a 5+ Ward save against wounds caused by attacks with the Killing Blow special rule."}, {"name": "Ironspike Shield", "pts": 20, "type": "Magic Armour", "description": "Shield. Any enemy model that rolls a natural 1 when making a roll To Hit against the bearer during the Combat phase immediately suffers a Strength 4 hit with AP -."}], "talismans": [{"name": "Grail Pendant", "pts": 40, "type": "Talisman", "description": "Grail Knights and Grail Damsels only. The bearer has a 5+ Ward save against any wounds suffered."}, {"name": "Lucky Heirloom", "pts": 25, "type": "Talisman", "description": "Single use. Once per game, when the bearer suffers a wound that reduces them to 0 Wounds, roll a D6. On a 4+, the wound is ignored."}, {"name": "Mantle of the Damsel Elena", "pts": 25, "type": "Talisman", "description": "Damsels only. The bearer and any unit they have joined have the Magic Resistance (-2) special rule."}, {"name": "Sirienne's Locket", "pts": 25, "type": "Talisman", "description": "The bearer has a 4+ Ward save against any wounds suffered that were caused by a Magic Missile, a Magical Vortex, or an Assailment spell."}], "enchanted": [{"name": "Falcon-horn of Fredemund", "pts": 40, "type": "Enchanted Item", "description": "Once per game, during the Command sub-phase, the bearer may sound the horn. Until the next Start of Turn sub-phase, all friendly units within 12\" gain the Swiftstride special rule."}, {"name": "The Seal of Parravon", "pts": 35, "type": "Enchanted Item", "description": "The bearer and any unit they have joined gain the Move Through Cover special rule and do not suffer any penalties for moving through difficult terrain."}, {"name": "Antlers of the Great Hunt", "pts": 25, "type": "Enchanted Item", "description": "The bearer gains the Impact Hits (D3) special rule. These Impact Hits have an AP of -1."}, {"name": "Crusader's Clarion", "pts": 25, "type": "Enchanted Item", "description": "Once per game, during the Command sub-phase, all friendly units within 12\" of the bearer that are Fleeing may immediately make a Rally test."}, {"name": "Wyrmbreath Vial", "pts": 20, "type": "Enchanted Item", "description": "Single use. The bearer may cast the following Bound spell with Power Level 2: Magic Missile, range 12\", causes D6 Strength 4 hits each with AP -1 and the Flaming Attacks special rule."}, {"name": "Gauntlet of the Duel", "pts": 5, "type": "Enchanted Item", "description": "The bearer may issue and accept challenges. Whilst in a challenge, the bearer has a +1 modifier to their Weapon Skill characteristic."}], "arcane": [{"name": "Heart of the Wilds", "pts": 40, "type": "Arcane Item", "description": "The bearer knows one additional spell from the Lore of the Lady (chosen in the usual way) and may re-roll a single failed Casting roll per turn whilst within 6\" of a woodland terrain feature."}, {"name": "Diadem of Power", "pts": 35, "type": "Arcane Item", "description": "Single use. The bearer may use the Diadem of Power at the start of the Magic phase. If they do, generate D3 additional power dice this Magic phase."}], "banners": [{"name": "Banner of the Lady's Grace", "pts": 75, "type": "Magic Standard", "description": "All friendly units within the bearer's Command Range gain the Regeneration (6+) special rule."}, {"name": "Valorous Standard", "pts": 60, "type": "Magic Standard", "description": "When calculating combat result, a unit carrying the Valorous Standard may claim an additional +D3 combat result points."}, {"name": "Conqueror's Tapestry", "pts": 40, "type": "Magic Standard", "description": "A unit carrying the Conqueror's Tapestry gains the Hatred (all enemies) special rule during the first turn of any combat."}, {"name": "Crusader's Tapestry", "pts": 40, "type": "Magic Standard", "description": "A unit carrying the Crusader's Tapestry gains the Stubborn special rule."}, {"name": "Errantry Banner", "pts": 30, "type": "Magic Standard", "description": "A unit carrying the Errantry Banner increases its maximum charge range by 3\"."}, {"name": "Banner of Honourable Warfare", "pts": 25, "type": "Magic Standard", "description": "Enemy units in base contact with a unit carrying the Banner of Honourable Warfare cannot use the Stomp special rule."}, {"name": "Banner of the Zealous Knight", "pts": 25, "type": "Magic Standard", "description": "A unit carrying this banner re-rolls failed Panic tests."}, {"name": "Banner of Chalons", "pts": 20, "type": "Magic Standard", "description": "A unit carrying the Banner of Chalons gains the Swiftstride special rule."}]}, "empire": {"weapons": [{"name": "Runefang", "pts": 100, "type": "Magic Weapon", "description": "S, AP -2. When making a roll To Wound, a roll of 2+ is always a success, regardless of the target's Toughness."}, {"name": "Mace of Helsturm", "pts": 65, "type": "Magic Weapon", "description": "Two profiles. Single-handed: S, AP -. Double-handed: S 10, AP -5, one attack only. Must choose which profile to use at the start of each round of combat."}, {"name": "Hammer of Righteousness", "pts": 50, "type": "Magic Weapon", "description": "S+2, AP -2. Models hit must make a Leadership test for each hit. If failed, the hit wounds automatically with no Armour save. If passed, resolve To Wound and saves normally."}, {"name": "Sword of Justice", "pts": 50, "type": "Magic Weapon", "description": "S, AP -1. The wielder may re-roll any failed rolls To Wound."}, {"name": "Pearl Daggers", "pts": 35, "type": "Magic Weapon", "description": "S, AP -1. The wielder may re-roll any failed rolls To Hit during the Combat phase."}, {"name": "Blade of Silvered Steel", "pts": 30, "type": "Magic Weapon", "description": "S+1, AP -1. Knightly Order armies only. Undead models cannot make Armour or Regeneration saves against wounds caused by this weapon."}, {"name": "Dragon Bow", "pts": 25, "type": "Magic Weapon", "description": "Commanders of the Empire only. Range 36\", S 6, AP -2."}, {"name": "Von Trickschotte's Wondrous Arquebus", "pts": 25, "type": "Magic Weapon", "description": "City-state of Nuln armies only. Range 36\", S 5, AP -2. The wielder does not suffer the usual -1 modifier for shooting at long range."}], "armour": [{"name": "Armour of Fortune", "pts": 45, "type": "Magic Armour", "description": "Heavy armour. The wearer has a 6+ Ward save against any wounds suffered and is immune to the Killing Blow special rule. If struck a Killing Blow, armour and Regeneration saves may be taken; if the wound is unsaved, they lose a single Wound."}, {"name": "Shield of the Gorgon", "pts": 40, "type": "Magic Armour", "description": "Shield, Knightly Order armies only. Whilst in base contact with the bearer, enemy models suffer a -1 modifier to their Attacks characteristic (minimum 1)."}, {"name": "Armour of Tarnus", "pts": 35, "type": "Magic Armour", "description": "Light armour, may be worn by an Imperial Wizard without penalty. The wearer has a 5+ Ward save against any wounds suffered."}, {"name": "Twice-Blessed Armour", "pts": 25, "type": "Magic Armour", "description": "Full plate armour. The wearer may cast the Hammerhand spell from the Lore of Battle Magic as a Bound spell with Power Level 2."}], "talismans": [{"name": "The White Cloak", "pts": 30, "type": "Talisman", "description": "The wearer has a 5+ Ward save against any wounds suffered, and a 3+ Ward save against wounds caused by attacks with the Flaming Attacks special rule."}, {"name": "Jade Amulet", "pts": 25, "type": "Talisman", "description": "The bearer is immune to the Killing Blow special rule. If struck a Killing Blow, armour and Regeneration saves may be taken; if the wound is unsaved, they lose a single Wound."}, {"name": "Witch Hunter's Ward", "pts": 20, "type": "Talisman", "description": "The bearer has the Magic Resistance (-2) special rule. Once per game, the bearer may re-roll a single failed Armour Save roll."}, {"name": "Slayer's Hourglass", "pts": 10, "type": "Talisman", "description": "Enemy models whose troop type is monster suffer a -1 modifier to their Weapon Skill characteristic whilst in base contact with the bearer."}], "enchanted": [{"name": "Laurels of Victory", "pts": 40, "type": "Enchanted Item", "description": "When determining combat result, each unsaved wound caused by an attack made by the bearer (not their mount) is worth 2 combat result points rather than the usual 1."}, {"name": "Squintsoffen's Marvellous Magnifier", "pts": 35, "type": "Enchanted Item", "description": "City-state of Nuln armies only. The bearer and any unit they have joined do not suffer the usual -1 To Hit modifier when shooting at Long Range."}, {"name": "Ring of Fortune", "pts": 20, "type": "Enchanted Item", "description": "Single use. The bearer may re-roll any failed rolls To Wound made during the Combat phase."}, {"name": "Ring of Taal", "pts": 20, "type": "Enchanted Item", "description": "Single use. The bearer may cast the Oaken Shield spell from the Lore of Battle Magic as a Bound spell with Power Level 3."}, {"name": "The Silver Horn", "pts": 15, "type": "Enchanted Item", "description": "Characters with the Swiftstride special rule only. The bearer and any unit they have joined may re-roll the D6 when using the Swiftstride special rule."}, {"name": "Shroud of Iron", "pts": 10, "type": "Enchanted Item", "description": "The bearer and any unit they have joined has a 6+ Ward save against any wounds suffered that were caused by a non-magical template."}], "arcane": [{"name": "Book of Ashur", "pts": 85, "type": "Arcane Item", "description": "The bearer increases their Dispel range by 3\" and may apply a +1 modifier to any Casting or Dispel rolls, unless they roll any natural double. If any natural double is rolled, the +1 modifier cannot be applied to that roll."}, {"name": "Twin-Tailed Wand", "pts": 40, "type": "Arcane Item", "description": "Once per turn, the bearer may attempt to cast one of their spells a second time. If they miscast, instead of rolling on the Miscast table, they suffer D3 wounds with no armour or Regeneration saves permitted."}, {"name": "Wizard's Familiar", "pts": 35, "type": "Arcane Item", "description": "0-1 per Wizard. The owner may apply a +1 modifier to any of their Dispel rolls."}, {"name": "Tome of Midnight", "pts": 25, "type": "Arcane Item", "description": "The bearer knows one more spell than is normal for their Level of Wizardry. In addition, the bearer may re-roll a single failed Dispel roll per Magic phase."}, {"name": "Rod of Power", "pts": 25, "type": "Arcane Item", "description": "Once per Magic phase, the bearer may store up to 2 unused power dice at the end of the phase. These stored dice can be added to the power pool in a subsequent Magic phase."}], "banners": [{"name": "Banner of the Knights Panther", "pts": 80, "type": "Magic Standard", "description": "Battle Standard Bearer belonging to the Order of the Knights Panther only. A unit carrying this banner gains the Unbreakable special rule."}, {"name": "Imperial Banner", "pts": 60, "type": "Magic Standard", "description": "All friendly units within the Command range of the model carrying this banner roll 3D6 when making a Fear, Panic or Terror test and discard the highest result."}, {"name": "Griffon Standard", "pts": 50, "type": "Magic Standard", "description": "When determining combat result, a unit carrying the Griffon Standard can claim a Rank Bonus of +2 for each extra rank behind the first, rather than the usual +1."}, {"name": "Tapestry of Sigmar's Triumph", "pts": 40, "type": "Magic Standard", "description": "A unit carrying this tapestry may re-roll any rolls To Wound of a natural 1 during the first round of a combat."}, {"name": "Icon of Morr", "pts": 25, "type": "Magic Standard", "description": "A unit carrying the Icon of Morr gains the Fear special rule. If they already have Fear, they instead gain Terror."}, {"name": "The Banner of the Free State of Nuln", "pts": 20, "type": "Magic Standard", "description": "City-state of Nuln armies only. A unit carrying this banner gains the Stubborn special rule."}, {"name": "The Gleaming Pennant", "pts": 15, "type": "Magic Standard", "description": "Single use. A unit carrying the Gleaming Pennant may re-roll a single failed Leadership test. Note that a Break test is not a Leadership test."}, {"name": "Banner of Duty", "pts": 10, "type": "Magic Standard", "description": "A unit carrying the Banner of Duty may re-roll any failed Rally tests."}]}};
@@ -446,87 +403,437 @@ function ArmyBuilder({ data, onRefreshData }) {
   const [customUnitsDB, setCustomUnitsDB] = useState({});
   const [unitOverrides, setUnitOverrides] = useState({});
   const [customRules, setCustomRules] = useState([]);
+  // Organisers' custom units, overrides and house rules from Supabase (cached for offline starts)
+  const [campaignData, setCampaignData] = useState(() => readCampaignCache());
+  const [syncStatus, setSyncStatus] = useState(() => ({
+    user: null, isOrganiser: false, syncing: false, pending: pendingCount(), listsPending: pendingListIds().length,
+    lastSyncedAt: null, error: null,
+  }));
+  // Lists edited here and on another device where both changed the same entry or field
+  const [listConflicts, setListConflicts] = useState([]); // [{ listId, list, conflicts }]
+  const listConflictsRef = useRef([]);
+  listConflictsRef.current = listConflicts;
   const [view, setView] = useState("roster"); // roster | units | traits | items | rules | data
   const [showGameView, setShowGameView] = useState(false);
+  const [sharedView, setSharedView] = useState(null); // { list, customUnits, overrides } from a #share= link
   const [selectedUnit, setSelectedUnit] = useState(null);
   const [showNewUnitForm, setShowNewUnitForm] = useState(false);
   const [showNewListDialog, setShowNewListDialog] = useState(false);
   const [editingUnit, setEditingUnit] = useState(null);
   const [editingOverrideUnitId, setEditingOverrideUnitId] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [notification, setNotification] = useState(null);
+  const [notification, setNotification] = useState(null); // { msg, action: { label, onClick } | null }
+  const notificationTimer = useRef(null);
+  const [trash, setTrash] = useState(() => readTrash());
+  // Undo/redo: whole armyLists snapshots before/after each recorded save
+  const armyListsRef = useRef({});
+  const historyRef = useRef({ past: [], future: [] });
+  const [historySize, setHistorySize] = useState({ past: 0, future: 0 });
+  // Last saved custom units / overrides / rules, so each save can be diffed into the sync queue
+  const userDataRef = useRef({ customUnits: {}, overrides: {}, rules: [] });
+  const syncUserRef = useRef(null);
+  const userSyncRef = useRef(null);
 
   // Load from localStorage
   useEffect(() => {
     try {
       const listsRaw = localStorage.getItem(STORAGE_KEY);
-      if (listsRaw) setArmyLists(JSON.parse(listsRaw));
+      if (listsRaw) {
+        armyListsRef.current = JSON.parse(listsRaw);
+        setArmyLists(armyListsRef.current);
+      }
     } catch (e) { /* first load */ }
     try {
       const unitsRaw = localStorage.getItem(CUSTOM_UNITS_KEY);
-      if (unitsRaw) setCustomUnitsDB(JSON.parse(unitsRaw));
+      if (unitsRaw) {
+        userDataRef.current.customUnits = JSON.parse(unitsRaw);
+        setCustomUnitsDB(userDataRef.current.customUnits);
+      }
     } catch (e) { /* first load */ }
     try {
       const ovRaw = localStorage.getItem(OVERRIDES_KEY);
-      if (ovRaw) setUnitOverrides(JSON.parse(ovRaw));
+      if (ovRaw) {
+        userDataRef.current.overrides = JSON.parse(ovRaw);
+        setUnitOverrides(userDataRef.current.overrides);
+      }
     } catch (e) { /* first load */ }
     try {
       const crRaw = localStorage.getItem(CUSTOM_RULES_KEY);
-      if (crRaw) setCustomRules(JSON.parse(crRaw));
+      if (crRaw) {
+        // Rules saved before sync existed have no id yet
+        userDataRef.current.rules = withRuleIds(JSON.parse(crRaw));
+        setCustomRules(userDataRef.current.rules);
+      }
     } catch (e) { /* first load */ }
     setLoading(false);
   }, []);
 
-  // Save army lists
-  const saveArmyLists = useCallback((lists) => {
+  // A #share= link opens the shared list read-only (also when pasted into an already open tab)
+  useEffect(() => {
+    const openShared = () => {
+      const token = readShareHash();
+      if (!token) return;
+      decodeShare(token)
+        .then((shared) => {
+          if (!factions[shared.list.faction]) throw new Error(`Unknown faction "${shared.list.faction}"`);
+          setSharedView(shared);
+        })
+        .catch((e) => {
+          clearShareHash();
+          notify(`Couldn't open share link: ${e.message}`);
+        });
+    };
+    openShared();
+    window.addEventListener("hashchange", openShared);
+    return () => window.removeEventListener("hashchange", openShared);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Save army lists; changes from other devices are saved with { sync: false } so they aren't queued back
+  const persistArmyLists = useCallback((lists, { sync = true } = {}) => {
+    if (sync) queueListChanges(armyListsRef.current, lists);
+    armyListsRef.current = lists;
     setArmyLists(lists);
     try {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
       writeSnapshot(lists);
     } catch (e) { console.error("Save failed:", e); }
+    if (sync) userSyncRef.current?.pushLists();
+  }, []);
+
+  // Every edit goes through here and can be undone; { record: false } is for housekeeping (migrations).
+  // Consecutive saves with the same `step` key (typing into one field) make a single undo step.
+  const saveArmyLists = useCallback((lists, { record = true, step = null } = {}) => {
+    if (record) {
+      const h = historyRef.current;
+      if (!step || step !== h.step) h.past = [...h.past, armyListsRef.current].slice(-HISTORY_LIMIT);
+      h.step = step;
+      h.future = [];
+      setHistorySize({ past: h.past.length, future: 0 });
+    }
+    persistArmyLists(lists);
+  }, [persistArmyLists]);
+
+  // Step through the history; lists that disappear or come back move in and out of the trash
+  const stepHistory = (from, to) => {
+    const h = historyRef.current;
+    if (h[from].length === 0) return false;
+    const current = armyListsRef.current;
+    const target = h[from][h[from].length - 1];
+    h[from] = h[from].slice(0, -1);
+    h[to] = [...h[to], current];
+    h.step = null;
+    setHistorySize({ past: h.past.length, future: h.future.length });
+    reconcileTrash(current, target);
+    setTrash(readTrash());
+    persistArmyLists(target);
+    return true;
+  };
+  const undo = () => { if (stepHistory("past", "future")) notify("Undone"); };
+  const redo = () => { if (stepHistory("future", "past")) notify("Redone"); };
+
+  // Ctrl+Z / Ctrl+Shift+Z (⌘ on Mac, Ctrl+Y also redoes). Text fields keep their own undo.
+  const undoRedoRef = useRef(null);
+  undoRedoRef.current = { undo, redo };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      const t = e.target;
+      if (t && (["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName) || t.isContentEditable)) return;
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) undoRedoRef.current.redo();
+      else undoRedoRef.current.undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Queue what changed since the last save for Supabase and push it (lib/userDataSync).
+  // Values pulled from Supabase are saved with { sync: false } so they don't go straight back.
+  const trackUserData = useCallback((kind, value, sync) => {
+    if (sync) queueChanges(kind, userDataRef.current[kind], value);
+    userDataRef.current = { ...userDataRef.current, [kind]: value };
+    if (sync) userSyncRef.current?.push();
   }, []);
 
   // Save custom units
-  const saveCustomUnits = useCallback((units) => {
+  const saveCustomUnits = useCallback((units, { sync = true } = {}) => {
     setCustomUnitsDB(units);
     try {
       localStorage.setItem(CUSTOM_UNITS_KEY, JSON.stringify(units));
     } catch (e) { console.error("Save failed:", e); }
-  }, []);
+    trackUserData("customUnits", units, sync);
+  }, [trackUserData]);
 
   // Save unit overrides
-  const saveOverrides = useCallback((overrides) => {
+  const saveOverrides = useCallback((overrides, { sync = true } = {}) => {
     setUnitOverrides(overrides);
     try {
       localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
     } catch (e) { console.error("Save failed:", e); }
-  }, []);
+    trackUserData("overrides", overrides, sync);
+  }, [trackUserData]);
 
-  // Save custom house rules
-  const saveCustomRules = useCallback((rules) => {
-    setCustomRules(rules);
+  // Save custom house rules (every rule gets an id so it can be synced)
+  const saveCustomRules = useCallback((rules, { sync = true } = {}) => {
+    const withIds = withRuleIds(rules);
+    setCustomRules(withIds);
     try {
-      localStorage.setItem(CUSTOM_RULES_KEY, JSON.stringify(rules));
+      localStorage.setItem(CUSTOM_RULES_KEY, JSON.stringify(withIds));
     } catch (e) { console.error("Save failed:", e); }
+    trackUserData("rules", withIds, sync);
+  }, [trackUserData]);
+
+  // ── Supabase write-back ──
+  const pushUserData = async () => {
+    const user = syncUserRef.current;
+    const result = user ? await flushQueue(user.id) : { pending: pendingCount(), error: null };
+    setSyncStatus((s) => ({ ...s, pending: result.pending, error: result.error }));
+    return result;
+  };
+
+  // Undo snapshots are whole armyLists maps: lists changed on another device take the new copy in every
+  // snapshot, so undo never reverts someone else's edit (and pushes that back to the server)
+  const rebaseHistory = (changed) => {
+    const h = historyRef.current;
+    const rebase = (snapshot) => {
+      const out = { ...snapshot };
+      for (const [id, list] of Object.entries(changed)) {
+        if (list) out[id] = list;
+        else delete out[id];
+      }
+      return out;
+    };
+    // Steps that only touched those lists are now no-ops. Both stacks end next to the current state.
+    const dropNoops = (snapshots, next) => snapshots.filter((snap, i) =>
+      JSON.stringify(snap) !== JSON.stringify(i + 1 < snapshots.length ? snapshots[i + 1] : next));
+    h.past = dropNoops(h.past.map(rebase), armyListsRef.current);
+    h.future = dropNoops(h.future.map(rebase), armyListsRef.current);
+    setHistorySize({ past: h.past.length, future: h.future.length });
+  };
+
+  // Server list rows (pull, realtime or a push that found a newer version) merged into the local lists.
+  // A merge stays queued; it is pushed here unless the caller pushes next anyway ({ push: false }).
+  const applyListRows = (rows, { push = true } = {}) => {
+    let lists = armyListsRef.current;
+    const pending = pendingListIds();
+    const conflicts = [];
+    const changed = {};
+    let merged = 0;
+    for (const row of rows) {
+      const result = reconcileRow(row, lists[row.id] || null, pending.includes(row.id));
+      if (result.action === "none" || result.action === "keep") continue;
+      lists = { ...lists };
+      if (result.list) {
+        lists[row.id] = result.list;
+        dropFromTrash(row.id);
+      } else {
+        // Deleted on another device: recoverable from the trash here too
+        moveToTrash(lists[row.id]);
+        delete lists[row.id];
+      }
+      changed[row.id] = result.list || null;
+      if (result.action === "conflict") conflicts.push({ listId: row.id, list: result.list, conflicts: result.conflicts });
+      if (result.action === "merge") merged++;
+    }
+    if (lists !== armyListsRef.current) {
+      setTrash(readTrash());
+      persistArmyLists(lists, { sync: false });
+      rebaseHistory(changed);
+    }
+    if (merged && push) pushArmyLists();
+    if (conflicts.length) {
+      setListConflicts((c) => [...c.filter((x) => !conflicts.some((n) => n.listId === x.listId)), ...conflicts]);
+    }
+    if (merged) notify(`Merged changes from another device into ${merged} list${merged !== 1 ? "s" : ""}`);
+  };
+
+  const pushArmyLists = async () => {
+    const user = syncUserRef.current;
+    if (!user) {
+      setSyncStatus((s) => ({ ...s, listsPending: pendingListIds().length }));
+      return null;
+    }
+    const held = listConflictsRef.current.map((c) => c.listId);
+    let result = await flushLists(user.id, () => armyListsRef.current, held);
+    // Someone else saved first: merge their version in and push once more
+    if (result.stale.length) {
+      applyListRows(result.stale, { push: false });
+      result = await flushLists(user.id, () => armyListsRef.current, listConflictsRef.current.map((c) => c.listId));
+    }
+    setSyncStatus((s) => ({ ...s, listsPending: result.pending, error: result.error }));
+    return result;
+  };
+
+  const resolveListConflict = (listId, choices) => {
+    const item = listConflicts.find((c) => c.listId === listId);
+    if (!item) return;
+    listConflictsRef.current = listConflicts.filter((c) => c.listId !== listId);
+    setListConflicts(listConflictsRef.current);
+    saveArmyLists({ ...armyListsRef.current, [listId]: resolveConflicts(item.list, item.conflicts, choices) });
+    notify(`"${item.list.name}" synced`);
+  };
+
+  // Push the queue, then take the server's copy of the player's own data (only once nothing is left
+  // queued, so offline edits are never overwritten) and the organisers' campaign layer
+  const syncUserData = async () => {
+    const user = syncUserRef.current;
+    if (!user) return;
+    setSyncStatus((s) => ({ ...s, syncing: true }));
+    try {
+      applyListRows(await pullLists(), { push: false });
+      const pushedLists = await pushArmyLists();
+      const pushed = await flushQueue(user.id);
+      const { own, campaign, isOrganiser } = await pullUserData(user.id);
+      if (pushed.pending === 0) {
+        saveCustomUnits(own.customUnits, { sync: false });
+        saveOverrides(own.overrides, { sync: false });
+        saveCustomRules(own.rules, { sync: false });
+      }
+      setCampaignData(campaign);
+      setSyncStatus((s) => ({
+        ...s, syncing: false, isOrganiser, pending: pushed.pending, error: pushed.error || pushedLists?.error || null, lastSyncedAt: Date.now(),
+      }));
+    } catch (e) {
+      setSyncStatus((s) => ({ ...s, syncing: false, pending: pendingCount(), error: e.message }));
+    }
+  };
+
+  // The account's own rows stay in Supabase; this browser drops its copy so the next player starts clean
+  const clearLocalUserData = () => {
+    saveCustomUnits({}, { sync: false });
+    saveOverrides({}, { sync: false });
+    saveCustomRules([], { sync: false });
+  };
+
+  // Lists (with their trash and undo history) go the same way; the account keeps its rows
+  const clearLocalLists = () => {
+    historyRef.current = { past: [], future: [] };
+    setHistorySize({ past: 0, future: 0 });
+    dropFromTrash(Object.keys(readTrash()));
+    setTrash(readTrash());
+    listConflictsRef.current = [];
+    setListConflicts([]);
+    setCurrentListId(null);
+    persistArmyLists({}, { sync: false });
+  };
+
+  const signOutOfSync = async () => {
+    const { pending } = await pushUserData();
+    const listsPending = (await pushArmyLists())?.pending || 0;
+    const waiting = pending + listsPending;
+    if (waiting > 0 && !window.confirm(
+      `${waiting} change${waiting !== 1 ? "s" : ""} to army lists, custom units, overrides or house rules haven't synced yet and will be lost. Sign out anyway?`
+    )) return;
+    await signOut();
+    resetUserSync();
+    resetListSync();
+    clearLocalUserData();
+    clearLocalLists();
+  };
+  userSyncRef.current = { push: pushUserData, pushLists: pushArmyLists, pull: syncUserData, applyListRows, clearLocalUserData, clearLocalLists };
+
+  // Follow the Supabase session and the player's list rows; a first sign-in on this device queues what's
+  // already stored locally. Custom data and lists another account left here are only copied if the player says so.
+  useEffect(() => {
+    if (!isSupabaseEnabled()) return;
+    let unsubscribeLists = () => {};
+    const start = (user) => {
+      syncUserRef.current = user;
+      setSyncStatus((s) => ({ ...s, user, isOrganiser: user ? s.isOrganiser : false, pending: pendingCount() }));
+      unsubscribeLists();
+      unsubscribeLists = () => {};
+      if (!user) return;
+      const owner = localDataOwner();
+      if (owner && owner !== user.id) {
+        const local = userDataRef.current;
+        const hasLocal = Object.values(local.customUnits).some((units) => units?.length)
+          || Object.keys(local.overrides).length > 0 || local.rules.length > 0;
+        if (hasLocal && window.confirm(
+          "This browser holds custom units, unit overrides and house rules from another account. Copy them into this account?\n\nCancel removes them from this browser; anything already synced stays in the other account."
+        )) resetUserSync();
+        else userSyncRef.current.clearLocalUserData();
+      }
+      const listsOwner = localListsOwner();
+      if (listsOwner && listsOwner !== user.id) {
+        const count = Object.keys(armyListsRef.current).length;
+        const copy = count > 0 && window.confirm(
+          `This browser holds ${count} army list${count !== 1 ? "s" : ""} from another account. Copy ${count !== 1 ? "them" : "it"} into this account?\n\nCancel removes ${count !== 1 ? "them" : "it"} from this browser; anything already synced stays in the other account.`
+        );
+        resetListSync();
+        if (!copy) userSyncRef.current.clearLocalLists();
+      }
+      seedQueueForUser(user.id, userDataRef.current);
+      seedListQueueForUser(user.id, armyListsRef.current);
+      unsubscribeLists = subscribeLists(user.id, (row) => userSyncRef.current.applyListRows([row]));
+      userSyncRef.current.pull();
+    };
+    getSessionUser().then(start);
+    const unsubscribe = onAuthChange((user) => {
+      if ((user?.id || null) !== (syncUserRef.current?.id || null)) start(user);
+    });
+    const onOnline = () => userSyncRef.current.pull();
+    window.addEventListener("online", onOnline);
+    return () => {
+      unsubscribe();
+      unsubscribeLists();
+      window.removeEventListener("online", onOnline);
+    };
   }, []);
 
-  const notify = (msg) => {
-    setNotification(msg);
-    setTimeout(() => setNotification(null), 2500);
+  // action ({ label, onClick }) adds a button to the toast, e.g. Undo after a delete
+  const notify = (msg, action = null) => {
+    setNotification({ msg, action });
+    clearTimeout(notificationTimer.current);
+    notificationTimer.current = setTimeout(() => setNotification(null), action ? 6000 : 2500);
   };
+  const undoAction = { label: "Undo", onClick: () => undoRedoRef.current.undo() };
 
   const faction = factions[activeFaction];
-  const rawUnits = [
-    ...(baseUnits[activeFaction] || []),
-    ...(customUnitsDB[activeFaction] || []),
-  ];
-  const allUnits = applyAllOverrides(rawUnits, unitOverrides);
+  // Base units, then the player's custom units, then organisers' custom units they don't already have
+  const factionUnitsWithCustom = (factionKey) => {
+    const own = customUnitsDB[factionKey] || [];
+    return [
+      ...(baseUnits[factionKey] || []),
+      ...own.map((u) => ({ ...u, source: "custom" })),
+      ...(campaignData.customUnits[factionKey] || [])
+        .filter((u) => !own.some((o) => o.id === u.id))
+        .map((u) => ({ ...u, source: "campaign" })),
+    ];
+  };
+  // The campaign's overrides apply to everyone; the player's own win field by field
+  const effectiveOverrides = layerOverrides(campaignData.overrides, unitOverrides);
+  const rawUnits = factionUnitsWithCustom(activeFaction);
+  const allUnits = applyAllOverrides(rawUnits, effectiveOverrides);
+
+  // Drive lore keys that no faction or unit (base or custom, any faction) will ever display
+  const unmatchedLoreKeys = useMemo(
+    () => findUnmatchedLoreKeys(lore, factions, baseUnits, customUnitsDB),
+    [lore, factions, baseUnits, customUnitsDB]
+  );
 
-  // Combined house rules: base (from data files) + user-created custom rules
-  const allHouseRules = [...(houseRules || []), ...customRules];
+  // Combined house rules: base (from data files) + campaign organisers' rules + user-created custom rules
+  const allHouseRules = [...(houseRules || []), ...campaignData.rules, ...customRules];
 
   const currentList = currentListId ? armyLists[currentListId] : null;
 
+  // ── Allied contingent: a second faction's units and items, with the same overrides ──
+  const allyFactionKey = currentList?.allies?.faction || null;
+  const allyFaction = allyFactionKey ? factions[allyFactionKey] : null;
+  const allyUnits = allyFactionKey
+    ? applyAllOverrides(factionUnitsWithCustom(allyFactionKey), effectiveOverrides)
+    : [];
+  // Every unit an entry of the current list can refer to (ids are unique across factions)
+  const listUnits = allyUnits.length > 0
+    ? [...allUnits, ...allyUnits.filter((u) => !allUnits.some((m) => m.id === u.id))]
+    : allUnits;
+  const allyItemsCatalog = useMemo(
+    () => (allyFactionKey ? buildItemsCatalog(allyFactionKey) : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [allyFactionKey, magicItems]
+  );
+
   // ── Army List CRUD ──
   const createList = (name, pointsLimit) => {
     const id = `list_${Date.now()}`;
@@ -538,6 +845,8 @@ function ArmyBuilder({ data, onRefreshData }) {
       entries: [],
       traits: [],
       notes: "",
+      generalEntryId: null,
+      bsbEntryId: null,
       createdAt: new Date().toISOString(),
     };
     const updated = { ...armyLists, [id]: newList };
@@ -547,14 +856,163 @@ function ArmyBuilder({ data, onRefreshData }) {
     notify("Army list created!");
   };
 
+  // Deleted lists go to the trash (restorable for TRASH_DAYS days)
   const deleteList = (id) => {
+    const list = armyLists[id];
+    if (!list) return;
     const updated = { ...armyLists };
     delete updated[id];
+    moveToTrash(list);
+    setTrash(readTrash());
     saveArmyLists(updated);
     if (currentListId === id) setCurrentListId(null);
+    notify(`"${list.name}" moved to trash`, undoAction);
   };
 
-  const addUnitToList = (unitDef, quantity = null) => {
+  // Copies keep their entryIds so the diff view lines the two lists up unit for unit
+  const duplicateList = (id) => {
+    const source = armyLists[id];
+    if (!source) return;
+    const newId = `list_${Date.now()}`;
+    const copy = {
+      ...JSON.parse(JSON.stringify(source)),
+      id: newId,
+      name: `${source.name} (copy)`,
+      versions: [],
+      createdAt: new Date().toISOString(),
+    };
+    saveArmyLists({ ...armyLists, [newId]: copy });
+    setCurrentListId(newId);
+    notify(`"${copy.name}" created`);
+  };
+
+  // Creates a list from a matched import (see lib/listImport); entries are priced here
+  const importList = (name, pointsLimit, matched) => {
+    const id = `list_${Date.now()}`;
+    const entries = matched.entries.map((e) => {
+      const unitDef = allUnits.find((u) => u.id === e.unitId);
+      return { ...e, ptsCost: unitDef ? calcEntryCost(e, unitDef) : 0 };
+    });
+    const newList = {
+      id,
+      name,
+      faction: activeFaction,
+      pointsLimit: parseInt(pointsLimit) || 2000,
+      entries,
+      traits: [],
+      notes: "",
+      generalEntryId: matched.generalEntryId,
+      bsbEntryId: matched.bsbEntryId,
+      createdAt: new Date().toISOString(),
+    };
+    saveArmyLists({ ...armyLists, [id]: newList });
+    setCurrentListId(id);
+    notify(`Imported "${name}" (${entries.length} units)`);
+  };
+
+  // ── Share links ──
+  const shareList = async () => {
+    if (!currentList) return;
+    try {
+      // The organisers' custom units and overrides the list relies on travel with it too, as do units
+      // loaded from Drive, dataset JSON or BSData (the viewer may not have those sources)
+      const customUnits = { ...customUnitsDB };
+      for (const [factionKey, units] of Object.entries(campaignData.customUnits)) {
+        const own = customUnits[factionKey] || [];
+        customUnits[factionKey] = [...own, ...units.filter((u) => !own.some((o) => o.id === u.id))];
+      }
+      const token = await encodeShare(buildSharePayload(currentList, { customUnitsDB: customUnits, unitOverrides: effectiveOverrides, loadedUnits: baseUnits }));
+      const ok = await copyToClipboard(shareUrl(token));
+      notify(ok ? "Share link copied (read-only view of this list)" : "Couldn't copy the share link");
+    } catch (e) {
+      notify(`Couldn't create share link: ${e.message}`);
+    }
+  };
+
+  const closeSharedView = () => {
+    clearShareHash();
+    setSharedView(null);
+  };
+
+  // Adds the shared list as a new list; custom units and overrides the viewer doesn't have yet come with it,
+  // existing ones are left alone
+  const importSharedList = () => {
+    const { list, customUnits, overrides } = sharedView;
+    const mergedUnits = { ...customUnitsDB };
+    let addedUnits = 0;
+    for (const [factionKey, units] of Object.entries(customUnits)) {
+      const have = [...(mergedUnits[factionKey] || []), ...(baseUnits[factionKey] || [])];
+      // Drive / dataset / BSData units the viewer doesn't load become their custom units
+      const missing = units
+        .filter((u) => !have.some((h) => h.id === u.id))
+        .map(({ source, ...u }) => u);
+      if (missing.length) {
+        mergedUnits[factionKey] = [...(mergedUnits[factionKey] || []), ...missing];
+        addedUnits += missing.length;
+      }
+    }
+    if (addedUnits) saveCustomUnits(mergedUnits);
+    const newOverrides = Object.fromEntries(Object.entries(overrides).filter(([unitId]) => !unitOverrides[unitId]));
+    const addedOverrides = Object.keys(newOverrides).length;
+    if (addedOverrides) saveOverrides({ ...unitOverrides, ...newOverrides });
+
+    const id = `list_${Date.now()}`;
+    saveArmyLists({ ...armyLists, [id]: { ...list, id, versions: [], createdAt: new Date().toISOString() } });
+    setActiveFaction(list.faction);
+    setCurrentListId(id);
+    setSelectedUnit(null);
+    setView("roster");
+    closeSharedView();
+    const extras = [
+      addedUnits && `${addedUnits} custom unit${addedUnits !== 1 ? "s" : ""}`,
+      addedOverrides && `${addedOverrides} override${addedOverrides !== 1 ? "s" : ""}`,
+    ].filter(Boolean);
+    notify(`Imported "${list.name}"${extras.length ? ` with ${extras.join(" and ")}` : ""}`);
+  };
+
+  // ── Named versions ──
+  // A version is a snapshot of the list's army (entries, roles, allies…) kept on the list itself
+  const saveVersion = (name) => {
+    if (!currentList) return;
+    const version = {
+      id: `ver_${Date.now()}`,
+      name: name || `Version ${(currentList.versions || []).length + 1}`,
+      savedAt: new Date().toISOString(),
+      snapshot: versionSnapshot(currentList),
+    };
+    saveArmyLists({ ...armyLists, [currentListId]: { ...currentList, versions: [...(currentList.versions || []), version] } });
+    notify(`Saved version "${version.name}"`);
+  };
+
+  const restoreVersion = (versionId) => {
+    const version = (currentList?.versions || []).find((v) => v.id === versionId);
+    if (!version) return;
+    saveArmyLists({ ...armyLists, [currentListId]: { ...currentList, allies: null, ...JSON.parse(JSON.stringify(version.snapshot)) } });
+    notify(`Restored "${version.name}"`, undoAction);
+  };
+
+  const deleteVersion = (versionId) => {
+    if (!currentList) return;
+    const versions = (currentList.versions || []).filter((v) => v.id !== versionId);
+    saveArmyLists({ ...armyLists, [currentListId]: { ...currentList, versions } });
+  };
+
+  const restoreList = (id) => {
+    const item = trash[id];
+    if (!item) return;
+    dropFromTrash(id);
+    setTrash(readTrash());
+    saveArmyLists({ ...armyLists, [id]: item.list });
+    notify(`"${item.list.name}" restored`);
+  };
+
+  const purgeList = (id) => {
+    dropFromTrash(id);
+    setTrash(readTrash());
+  };
+
+  // contingent "allies" adds the unit to the list's allied contingent
+  const addUnitToList = (unitDef, quantity = null, contingent = null) => {
     if (!currentList) return;
     const entry = {
       entryId: `entry_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
@@ -573,6 +1031,7 @@ function ArmyBuilder({ data, onRefreshData }) {
       relicForm: unitDef.relic ? "basic" : null,
       arrows: null,
       notes: "",
+      ...(contingent ? { contingent } : {}),
     };
     const updated = {
       ...armyLists,
@@ -585,62 +1044,90 @@ function ArmyBuilder({ data, onRefreshData }) {
     notify(`Added ${unitDef.name}`);
   };
 
-  const updateEntry = (entryId, changes) => {
+  // { step: field } merges keystrokes in one of the entry's text fields into a single undo step
+  const updateEntry = (entryId, changes, { step = null } = {}) => {
     if (!currentList) return;
     const entries = currentList.entries.map((e) => {
       if (e.entryId !== entryId) return e;
       const updated = { ...e, ...changes };
-      const unitDef = allUnits.find((u) => u.id === e.unitId);
+      const unitDef = listUnits.find((u) => u.id === e.unitId);
       if (!unitDef) return updated;
-      // Full points recalculation
-      const modelCount = updated.modelCount || 1;
-      const usesPerModel = ARROWS_PER_MODEL_UNITS.includes(unitDef.id);
-      const arrowCost = updated.arrows
-        ? (usesPerModel ? (updated.arrows.ptsPerModel || 0) * modelCount : (updated.arrows.ptsFlat || 0))
-        : 0;
-      // Calculate upgrade costs (per-model upgrades × modelCount)
-      const upgradeDefs = unitDef.upgrades || [];
-      const activeUpgrades = updated.activeUpgrades || [];
-      const upgradeCost = upgradeDefs
-        .filter(u => activeUpgrades.includes(u.id))
-        .reduce((sum, u) => sum + (u.perModel ? (u.pts || 0) * modelCount : (u.pts || 0)), 0);
-      // Calculate command magic items cost
-      const commandMagicItems = updated.commandMagicItems || {};
-      const commandMagicCost = Object.values(commandMagicItems).reduce((sum, items) => {
-        return sum + Object.values(items || {}).reduce((s, item) => s + (item?.pts || 0), 0);
-      }, 0);
-      if (unitDef.isCharacter) {
-        updated.ptsCost = (unitDef.ptsCost || 0) + calcMagicItemsCost(updated.magicItems) + arrowCost + upgradeCost + commandMagicCost;
-      } else {
-        updated.ptsCost = ((unitDef.ptsPerModel || 0) * modelCount) + arrowCost + upgradeCost + commandMagicCost;
-      }
+      updated.ptsCost = calcEntryCost(updated, unitDef);
       return updated;
     });
     saveArmyLists({
       ...armyLists,
       [currentListId]: { ...currentList, entries },
-    });
+    }, { step: step && `${currentListId}:${entryId}:${step}` });
   };
 
   const removeEntry = (entryId) => {
     if (!currentList) return;
+    const removed = currentList.entries.find((e) => e.entryId === entryId);
     saveArmyLists({
       ...armyLists,
       [currentListId]: {
         ...currentList,
-        entries: currentList.entries.filter((e) => e.entryId !== entryId),
+        // Characters that had joined the removed unit stay in the list, unattached
+        entries: currentList.entries
+          .filter((e) => e.entryId !== entryId)
+          .map((e) => (e.joinedTo === entryId ? { ...e, joinedTo: null } : e)),
+        generalEntryId: currentList.generalEntryId === entryId ? null : currentList.generalEntryId,
+        bsbEntryId: currentList.bsbEntryId === entryId ? null : currentList.bsbEntryId,
       },
     });
+    if (removed) notify(`Removed ${removed.unitName}`, undoAction);
+  };
+
+  // ── Allied contingent ──
+  // allies is { faction, pointsLimit } or null; dropping it removes the contingent's entries.
+  const setAllies = (allies, { step = null } = {}) => {
+    if (!currentList) return;
+    if (allies) {
+      saveArmyLists({ ...armyLists, [currentListId]: { ...currentList, allies } }, { step: step && `${currentListId}:allies:${step}` });
+      return;
+    }
+    const kept = currentList.entries.filter((e) => !isAllied(e));
+    const keptIds = new Set(kept.map((e) => e.entryId));
+    saveArmyLists({
+      ...armyLists,
+      [currentListId]: {
+        ...currentList,
+        allies: null,
+        entries: kept,
+        generalEntryId: keptIds.has(currentList.generalEntryId) ? currentList.generalEntryId : null,
+        bsbEntryId: keptIds.has(currentList.bsbEntryId) ? currentList.bsbEntryId : null,
+      },
+    });
+    notify("Allied contingent removed", undoAction);
+  };
+
+  // ── General / Battle Standard Bearer ──
+  // role is "general" or "bsb"; entryId null clears it. One entry can't hold both.
+  const setListRole = (role, entryId) => {
+    if (!currentList) return;
+    const changes = role === "general" ? { generalEntryId: entryId } : { bsbEntryId: entryId };
+    if (entryId && role === "general" && currentList.bsbEntryId === entryId) changes.bsbEntryId = null;
+    if (entryId && role === "bsb" && currentList.generalEntryId === entryId) changes.generalEntryId = null;
+    saveArmyLists({ ...armyLists, [currentListId]: { ...currentList, ...changes } });
   };
 
   // ── Auto-migrate stale entry.unitName to match live unitDef.name ──────────
+  // Also turns old "Wizard Level N" / lore upgrade ids into wizardLevel / lore once a unit has
+  // structured wizard data, and recomputes ptsCost from the migrated entry. Units are looked up in
+  // listUnits so the current list's allied entries are covered too.
   useEffect(() => {
     if (!allUnits || allUnits.length === 0 || Object.keys(armyLists).length === 0) return;
     let changed = false;
     const migrated = {};
     Object.entries(armyLists).forEach(([listId, list]) => {
       const newEntries = list.entries.map((e) => {
-        const unitDef = allUnits.find((u) => u.id === e.unitId);
+        const unitDef = listUnits.find((u) => u.id === e.unitId);
+        const wizardMigrated = migrateWizardEntry(e, unitDef);
+        if (wizardMigrated) {
+          changed = true;
+          e = { ...wizardMigrated, ptsCost: calcEntryCost(wizardMigrated, unitDef) };
+        }
         if (unitDef && unitDef.name && e.unitName !== unitDef.name) {
           changed = true;
           return { ...e, unitName: unitDef.name };
@@ -650,14 +1137,38 @@ function ArmyBuilder({ data, onRefreshData }) {
       migrated[listId] = { ...list, entries: newEntries };
     });
     if (changed) {
-      saveArmyLists(migrated);
+      saveArmyLists(migrated, { record: false });
     }
-  }, [allUnits]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [listUnits]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const totalPoints = currentList
     ? currentList.entries.reduce((sum, e) => sum + (e.ptsCost || 0), 0)
     : 0;
 
+  // Composition check (Core minimum, Character/Special/Rare maximums, 0-X limits)
+  const composition = currentList
+    ? validateComposition(currentList, getFactionComposition(compositionRules, currentList.faction), listUnits)
+    : null;
+  const allyComposition = currentList && allyFactionKey
+    ? validateAllies(currentList, getAllyComposition(compositionRules, currentList.faction, allyFactionKey), listUnits)
+    : null;
+
+  // Army-wide magic item legality (uniqueness, slots, budgets) — allies included
+  const itemLegality = currentList ? validateMagicItems(currentList, listUnits) : null;
+
+  // ── Shared list (read-only): the sharer's custom units and overrides, not the viewer's ──
+  // Units embedded in the link come first so the sharer's copy wins over a same-id unit loaded here
+  const sharedUnitsFor = (factionKey) => applyAllOverrides([
+    ...(sharedView.customUnits[factionKey] || []).map((u) => ({ ...u, source: u.source || "custom" })),
+    ...(baseUnits[factionKey] || []),
+  ], sharedView.overrides);
+  const sharedList = sharedView?.list || null;
+  const sharedAllyKey = sharedList?.allies?.faction || null;
+  const sharedMainUnits = sharedList ? sharedUnitsFor(sharedList.faction) : [];
+  const sharedUnits = sharedAllyKey
+    ? [...sharedMainUnits, ...sharedUnitsFor(sharedAllyKey).filter((u) => !sharedMainUnits.some((m) => m.id === u.id))]
+    : sharedMainUnits;
+
   // ── Custom Unit CRUD ──
   const addCustomUnit = (unit) => {
     const existing = customUnitsDB[activeFaction] || [];
@@ -694,18 +1205,66 @@ function ArmyBuilder({ data, onRefreshData }) {
       {showGameView && currentList && (
         <GameView
           currentList={currentList}
-          allUnits={allUnits}
+          allUnits={listUnits}
           faction={faction}
+          allyFaction={allyFaction}
+          allyComposition={allyComposition}
           activeFaction={activeFaction}
           totalPoints={totalPoints}
+          composition={composition}
           onClose={() => setShowGameView(false)}
           localRulesDesc={SPECIAL_RULES_DESC}
+          glossary={glossary}
+          lore={lore}
+          spells={spells}
+          itemsCatalog={factionItemsCatalog}
+        />
+      )}
+      {sharedList && (
+        <GameView
+          currentList={sharedList}
+          allUnits={sharedUnits}
+          faction={factions[sharedList.faction]}
+          allyFaction={sharedAllyKey ? factions[sharedAllyKey] : null}
+          allyComposition={sharedAllyKey
+            ? validateAllies(sharedList, getAllyComposition(compositionRules, sharedList.faction, sharedAllyKey), sharedUnits)
+            : null}
+          activeFaction={sharedList.faction}
+          totalPoints={sharedList.entries.reduce((sum, e) => sum + (e.ptsCost || 0), 0)}
+          composition={validateComposition(sharedList, getFactionComposition(compositionRules, sharedList.faction), sharedUnits)}
+          onClose={closeSharedView}
+          onImport={importSharedList}
+          localRulesDesc={SPECIAL_RULES_DESC}
+          glossary={glossary}
+          lore={lore}
+          spells={spells}
+          itemsCatalog={buildItemsCatalog(sharedList.faction)}
+        />
+      )}
+
+      {/* ══ Sync conflicts, one list at a time ══ */}
+      {listConflicts.length > 0 && (
+        <ListConflictDialog
+          key={listConflicts[0].listId}
+          conflict={listConflicts[0]}
+          allUnits={listUnits}
+          onResolve={(choices) => resolveListConflict(listConflicts[0].listId, choices)}
         />
       )}
 
       {/* ══ Notification ══ */}
       {notification && (
-        <div style={styles.notification}>{notification}</div>
+        <div style={styles.notification}>
+          {notification.msg}
+          {notification.action && (
+            <button
+              style={styles.notificationAction}
+              onClick={() => { setNotification(null); notification.action.onClick(); }}
+            >
+              {notification.action.label}
+            </button>
+          )}
+        </div>
       )}
 
       {/* ══ Header ══ */}
@@ -754,6 +1313,20 @@ function ArmyBuilder({ data, onRefreshData }) {
         ))}
       </div>
 
+      {/* ══ Faction Lore ══ */}
+      {findLore(lore, activeFaction) && (
+        <div style={styles.factionLore}>
+          <LoreBlock
+            key={activeFaction}
+            text={findLore(lore, activeFaction)}
+            accent={faction.accent}
+            title={`${faction.icon} ${faction.name}`}
+            collapsible
+            defaultOpen={false}
+          />
+        </div>
+      )}
+
       {/* ══ Nav ══ */}
       <nav style={styles.nav}>
         {[
@@ -763,6 +1336,7 @@ function ArmyBuilder({ data, onRefreshData }) {
           { key: "items", label: "Items & Relics", icon: "✨" },
           { key: "map", label: "Campaign Map", icon: "🗺" },
           { key: "rules", label: "House Rules", icon: "📖" },
+          { key: "glossary", label: "Rules Glossary", icon: "📚" },
           { key: "data", label: "Manage Data", icon: "⚙" },
           { key: "settings", label: "Settings", icon: "🔧" },
         ].map((tab) => (
@@ -791,6 +1365,7 @@ function ArmyBuilder({ data, onRefreshData }) {
             faction={faction}
             activeFaction={activeFaction}
             addUnitToList={currentList ? addUnitToList : null}
+            lore={lore}
           />
         )}
         {view === "roster" && (
@@ -803,16 +1378,39 @@ function ArmyBuilder({ data, onRefreshData }) {
             setCurrentListId={setCurrentListId}
             createList={createList}
             deleteList={deleteList}
-            allUnits={allUnits}
+            duplicateList={duplicateList}
+            importList={importList}
+            saveVersion={saveVersion}
+            restoreVersion={restoreVersion}
+            deleteVersion={deleteVersion}
+            allUnits={listUnits}
+            factionUnits={allUnits}
             addUnitToList={addUnitToList}
             updateEntry={updateEntry}
             removeEntry={removeEntry}
             totalPoints={totalPoints}
+            composition={composition}
             showNewListDialog={showNewListDialog}
             setShowNewListDialog={setShowNewListDialog}
             notify={notify}
             magicItems={factionItemsCatalog}
+            itemLegality={itemLegality}
+            setListRole={setListRole}
+            spells={spells}
+            factions={factions}
+            allyFaction={allyFaction}
+            allyUnits={allyUnits}
+            allyItemsCatalog={allyItemsCatalog}
+            allyComposition={allyComposition}
+            setAllies={setAllies}
+            trash={trash}
+            restoreList={restoreList}
+            purgeList={purgeList}
+            undo={undo}
+            redo={redo}
+            historySize={historySize}
             onOpenGameView={() => setShowGameView(true)}
+            onShareList={shareList}
           />
         )}
         {view === "units" && (
@@ -827,12 +1425,16 @@ function ArmyBuilder({ data, onRefreshData }) {
             saveOverrides={saveOverrides}
             editingOverrideUnitId={editingOverrideUnitId}
             setEditingOverrideUnitId={setEditingOverrideUnitId}
+            lore={lore}
           />
         )}
         {view === "items" && (
           <ItemsView allUnits={allUnits} faction={faction} magicItems={factionItemsCatalog} />
         )}
         {view === "rules" && <RulesView houseRules={allHouseRules} customRules={customRules} saveCustomRules={saveCustomRules} faction={faction} notify={notify} />}
+        {view === "glossary" && (
+          <RulesGlossaryView glossary={glossary} localRulesDesc={SPECIAL_RULES_DESC} allUnits={allUnits} faction={faction} />
+        )}
         {view === "map" && <MapView factions={FALLBACK_FACTIONS} />}
         {view === "data" && (
           <DataView
@@ -858,6 +1460,12 @@ function ArmyBuilder({ data, onRefreshData }) {
         )}
         {view === "settings" && (
           <SettingsView
+            factions={factions}
+            syncStatus={syncStatus}
+            campaignData={campaignData}
+            onSyncNow={syncUserData}
+            onSignOut={signOutOfSync}
+            unmatchedLoreKeys={unmatchedLoreKeys}
             onRefreshData={onRefreshData}
             notify={notify}
             armyLists={armyLists}
@@ -881,26 +1489,84 @@ function ArmyBuilder({ data, onRefreshData }) {
 
 function RosterView({
   faction, activeFaction, armyLists, currentList, currentListId,
-  setCurrentListId, createList, deleteList, allUnits, addUnitToList,
-  updateEntry, removeEntry, totalPoints, showNewListDialog, setShowNewListDialog, notify,
-  magicItems, onOpenGameView,
+  setCurrentListId, createList, deleteList, duplicateList, importList, saveVersion, restoreVersion, deleteVersion,
+  allUnits, factionUnits, addUnitToList,
+  updateEntry, removeEntry, totalPoints, composition, showNewListDialog, setShowNewListDialog, notify,
+  magicItems, itemLegality, setListRole, spells, factions, allyFaction, allyUnits, allyItemsCatalog,
+  allyComposition, setAllies, trash, restoreList, purgeList, undo, redo, historySize, onOpenGameView, onShareList,
 }) {
   const [newListName, setNewListName] = useState("");
   const [newListPts, setNewListPts] = useState("2000");
   const [showAddUnit, setShowAddUnit] = useState(false);
+  const [showAddAlly, setShowAddAlly] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [versionName, setVersionName] = useState("");
+  // { left, right } source keys for the diff view, or null when closed
+  const [diffSources, setDiffSources] = useState(null);
+  const trashed = Object.values(trash || {})
+    .filter((t) => t.list.faction === activeFaction)
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+  const [allyPick, setAllyPick] = useState("");
+  const [allyPts, setAllyPts] = useState("500");
 
   const factionLists = Object.values(armyLists).filter(
     (l) => l.faction === activeFaction
   );
 
   // Group entries by category
-  const grouped = {};
-  if (currentList) {
+  // Characters joined to a unit in the list are shown nested under it, not in their own category group
+  const isNested = (e) => !!e.joinedTo && currentList.entries.some((h) => h.entryId === e.joinedTo);
+  // The allied contingent is grouped separately, in its own block
+  const groupEntries = (entries) => {
+    const groups = {};
     UNIT_CATEGORIES.forEach((cat) => {
-      const entries = currentList.entries.filter((e) => e.category === cat);
-      if (entries.length > 0) grouped[cat] = entries;
+      const inCat = entries.filter((e) => e.category === cat);
+      if (inCat.length > 0) groups[cat] = inCat;
     });
-  }
+    return groups;
+  };
+  const grouped = currentList ? groupEntries(currentList.entries.filter((e) => !isAllied(e))) : {};
+  const alliedGrouped = currentList?.allies ? groupEntries(currentList.entries.filter(isAllied)) : {};
+  const alliedPoints = currentList ? currentList.entries.filter(isAllied).reduce((s, e) => s + (e.ptsCost || 0), 0) : 0;
+
+  // Units a character entry could join, with the reason when it can't
+  const joinTargets = (entry) => currentList.entries
+    .filter((h) => !h.isCharacter)
+    .map((h) => ({
+      entryId: h.entryId,
+      name: h.unitName,
+      problem: joinProblem(entry, allUnits.find((u) => u.id === entry.unitId), h, allUnits.find((u) => u.id === h.unitId)),
+    }));
+
+  const renderEntry = (entry) => {
+    const unitDef = allUnits.find((u) => u.id === entry.unitId);
+    const joined = entry.isCharacter ? [] : getJoinedCharacters(currentList, entry.entryId);
+    const allied = isAllied(entry) && allyFaction;
+    return (
+      <div key={entry.entryId}>
+        <EntryCard
+          entry={entry}
+          unitDef={unitDef}
+          faction={allied ? allyFaction : faction}
+          updateEntry={updateEntry}
+          removeEntry={removeEntry}
+          itemsCatalog={allied ? allyItemsCatalog : magicItems}
+          legality={itemLegality}
+          isGeneral={entry.entryId === currentList.generalEntryId}
+          isBSB={entry.entryId === currentList.bsbEntryId}
+          spells={spells}
+          joinTargets={entry.isCharacter ? joinTargets(entry) : null}
+        />
+        {joined.length > 0 && (
+          <div style={{ ...styles.joinedEntries, borderColor: `${(allied ? allyFaction : faction).color}66` }}>
+            {joined.map(renderEntry)}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div style={styles.rosterContainer}>
@@ -908,13 +1574,64 @@ function RosterView({
       <div style={styles.listSelector}>
         <div style={styles.listSelectorHeader}>
           <h2 style={styles.sectionTitle}>Army Lists</h2>
-          <button
-            style={{ ...styles.btn, background: faction.color }}
-            onClick={() => setShowNewListDialog(true)}
-          >
-            + New List
-          </button>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button style={{ ...styles.btn, background: "#374151" }} onClick={undo} disabled={!historySize.past} title="Undo (Ctrl+Z)">
+              ↶
+            </button>
+            <button style={{ ...styles.btn, background: "#374151" }} onClick={redo} disabled={!historySize.future} title="Redo (Ctrl+Shift+Z)">
+              ↷
+            </button>
+            <button style={{ ...styles.btn, background: "#374151" }} onClick={() => setShowImport(!showImport)}>
+              📥 Import
+            </button>
+            {trashed.length > 0 && (
+              <button style={{ ...styles.btn, background: "#374151" }} onClick={() => setShowTrash(!showTrash)}>
+                🗑 Trash ({trashed.length})
+              </button>
+            )}
+            <button
+              style={{ ...styles.btn, background: faction.color }}
+              onClick={() => setShowNewListDialog(true)}
+            >
+              + New List
+            </button>
+          </div>
         </div>
+        {showImport && (
+          <ImportListPanel
+            allUnits={factionUnits}
+            itemsCatalog={magicItems}
+            faction={faction}
+            onImport={(name, pts, matched) => { importList(name, pts, matched); setShowImport(false); }}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+        {showTrash && trashed.length > 0 && (
+          <div style={styles.trashPanel}>
+            <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 6 }}>
+              Deleted lists are kept for {TRASH_DAYS} days.
+            </div>
+            {trashed.map(({ list, deletedAt }) => (
+              <div key={list.id} style={styles.trashRow}>
+                <span style={{ color: "#d1d5db", flex: 1 }}>
+                  {list.name}
+                  <span style={{ color: "#6b7280", fontSize: 12, marginLeft: 8 }}>
+                    {list.entries.length} units · deleted {new Date(deletedAt).toLocaleDateString()} · {daysLeft(deletedAt)} days left
+                  </span>
+                </span>
+                <button style={{ ...styles.btn, background: faction.color, padding: "4px 10px", fontSize: 12 }} onClick={() => restoreList(list.id)}>
+                  Restore
+                </button>
+                <button
+                  style={{ ...styles.btn, background: "#7f1d1d", padding: "4px 10px", fontSize: 12 }}
+                  onClick={() => { if (confirm(`Delete "${list.name}" permanently?`)) purgeList(list.id); }}
+                >
+                  Delete forever
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
         {factionLists.length === 0 && !showNewListDialog && (
           <div style={styles.emptyState}>
             <p style={{ color: "#9ca3af" }}>No army lists yet. Create one to get started.</p>
@@ -935,15 +1652,32 @@ function RosterView({
             >
               <div style={styles.listCardHeader}>
                 <strong style={{ color: "#e5e7eb" }}>{l.name}</strong>
+                <span>
+                <button
+                  style={{ ...styles.deleteBtn, color: "#9ca3af" }}
+                  title="Duplicate list"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    duplicateList(l.id);
+                  }}
+                >
+                  ⧉
+                </button>
                 <button
                   style={styles.deleteBtn}
-                  onClick={(e) => { e.stopPropagation(); deleteList(l.id); }}
+                  title="Move to trash"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (confirm(`Delete "${l.name}"? It stays in the trash for ${TRASH_DAYS} days.`)) deleteList(l.id);
+                  }}
                 >
                   ✕
                 </button>
+                </span>
               </div>
               <div style={styles.listCardMeta}>
                 {l.entries.length} units · {l.entries.reduce((s, e) => s + (e.ptsCost || 0), 0)}/{l.pointsLimit} pts
+                {!getListRoles(l).general && <span style={{ color: "#f59e0b", marginLeft: 6 }} title="No General chosen">· ⚠ Incomplete</span>}
               </div>
             </div>
           ))}
@@ -993,6 +1727,41 @@ function RosterView({
               {currentList.name}
             </h2>
             <div style={{ display: "flex", gap: 8 }}>
+              <button
+                style={{ ...styles.btn, background: "#374151" }}
+                onClick={() => setShowVersions(!showVersions)}
+              >
+                🕓 Versions{currentList.versions?.length ? ` (${currentList.versions.length})` : ""}
+              </button>
+              {factionLists.length + (currentList.versions?.length || 0) > 1 && (
+                <button
+                  style={{ ...styles.btn, background: "#374151" }}
+                  onClick={() => setDiffSources({
+                    left: currentList.versions?.length
+                      ? `${currentList.id}::${currentList.versions[currentList.versions.length - 1].id}`
+                      : factionLists.find((l) => l.id !== currentList.id).id,
+                    right: currentList.id,
+                  })}
+                >
+                  ⇄ Compare
+                </button>
+              )}
+              <ExportMenu
+                list={currentList}
+                allUnits={allUnits}
+                faction={faction}
+                allyFaction={allyFaction}
+                categories={UNIT_CATEGORIES}
+                spells={spells}
+                buttonStyle={{ ...styles.btn, background: "#374151" }}
+              />
+              <button
+                style={{ ...styles.btn, background: "#374151" }}
+                onClick={onShareList}
+                title="Copy a link that opens this list read-only (custom units and overrides included)"
+              >
+                🔗 Share link
+              </button>
               <button
                 style={{ ...styles.btn, background: "#1e3a5f" }}
                 onClick={onOpenGameView}
@@ -1008,56 +1777,583 @@ function RosterView({
             </div>
           </div>
 
-          {/* Points Bar */}
-          <div style={styles.pointsBar}>
-            <div
-              style={{
-                ...styles.pointsFill,
-                width: `${Math.min(100, (totalPoints / currentList.pointsLimit) * 100)}%`,
-                background: totalPoints > currentList.pointsLimit
-                  ? "linear-gradient(90deg, #ef4444, #dc2626)"
-                  : `linear-gradient(90deg, ${faction.color}, ${faction.accent})`,
-              }}
-            />
-          </div>
+          {/* Points Bar */}
+          <div style={styles.pointsBar}>
+            <div
+              style={{
+                ...styles.pointsFill,
+                width: `${Math.min(100, (totalPoints / currentList.pointsLimit) * 100)}%`,
+                background: totalPoints > currentList.pointsLimit
+                  ? "linear-gradient(90deg, #ef4444, #dc2626)"
+                  : `linear-gradient(90deg, ${faction.color}, ${faction.accent})`,
+              }}
+            />
+          </div>
+
+          {/* Saved versions */}
+          {showVersions && (
+            <div style={styles.trashPanel}>
+              <div style={{ display: "flex", gap: 8, marginBottom: 6 }}>
+                <input
+                  style={{ ...styles.input, flex: 1 }}
+                  placeholder={`Version ${(currentList.versions || []).length + 1}`}
+                  value={versionName}
+                  onChange={(e) => setVersionName(e.target.value)}
+                />
+                <button
+                  style={{ ...styles.btn, background: faction.color }}
+                  onClick={() => { saveVersion(versionName.trim()); setVersionName(""); }}
+                >
+                  💾 Save Version
+                </button>
+              </div>
+              {!(currentList.versions || []).length && (
+                <div style={{ color: "#6b7280", fontSize: 12 }}>
+                  No saved versions. A version keeps a copy of this list you can compare against or go back to.
+                </div>
+              )}
+              {[...(currentList.versions || [])].reverse().map((v) => (
+                <div key={v.id} style={styles.trashRow}>
+                  <span style={{ color: "#d1d5db", flex: 1 }}>
+                    {v.name}
+                    <span style={{ color: "#6b7280", fontSize: 12, marginLeft: 8 }}>
+                      {v.snapshot.entries.length} units · {v.snapshot.entries.reduce((s, e) => s + (e.ptsCost || 0), 0)} pts · {new Date(v.savedAt).toLocaleString()}
+                    </span>
+                  </span>
+                  <button
+                    style={{ ...styles.btn, background: "#374151", padding: "4px 10px", fontSize: 12 }}
+                    onClick={() => setDiffSources({ left: `${currentList.id}::${v.id}`, right: currentList.id })}
+                  >
+                    ⇄ Compare
+                  </button>
+                  <button
+                    style={{ ...styles.btn, background: faction.color, padding: "4px 10px", fontSize: 12 }}
+                    onClick={() => { if (confirm(`Replace the list with "${v.name}"? You can undo this.`)) restoreVersion(v.id); }}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    style={{ ...styles.btn, background: "#7f1d1d", padding: "4px 10px", fontSize: 12 }}
+                    onClick={() => { if (confirm(`Delete version "${v.name}"?`)) deleteVersion(v.id); }}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {diffSources && (
+            <ListDiffView
+              lists={factionLists}
+              allUnits={allUnits}
+              faction={faction}
+              spells={spells}
+              sources={diffSources}
+              setSources={setDiffSources}
+              onClose={() => setDiffSources(null)}
+            />
+          )}
+
+          {/* Composition */}
+          {composition && <CompositionPanel composition={composition} faction={faction} />}
+
+          {/* General & BSB */}
+          <ListRolesPanel list={currentList} allUnits={allUnits} faction={faction} setListRole={setListRole} />
+
+          {/* Add Unit Panel */}
+          {showAddUnit && (
+            <AddUnitPanel
+              allUnits={factionUnits}
+              faction={faction}
+              onAdd={(unit, qty) => { addUnitToList(unit, qty); }}
+            />
+          )}
+
+          {/* Grouped Entries */}
+          {Object.entries(grouped).map(([cat, entries]) => (
+            <div key={cat} style={styles.categoryGroup}>
+              <h3 style={{ ...styles.categoryTitle, color: faction.accent }}>{cat}</h3>
+              {entries.filter((e) => !isNested(e)).map(renderEntry)}
+              {entries.every(isNested) && (
+                <div style={{ color: "#6b7280", fontSize: 12 }}>
+                  All joined to units: {entries.map((e) => e.unitName).join(", ")}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {/* Allied contingent */}
+          {currentList.allies && allyFaction ? (
+            <div style={{ ...styles.alliesBlock, borderColor: `${allyFaction.color}88` }}>
+              <div style={styles.activeListHeader}>
+                <h3 style={{ ...styles.categoryTitle, color: allyFaction.accent, margin: 0 }}>
+                  🤝 Allies: {allyFaction.icon} {allyFaction.name}
+                  <span style={{ color: alliedPoints > currentList.allies.pointsLimit ? "#ef4444" : "#9ca3af", fontFamily: "monospace", fontSize: 13, marginLeft: 10 }}>
+                    {alliedPoints}/
+                  </span>
+                  <input
+                    type="number"
+                    style={{ ...styles.input, width: 80, padding: "2px 6px", fontSize: 13, display: "inline-block" }}
+                    value={currentList.allies.pointsLimit}
+                    onChange={(e) => setAllies({ ...currentList.allies, pointsLimit: parseInt(e.target.value) || 0 }, { step: "pointsLimit" })}
+                    title="Contingent points limit"
+                  />
+                  <span style={{ color: "#9ca3af", fontFamily: "monospace", fontSize: 13 }}> pts</span>
+                </h3>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button style={{ ...styles.btn, background: allyFaction.color }} onClick={() => setShowAddAlly(!showAddAlly)}>
+                    {showAddAlly ? "Close" : "+ Add Allied Unit"}
+                  </button>
+                  <button
+                    style={{ ...styles.btn, background: "#7f1d1d" }}
+                    onClick={() => {
+                      if (confirm(`Remove the ${allyFaction.name} contingent and its units from this list?`)) setAllies(null);
+                    }}
+                  >
+                    Remove Allies
+                  </button>
+                </div>
+              </div>
+              {allyComposition && <CompositionPanel composition={allyComposition} faction={allyFaction} />}
+              {showAddAlly && (
+                <AddUnitPanel
+                  allUnits={allyUnits}
+                  faction={allyFaction}
+                  onAdd={(unit, qty) => { addUnitToList(unit, qty, "allies"); }}
+                />
+              )}
+              {Object.entries(alliedGrouped).map(([cat, entries]) => (
+                <div key={cat} style={styles.categoryGroup}>
+                  <h3 style={{ ...styles.categoryTitle, color: allyFaction.accent }}>{cat}</h3>
+                  {entries.filter((e) => !isNested(e)).map(renderEntry)}
+                </div>
+              ))}
+              {Object.keys(alliedGrouped).length === 0 && (
+                <p style={{ color: "#6b7280", fontSize: 13 }}>No allied units yet.</p>
+              )}
+            </div>
+          ) : (
+            <div style={{ ...styles.alliesBlock, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <span style={{ color: "#9ca3af", fontSize: 13 }}>🤝 Allied contingent:</span>
+              <select style={{ ...styles.input, width: "auto", padding: "4px 8px" }} value={allyPick} onChange={(e) => setAllyPick(e.target.value)}>
+                <option value="">— choose a faction —</option>
+                {Object.entries(factions || {}).filter(([key]) => key !== currentList.faction).map(([key, f]) => (
+                  <option key={key} value={key}>{f.icon} {f.name}</option>
+                ))}
+              </select>
+              <input type="number" style={{ ...styles.input, width: 90, padding: "4px 8px" }} value={allyPts} onChange={(e) => setAllyPts(e.target.value)} />
+              <span style={{ color: "#6b7280", fontSize: 12 }}>pts</span>
+              <button
+                style={{ ...styles.btn, background: "#374151" }}
+                disabled={!allyPick}
+                onClick={() => { setAllies({ faction: allyPick, pointsLimit: parseInt(allyPts) || 0 }); setShowAddAlly(true); }}
+              >
+                Add Allies
+              </button>
+            </div>
+          )}
+
+          {currentList.entries.length === 0 && (
+            <div style={styles.emptyState}>
+              <p style={{ color: "#9ca3af", textAlign: "center", padding: 40 }}>
+                Your army list is empty. Add units from the panel above or the Unit Database tab.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COMPOSITION PANEL
+// ═══════════════════════════════════════════════════════════════
+
+function CompositionPanel({ composition, faction }) {
+  const [expanded, setExpanded] = useState(false);
+  const { categories, errors, warnings, valid } = composition;
+
+  return (
+    <div style={styles.compositionPanel}>
+      <div style={styles.compositionHeader} onClick={() => setExpanded(!expanded)}>
+        <span style={{ color: "#d1d5db", fontSize: 13, fontWeight: 600 }}>
+          <span style={{ ...styles.expandArrow, transform: expanded ? "rotate(90deg)" : "rotate(0deg)", marginRight: 6 }}>▸</span>
+          📐 {composition.name}
+        </span>
+        <span style={{
+          fontSize: 11, padding: "2px 8px", borderRadius: 4, fontFamily: "'Segoe UI', sans-serif",
+          background: valid ? "#14532d" : "#7f1d1d", color: valid ? "#4ade80" : "#fca5a5",
+        }}>
+          {valid ? "✓ Legal" : `✕ ${errors.length} error${errors.length !== 1 ? "s" : ""}`}
+          {warnings.length > 0 && ` · ${warnings.length} warning${warnings.length !== 1 ? "s" : ""}`}
+        </span>
+      </div>
+
+      {/* Per-category bars – always visible so the split is readable at a glance */}
+      <div style={styles.compositionGrid}>
+        {categories.map((c) => {
+          const cap = c.maxPts ?? c.minPts ?? composition.limit;
+          const fill = cap > 0 ? Math.min(100, (c.points / cap) * 100) : 0;
+          const bound = [c.min != null && `min ${c.min}%`, c.max != null && `max ${c.max}%`].filter(Boolean).join(" · ");
+          return (
+            <div key={c.category} style={styles.compositionCell}>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11 }}>
+                <span style={{ color: c.status === "error" ? "#fca5a5" : faction.accent, fontWeight: 600 }}>{c.category}</span>
+                <span style={{ color: "#9ca3af", fontFamily: "monospace" }}>{c.points} pts · {c.pct}%</span>
+              </div>
+              <div style={{ ...styles.pointsBar, height: 4, marginBottom: 2, marginTop: 4 }}>
+                <div style={{
+                  ...styles.pointsFill, width: `${fill}%`,
+                  background: c.status === "error" ? "#ef4444" : faction.color,
+                }} />
+              </div>
+              <div style={{ color: "#6b7280", fontSize: 10, fontFamily: "'Segoe UI', sans-serif" }}>{bound || "no limit"}</div>
+            </div>
+          );
+        })}
+      </div>
+
+      {expanded && (errors.length > 0 || warnings.length > 0) && (
+        <div style={{ marginTop: 8 }}>
+          {errors.map((msg, i) => (
+            <div key={`e${i}`} style={{ color: "#fca5a5", fontSize: 12, marginTop: 3 }}>✕ {msg}</div>
+          ))}
+          {warnings.map((msg, i) => (
+            <div key={`w${i}`} style={{ color: "#fbbf24", fontSize: 12, marginTop: 3 }}>⚠ {msg}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LIST SYNC CONFLICTS
+// ═══════════════════════════════════════════════════════════════
+
+// One side of a conflict as a line of text
+function describeConflictSide(c, value, list, allUnits) {
+  if (value == null) return c.kind === "field" ? "(not set)" : "Removed";
+  if (c.kind === "entry") {
+    const details = entryDetails(value, allUnits.find((u) => u.id === value.unitId), { entries: list.entries });
+    const name = value.modelCount > 1 ? `${value.modelCount} ${value.unitName}` : value.unitName;
+    return `${name} [${value.ptsCost || 0} pts]${details.length ? `: ${details.join(", ")}` : ""}`;
+  }
+  if (c.kind === "version") return `Saved ${new Date(value.savedAt).toLocaleString()}`;
+  if (c.key === "generalEntryId" || c.key === "bsbEntryId") {
+    return list.entries.find((e) => e.entryId === value)?.unitName || "(unit not in list)";
+  }
+  if (c.key === "allies") return value.faction;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+// A list changed on this device and another one where both touched the same unit entry or field.
+// Everything else is already merged; the player picks a side for each conflict.
+function ListConflictDialog({ conflict, allUnits, onResolve }) {
+  const [choices, setChoices] = useState(() => conflict.conflicts.map(() => "local"));
+  const choose = (i, side) => setChoices(choices.map((c, j) => (j === i ? side : c)));
+
+  const sideButton = (c, i, side) => (
+    <button
+      style={{ ...styles.conflictSide, ...(choices[i] === side ? styles.conflictSideChosen : {}) }}
+      onClick={() => choose(i, side)}
+    >
+      <div style={{ color: "#9ca3af", fontSize: 11, marginBottom: 2 }}>{side === "local" ? "This device" : "Other device"}</div>
+      {describeConflictSide(c, c[side], conflict.list, allUnits)}
+    </button>
+  );
+
+  return (
+    <div style={styles.conflictOverlay}>
+      <div style={styles.conflictPanel}>
+        <h3 style={{ color: "#fbbf24", margin: "0 0 4px 0", fontSize: 16 }}>⚠ "{conflict.list.name}" changed on another device</h3>
+        <p style={{ color: "#9ca3af", fontSize: 12, margin: "0 0 12px 0" }}>
+          Other changes were merged. These were changed on both devices; pick the one to keep.
+        </p>
+        {conflict.conflicts.map((c, i) => (
+          <div key={`${c.kind}-${c.key}`} style={{ marginBottom: 10 }}>
+            <div style={{ color: "#e5e7eb", fontSize: 13, fontWeight: 600, marginBottom: 4 }}>{c.label}</div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+              {sideButton(c, i, "local")}
+              {sideButton(c, i, "remote")}
+            </div>
+          </div>
+        ))}
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 12 }}>
+          <button style={{ ...styles.btn, background: "#374151" }} onClick={() => setChoices(choices.map(() => "remote"))}>
+            Take all from other device
+          </button>
+          <button style={{ ...styles.btn, background: "#15803d" }} onClick={() => onResolve(choices)}>
+            Keep selected
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LIST IMPORT
+// ═══════════════════════════════════════════════════════════════
+
+// Old World Builder .owb.json files, BattleScribe / New Recruit rosters (.ros / .rosz) or pasted
+// text lists, checked against the faction before creating
+function ImportListPanel({ allUnits, itemsCatalog, faction, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [result, setResult] = useState(null); // { parsed, matched }
+  const [error, setError] = useState(null);
+  const [name, setName] = useState("");
+  const [pts, setPts] = useState("2000");
+  const fileInputRef = useRef(null);
+
+  const check = (source) => {
+    try {
+      const parsed = parseListText(source);
+      const stamp = Date.now();
+      const matched = matchImportedList(parsed, {
+        allUnits,
+        itemsCatalog,
+        arrows: ENCHANTED_ARROWS,
+        newEntryId: (i) => `entry_${stamp}_${i}_${Math.random().toString(36).slice(2, 6)}`,
+      });
+      setResult({ parsed, matched });
+      setName(parsed.name);
+      if (parsed.pointsLimit) setPts(String(parsed.pointsLimit));
+      setError(null);
+    } catch (e) {
+      setResult(null);
+      setError(e.message);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = "";
+    try {
+      // .rosz rosters are zipped; readRosterBytes passes plain files through as text
+      const content = /\.rosz?$/i.test(file.name)
+        ? await readRosterBytes(new Uint8Array(await file.arrayBuffer()))
+        : await file.text();
+      setText(content);
+      check(content);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  const unmatched = result ? result.matched.report.filter((r) => !r.unitName) : [];
+  const adjusted = result ? result.matched.report.filter((r) => r.unitName) : [];
+
+  return (
+    <div style={styles.trashPanel}>
+      <div style={{ ...styles.activeListHeader, marginBottom: 6 }}>
+        <span style={{ color: "#d1d5db", fontSize: 13, fontWeight: 600 }}>📥 Import a list</span>
+        <button style={styles.deleteBtn} onClick={onClose} title="Close">✕</button>
+      </div>
+      <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 6 }}>
+        Old World Builder <code>.owb.json</code>, BattleScribe / New Recruit roster (<code>.ros</code>, <code>.rosz</code>),
+        or a pasted text list (Old World Builder, New Recruit, Markdown or BBCode).
+      </div>
+      <textarea
+        style={{ ...styles.input, width: "100%", minHeight: 110, fontFamily: "monospace", fontSize: 12, boxSizing: "border-box" }}
+        placeholder={"My List [2000 pts]\n\n++ Characters [150 pts] ++\nGlade Lord [150 pts]: General, Ogre Blade\n\n++ Core [120 pts] ++\n10 Glade Guard [120 pts]: Musician"}
+        value={text}
+        onChange={(e) => { setText(e.target.value); setResult(null); }}
+      />
+      <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+        <button style={{ ...styles.btn, background: "#374151" }} onClick={() => fileInputRef.current?.click()}>📂 Open File</button>
+        <input ref={fileInputRef} type="file" accept=".json,.ros,.rosz,.txt,.md" style={{ display: "none" }} onChange={handleFile} />
+        <button style={{ ...styles.btn, background: faction.color }} disabled={!text.trim()} onClick={() => check(text)}>Check</button>
+      </div>
+      {error && <div style={{ color: "#fca5a5", fontSize: 12, marginTop: 6 }}>✕ {error}</div>}
+
+      {result && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ color: "#d1d5db", fontSize: 13, marginBottom: 4 }}>
+            {result.matched.entries.length} of {result.parsed.units.length} units matched
+            {unmatched.length === 0 && adjusted.every((r) => !r.issues.length) && <span style={{ color: "#4ade80" }}> · everything matched</span>}
+          </div>
+          {unmatched.map((r, i) => (
+            <div key={`u${i}`} style={{ ...styles.trashRow, color: "#fca5a5" }}>✕ {r.name} — {r.issues.join("; ")}</div>
+          ))}
+          {adjusted.map((r, i) => (
+            <div key={`a${i}`} style={{ ...styles.trashRow, display: "block" }}>
+              <span style={{ color: r.issues.length ? "#fbbf24" : "#9ca3af" }}>
+                {r.issues.length ? "⚠" : "✓"} {r.name}{r.name !== r.unitName ? ` → ${r.unitName}` : ""}
+              </span>
+              {r.issues.map((msg, j) => (
+                <div key={j} style={{ color: "#9ca3af", fontSize: 12, marginLeft: 18 }}>{msg}</div>
+              ))}
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <input style={{ ...styles.input, flex: 1 }} value={name} onChange={(e) => setName(e.target.value)} placeholder="List name..." />
+            <input style={{ ...styles.input, width: 100 }} type="number" value={pts} onChange={(e) => setPts(e.target.value)} />
+            <button
+              style={{ ...styles.btn, background: faction.color }}
+              disabled={!result.matched.entries.length}
+              onClick={() => onImport(name.trim() || result.parsed.name, pts, result.matched)}
+            >
+              Create List
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LIST DIFF
+// ═══════════════════════════════════════════════════════════════
 
-          {/* Add Unit Panel */}
-          {showAddUnit && (
-            <AddUnitPanel
-              allUnits={allUnits}
-              faction={faction}
-              onAdd={(unit, qty) => { addUnitToList(unit, qty); }}
-            />
-          )}
+// Source keys are a list id, or "listId::versionId" for a saved version
+function resolveDiffSource(lists, key) {
+  const [listId, versionId] = (key || "").split("::");
+  const list = lists.find((l) => l.id === listId);
+  if (!list) return null;
+  if (!versionId) return list;
+  const version = (list.versions || []).find((v) => v.id === versionId);
+  return version ? { ...list, ...version.snapshot, name: `${list.name} — ${version.name}` } : null;
+}
 
-          {/* Grouped Entries */}
-          {Object.entries(grouped).map(([cat, entries]) => (
-            <div key={cat} style={styles.categoryGroup}>
-              <h3 style={{ ...styles.categoryTitle, color: faction.accent }}>{cat}</h3>
-              {entries.map((entry) => {
-                const unitDef = allUnits.find((u) => u.id === entry.unitId);
-                return (
-                  <EntryCard
-                    key={entry.entryId}
-                    entry={entry}
-                    unitDef={unitDef}
-                    faction={faction}
-                    updateEntry={updateEntry}
-                    removeEntry={removeEntry}
-                    itemsCatalog={magicItems}
-                  />
-                );
-              })}
+function ListDiffView({ lists, allUnits, faction, spells, sources, setSources, onClose }) {
+  const left = resolveDiffSource(lists, sources.left);
+  const right = resolveDiffSource(lists, sources.right);
+  const diff = left && right ? diffLists(left, right, allUnits, spells) : null;
+  const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+  const deltaColor = (n) => (n > 0 ? "#fbbf24" : n < 0 ? "#4ade80" : "#6b7280");
+
+  const sourceSelect = (side) => (
+    <select
+      style={{ ...styles.input, flex: 1 }}
+      value={sources[side]}
+      onChange={(e) => setSources({ ...sources, [side]: e.target.value })}
+    >
+      {lists.map((l) => [
+        <option key={l.id} value={l.id}>{l.name}</option>,
+        ...(l.versions || []).map((v) => (
+          <option key={`${l.id}::${v.id}`} value={`${l.id}::${v.id}`}>
+            {"\u00a0\u00a0"}{l.name} — {v.name} ({new Date(v.savedAt).toLocaleDateString()})
+          </option>
+        )),
+      ])}
+    </select>
+  );
+
+  const entryLine = (e) => `${e.modelCount > 1 ? `${e.modelCount}× ` : ""}${e.unitName}${isAllied(e) ? " (allied)" : ""} · ${e.ptsCost || 0} pts`;
+  const changeList = (label, added, removed) => (added.length > 0 || removed.length > 0) && (
+    <div style={{ fontSize: 12, marginTop: 2 }}>
+      <span style={{ color: "#6b7280" }}>{label}: </span>
+      {added.map((n) => <span key={`+${n}`} style={{ color: "#4ade80", marginRight: 8 }}>+ {n}</span>)}
+      {removed.map((n) => <span key={`-${n}`} style={{ color: "#fca5a5", marginRight: 8 }}>− {n}</span>)}
+    </div>
+  );
+
+  return (
+    <div style={styles.compositionPanel}>
+      <div style={{ ...styles.activeListHeader, marginBottom: 8 }}>
+        <span style={{ color: "#d1d5db", fontSize: 13, fontWeight: 600 }}>⇄ Compare lists</span>
+        <button style={styles.deleteBtn} onClick={onClose} title="Close">✕</button>
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 10 }}>
+        {sourceSelect("left")}
+        <span style={{ color: "#6b7280" }}>→</span>
+        {sourceSelect("right")}
+      </div>
+      {!diff && <div style={{ color: "#fca5a5", fontSize: 12 }}>Pick two lists or versions to compare.</div>}
+      {diff && (
+        <>
+          <div style={styles.compositionGrid}>
+            {diff.categories.map((c) => (
+              <div key={c.category} style={styles.compositionCell}>
+                <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11 }}>
+                  <span style={{ color: faction.accent, fontWeight: 600 }}>{c.category}</span>
+                  <span style={{ color: deltaColor(c.delta), fontFamily: "monospace" }}>{signed(c.delta)}</span>
+                </div>
+                <div style={{ color: "#9ca3af", fontSize: 11, fontFamily: "monospace" }}>{c.from} → {c.to} pts</div>
+              </div>
+            ))}
+          </div>
+          <div style={{ color: "#d1d5db", fontSize: 13, margin: "8px 0", fontFamily: "monospace" }}>
+            Total: {diff.total.from} → {diff.total.to} pts{" "}
+            <span style={{ color: deltaColor(diff.total.delta) }}>({signed(diff.total.delta)})</span>
+          </div>
+          {diff.added.length + diff.removed.length + diff.changed.length === 0 && (
+            <div style={{ color: "#6b7280", fontSize: 12 }}>No differences.</div>
+          )}
+          {diff.added.map((e) => (
+            <div key={`a${e.entryId}`} style={{ ...styles.trashRow, color: "#4ade80" }}>+ {entryLine(e)}</div>
+          ))}
+          {diff.removed.map((e) => (
+            <div key={`r${e.entryId}`} style={{ ...styles.trashRow, color: "#fca5a5" }}>− {entryLine(e)}</div>
+          ))}
+          {diff.changed.map((c) => (
+            <div key={`c${c.to.entryId}`} style={{ ...styles.trashRow, display: "block" }}>
+              <div style={{ color: "#fbbf24" }}>
+                ~ {c.name}
+                {c.modelCount && <span style={{ color: "#d1d5db", marginLeft: 8 }}>models {c.modelCount.from} → {c.modelCount.to}</span>}
+                {c.pts && (
+                  <span style={{ color: "#9ca3af", marginLeft: 8, fontFamily: "monospace" }}>
+                    {c.pts.from} → {c.pts.to} pts ({signed(c.pts.to - c.pts.from)})
+                  </span>
+                )}
+              </div>
+              {changeList("Upgrades", c.upgradesAdded, c.upgradesRemoved)}
+              {changeList("Magic items", c.itemsAdded, c.itemsRemoved)}
             </div>
           ))}
+        </>
+      )}
+    </div>
+  );
+}
 
-          {currentList.entries.length === 0 && (
-            <div style={styles.emptyState}>
-              <p style={{ color: "#9ca3af", textAlign: "center", padding: 40 }}>
-                Your army list is empty. Add units from the panel above or the Unit Database tab.
-              </p>
-            </div>
-          )}
+// ═══════════════════════════════════════════════════════════════
+// GENERAL & BATTLE STANDARD BEARER
+// ═══════════════════════════════════════════════════════════════
+
+function ListRolesPanel({ list, allUnits, faction, setListRole }) {
+  const characters = list.entries
+    .filter((e) => e.isCharacter)
+    .map((e) => ({ entry: e, unitDef: allUnits.find((u) => u.id === e.unitId) }));
+  const { general, bsb } = getListRoles(list);
+
+  const renderSelect = (role, label, current, eligible) => (
+    <label style={styles.roleField}>
+      <span style={{ color: "#9ca3af", fontSize: 12, minWidth: 150 }}>{label}</span>
+      <select
+        style={{ ...styles.input, padding: "4px 8px", flex: 1 }}
+        value={current?.entryId || ""}
+        onChange={(e) => setListRole(role, e.target.value || null)}
+      >
+        <option value="">— none —</option>
+        {characters.map(({ entry, unitDef }) => {
+          const reason = isAllied(entry) ? "allied" : eligible(unitDef, entry);
+          return (
+            <option key={entry.entryId} value={entry.entryId} disabled={!!reason}>
+              {unitDef?.name || entry.unitName}{reason ? ` (${reason})` : ""}
+            </option>
+          );
+        })}
+      </select>
+    </label>
+  );
+
+  return (
+    <div style={{ ...styles.compositionPanel, display: "flex", flexDirection: "column", gap: 6 }}>
+      {renderSelect("general", "👑 General", general, (u) => (!u ? "unknown unit" : canBeGeneral(u) ? null : "Loner"))}
+      {renderSelect("bsb", "🚩 Battle Standard Bearer", bsb, (u, e) =>
+        e.entryId === general?.entryId ? "General" : canBeBSB(u) ? null : "not eligible"
+      )}
+      {!general && (
+        <div style={{ color: "#f59e0b", fontSize: 12 }}>
+          ⚠ No General chosen — the list is incomplete.{characters.length === 0 ? " Add a character to lead the army." : ""}
         </div>
       )}
     </div>
@@ -1132,21 +2428,96 @@ function AddUnitPanel({ allUnits, faction, onAdd }) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════════
+// WIZARD PANEL (level options and lore of magic)
+// ═══════════════════════════════════════════════════════════════
+
+function WizardPanel({ entry, unitDef, faction, updateEntry, spells }) {
+  const wizard = getWizardData(unitDef);
+  if (!wizard) return null;
+  const level = getEntryWizardLevel(entry, unitDef);
+  const lore = getEntryLore(entry, unitDef);
+  const levelCost = getWizardLevelCost(entry, unitDef);
+
+  // Picking a lore replaces any lore chosen through an old-style lore upgrade
+  const pickLore = (loreId) => {
+    const loreUpgradeIds = new Set((unitDef.upgrades || []).filter(u => u.type === "lore").map(u => u.id));
+    updateEntry(entry.entryId, {
+      lore: loreId,
+      activeUpgrades: (entry.activeUpgrades || []).filter(id => !loreUpgradeIds.has(id)),
+    });
+  };
+
+  const optionStyle = (active) => ({
+    ...styles.wizardOption,
+    ...(active ? { background: `${faction.color}22`, borderColor: `${faction.color}66`, color: "#e5e7eb" } : {}),
+  });
+
+  return (
+    <div style={styles.wizardPanel}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <span style={{ color: "#d1d5db", fontSize: 13, fontWeight: 600 }}>✨ Wizard</span>
+        <span style={{ color: "#a78bfa", fontSize: 12 }}>
+          {level === null ? "Level ?" : level > 0 ? `Level ${level}` : "Not a wizard"}
+          {levelCost > 0 && <span style={{ color: "#fbbf24", fontFamily: "monospace", marginLeft: 8 }}>+{levelCost} pts</span>}
+        </span>
+      </div>
+
+      {/* Level options (structured data only; old-style level upgrades stay in Unit Upgrades) */}
+      {wizard.levels.length > 0 && (
+        <>
+          <div style={styles.wizardLabel}>Level</div>
+          <div style={styles.wizardOptions}>
+            <button style={optionStyle(level === wizard.level)} onClick={() => updateEntry(entry.entryId, { wizardLevel: null })}>
+              {wizard.level > 0 ? `Level ${wizard.level}` : "None"} <span style={{ color: "#6b7280", fontSize: 10 }}>base</span>
+            </button>
+            {wizard.levels.map(l => (
+              <button key={l.level} style={optionStyle(level === l.level)} onClick={() => updateEntry(entry.entryId, { wizardLevel: l.level })}>
+                Level {l.level} <span style={{ color: "#fbbf24", fontSize: 10, fontFamily: "monospace" }}>+{l.pts}pts</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {wizard.lores.length > 0 && level !== 0 && (
+        <>
+          <div style={styles.wizardLabel}>
+            Lore of magic
+            {wizard.lores.length > 1 && <span style={{ color: "#4b5563", fontSize: 9, fontStyle: "italic", textTransform: "none", marginLeft: 6 }}>(pick one)</span>}
+          </div>
+          <div style={styles.wizardOptions}>
+            {wizard.lores.map(id => (
+              <button key={id} style={optionStyle(lore === id)} onClick={() => pickLore(id)}>
+                {loreName(spells, id)}
+              </button>
+            ))}
+          </div>
+          {!lore && <div style={{ color: "#f59e0b", fontSize: 11, marginTop: 6 }}>⚠ No lore chosen</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MAGIC ITEMS PANEL
 // ═══════════════════════════════════════════════════════════════
 
-function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog }) {
+function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog, legality, isBSB }) {
   const [openSlot, setOpenSlot] = useState(null);
 
   const budget = getMagicItemBudget(unitDef);
-  if (budget === 0) return null;
+  if (budget === 0 && !isBSB) return null;
 
-  const allowedSlots = getAllowedSlots(unitDef);
+  const allowedSlots = getAllowedSlots(unitDef, isBSB, entry);
   if (allowedSlots.length === 0) return null;
 
   const equipped = entry.magicItems || {};
-  const spent = calcMagicItemsCost(equipped);
+  // A BSB's banner is paid from its own allowance, not the character budget
+  const bannerBudget = isBSB ? getBsbBannerBudget(unitDef) : 0;
+  const bsbBanner = isBSB ? equipped.banners : null;
+  const spent = calcMagicItemsCost(equipped) - (bsbBanner?.pts || 0);
   const remaining = budget - spent;
 
   // Relic slot blocking for named characters
@@ -1180,6 +2551,11 @@ function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog })
           {spent}/{budget} pts
         </span>
       </div>
+      {isBSB && (
+        <div style={{ color: "#9ca3af", fontSize: 11, marginBottom: 6 }}>
+          🚩 Battle Standard Bearer: magic standard up to {bannerBudget} pts, outside the item budget
+        </div>
+      )}
 
       {visibleSlots.map((slot) => {
         // Relic occupies this slot — show locked row
@@ -1199,13 +2575,15 @@ function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog })
         const equippedItem = equipped[slot];
         const isOpen = openSlot === slot;
         const items = (itemsCatalog && itemsCatalog[slot]) || [];
+        const slotRemaining = isBSB && slot === "banners" ? bannerBudget : remaining;
+        const inConflict = (legality?.byEntry[entry.entryId] || []).some((c) => !c.holder && c.slot === slot);
 
         return (
           <div key={slot} style={{ marginBottom: 4 }}>
             <div style={{
               display: "flex", alignItems: "center", gap: 6, padding: "4px 6px",
               background: equippedItem ? `${faction.color}22` : "#111827",
-              borderRadius: 4, border: `1px solid ${equippedItem ? faction.color + "66" : "#1f2937"}`,
+              borderRadius: 4, border: `1px solid ${inConflict ? "#ef4444" : equippedItem ? faction.color + "66" : "#1f2937"}`,
             }}>
               <span style={{ color: "#9ca3af", fontSize: 11, minWidth: 90 }}>{MAGIC_SLOT_LABELS[slot]}</span>
               {equippedItem ? (
@@ -1236,18 +2614,20 @@ function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog })
                 maxHeight: 180, overflowY: "auto", background: "#0f0f1a", borderRadius: 4,
                 border: "1px solid #2d2d44", marginTop: 2, marginLeft: 96,
               }}>
-                {items.filter((item) => item.pts <= remaining).length === 0 ? (
+                {items.filter((item) => item.pts <= slotRemaining).length === 0 ? (
                   <div style={{ color: "#6b7280", fontSize: 11, padding: 8, textAlign: "center" }}>
-                    No items fit remaining budget ({remaining}pts)
+                    No items fit remaining budget ({slotRemaining}pts)
                   </div>
                 ) : (
                   items.map((item) => {
-                    const canAfford = item.pts <= remaining;
+                    const takenBy = itemTakenBy(legality, item, entry.entryId);
+                    const canAfford = item.pts <= slotRemaining && !takenBy;
                     return (
                       <button
                         key={item.name}
                         disabled={!canAfford}
                         onClick={() => canAfford && equipItem(slot, item)}
+                        title={takenBy ? `Already taken by ${takenBy}` : undefined}
                         style={{
                           display: "flex", justifyContent: "space-between", width: "100%",
                           padding: "4px 8px", background: "none", border: "none",
@@ -1258,7 +2638,7 @@ function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog })
                         onMouseEnter={(e) => { if (canAfford) e.target.style.background = "#1f2937"; }}
                         onMouseLeave={(e) => { e.target.style.background = "none"; }}
                       >
-                        <span>{item.name}</span>
+                        <span>{item.name}{takenBy && <span style={{ fontSize: 10, marginLeft: 6 }}>· taken by {takenBy}</span>}</span>
                         <span style={{ color: canAfford ? "#fbbf24" : "#4b5563", fontFamily: "monospace" }}>{item.pts}pts</span>
                       </button>
                     );
@@ -1289,7 +2669,7 @@ function MagicItemsPanel({ entry, unitDef, faction, updateEntry, itemsCatalog })
 // UNIT UPGRADES PANEL
 // ═══════════════════════════════════════════════════════════════
 
-function UpgradesPanel({ entry, unitDef, faction, updateEntry, itemsCatalog }) {
+function UpgradesPanel({ entry, unitDef, faction, updateEntry, itemsCatalog, legality }) {
   const upgrades = unitDef.upgrades || [];
   if (upgrades.length === 0) return null;
 
@@ -1346,7 +2726,8 @@ function UpgradesPanel({ entry, unitDef, faction, updateEntry, itemsCatalog }) {
   const mountUpgrades = upgrades.filter(u => u.type === "mount");
   const spritesUpgrades = upgrades.filter(u => u.type === "sprites");
   const kindredUpgrades = upgrades.filter(u => u.type === "kindred");
-  const loreUpgrades = upgrades.filter(u => u.type === "lore");
+  // Wizards pick their lore in the WizardPanel
+  const loreUpgrades = getWizardData(unitDef) ? [] : upgrades.filter(u => u.type === "lore");
 
   // Sprites budget tracking
   const SPRITES_BUDGET = 50;
@@ -1410,6 +2791,7 @@ function UpgradesPanel({ entry, unitDef, faction, updateEntry, itemsCatalog }) {
             faction={faction}
             updateEntry={updateEntry}
             itemsCatalog={itemsCatalog}
+            legality={legality}
           />
         )}
       </div>
@@ -1478,7 +2860,7 @@ function UpgradesPanel({ entry, unitDef, faction, updateEntry, itemsCatalog }) {
 // COMMAND MAGIC ITEMS PANEL (for champions, standard bearers)
 // ═══════════════════════════════════════════════════════════════
 
-function CommandMagicItemsPanel({ upgradeId, upgradeName, magic, entry, faction, updateEntry, itemsCatalog }) {
+function CommandMagicItemsPanel({ upgradeId, upgradeName, magic, entry, faction, updateEntry, itemsCatalog, legality }) {
   const [expandedSlot, setExpandedSlot] = useState(null);
   const commandMagicItems = entry.commandMagicItems || {};
   const myItems = commandMagicItems[upgradeId] || {};
@@ -1514,12 +2896,13 @@ function CommandMagicItemsPanel({ upgradeId, upgradeName, magic, entry, faction,
         const currentItem = myItems[slot];
         const label = MAGIC_SLOT_LABELS[slot] || slot;
         const catalogItems = (itemsCatalog?.[slot] || []).filter(i => (i.pts || 0) <= (budget - spentPts + (currentItem?.pts || 0)));
+        const inConflict = (legality?.byEntry[entry.entryId] || []).some((c) => c.holder === upgradeId && c.slot === slot);
         return (
           <div key={slot} style={{ marginTop: 2 }}>
             <div style={{
               display: "flex", alignItems: "center", gap: 4, padding: "2px 4px",
               background: currentItem ? `${faction.color}15` : "transparent",
-              borderRadius: 3, border: `1px solid ${currentItem ? faction.color + "44" : "#1f1f33"}`,
+              borderRadius: 3, border: `1px solid ${inConflict ? "#ef4444" : currentItem ? faction.color + "44" : "#1f1f33"}`,
             }}>
               <span style={{ color: "#6b7280", fontSize: 10, minWidth: 70 }}>{label}</span>
               {currentItem ? (
@@ -1552,23 +2935,29 @@ function CommandMagicItemsPanel({ upgradeId, upgradeName, magic, entry, faction,
                 {catalogItems.length === 0 && (
                   <div style={{ padding: "4px 6px", color: "#4b5563", fontSize: 10 }}>No items fit budget</div>
                 )}
-                {catalogItems.map(item => (
-                  <button
-                    key={item.name}
-                    onClick={() => setItem(slot, item)}
-                    style={{
-                      display: "flex", justifyContent: "space-between", width: "100%",
-                      padding: "3px 6px", background: "none", border: "none",
-                      borderBottom: "1px solid #1a1a2e", cursor: "pointer",
-                      color: "#d1d5db", fontSize: 11, textAlign: "left",
-                    }}
-                    onMouseEnter={(e) => { e.target.style.background = "#1a1a2e"; }}
-                    onMouseLeave={(e) => { e.target.style.background = "none"; }}
-                  >
-                    <span>{item.name}</span>
-                    <span style={{ color: "#fbbf24", fontFamily: "monospace", fontSize: 10 }}>{item.pts}pts</span>
-                  </button>
-                ))}
+                {catalogItems.map(item => {
+                  const takenBy = itemTakenBy(legality, item, entry.entryId, upgradeId);
+                  return (
+                    <button
+                      key={item.name}
+                      disabled={!!takenBy}
+                      onClick={() => !takenBy && setItem(slot, item)}
+                      title={takenBy ? `Already taken by ${takenBy}` : undefined}
+                      style={{
+                        display: "flex", justifyContent: "space-between", width: "100%",
+                        padding: "3px 6px", background: "none", border: "none",
+                        borderBottom: "1px solid #1a1a2e", cursor: takenBy ? "default" : "pointer",
+                        color: takenBy ? "#4b5563" : "#d1d5db", fontSize: 11, textAlign: "left",
+                        opacity: takenBy ? 0.5 : 1,
+                      }}
+                      onMouseEnter={(e) => { if (!takenBy) e.target.style.background = "#1a1a2e"; }}
+                      onMouseLeave={(e) => { e.target.style.background = "none"; }}
+                    >
+                      <span>{item.name}{takenBy && <span style={{ fontSize: 9, marginLeft: 4 }}>· taken by {takenBy}</span>}</span>
+                      <span style={{ color: takenBy ? "#4b5563" : "#fbbf24", fontFamily: "monospace", fontSize: 10 }}>{item.pts}pts</span>
+                    </button>
+                  );
+                })}
               </div>
             )}
           </div>
@@ -1682,8 +3071,10 @@ function getActiveMountData(entry, unitDef) {
   ) || null);
 }
 
-function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCatalog }) {
+function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCatalog, legality, isGeneral, isBSB, spells, joinTargets }) {
   const [expanded, setExpanded] = useState(false);
+  const itemConflicts = legality?.byEntry[entry.entryId] || [];
+  const joinedHost = entry.joinedTo ? joinTargets?.find((t) => t.entryId === entry.joinedTo) : null;
 
   return (
     <div style={styles.entryCard}>
@@ -1695,6 +3086,9 @@ function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCat
           <div>
             <strong style={{ color: "#e5e7eb" }}>{unitDef?.name || entry.unitName}</strong>
             {unitDef?._hasOverride && <span style={{ fontSize: 9, color: "#f59e0b", fontWeight: 700, marginLeft: 4 }}>⚑</span>}
+            {isGeneral && <span style={styles.roleBadge}>👑 General</span>}
+            {isBSB && <span style={styles.roleBadge}>🚩 BSB</span>}
+            {joinedHost && <span style={styles.joinedBadge}>↳ with {joinedHost.name}</span>}
             {!entry.isCharacter && (
               <span style={styles.modelCount}> × {entry.modelCount}</span>
             )}
@@ -1761,6 +3155,16 @@ function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCat
         </div>
       </div>
 
+      {/* Magic item conflicts (army-wide pass) */}
+      {itemConflicts.length > 0 && (
+        <div style={styles.itemConflicts}>
+          {itemConflicts.map((c, i) => <div key={i}>⚠ {c.message}</div>)}
+        </div>
+      )}
+      {joinedHost?.problem && (
+        <div style={styles.itemConflicts}>⚠ Cannot join {joinedHost.name}: {joinedHost.problem}</div>
+      )}
+
       {expanded && (
         <div style={styles.entryExpanded}>
           {/* Model count adjuster */}
@@ -1789,6 +3193,25 @@ function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCat
             </div>
           )}
 
+          {/* Join a unit */}
+          {joinTargets && (
+            <label style={{ ...styles.roleField, margin: "8px 0" }}>
+              <span style={{ color: "#9ca3af", fontSize: 13 }}>Joins unit:</span>
+              <select
+                style={{ ...styles.input, padding: "4px 8px", flex: 1 }}
+                value={entry.joinedTo || ""}
+                onChange={(e) => updateEntry(entry.entryId, { joinedTo: e.target.value || null })}
+              >
+                <option value="">— operates alone —</option>
+                {joinTargets.map((t) => (
+                  <option key={t.entryId} value={t.entryId} disabled={!!t.problem && t.entryId !== entry.joinedTo}>
+                    {t.name}{t.problem ? ` (${t.problem})` : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
           {/* Relic toggle */}
           {unitDef?.relic && unitDef.relic.name !== "TBD" && (
             <div style={styles.relicToggle}>
@@ -1816,12 +3239,17 @@ function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCat
 
           {/* Unit Upgrades (characters and non-characters) */}
           {unitDef?.upgrades?.length > 0 && (
-            <UpgradesPanel entry={entry} unitDef={unitDef} faction={faction} updateEntry={updateEntry} itemsCatalog={itemsCatalog} />
+            <UpgradesPanel entry={entry} unitDef={unitDef} faction={faction} updateEntry={updateEntry} itemsCatalog={itemsCatalog} legality={legality} />
+          )}
+
+          {/* Wizard level and lore */}
+          {getWizardData(unitDef) && (
+            <WizardPanel entry={entry} unitDef={unitDef} faction={faction} updateEntry={updateEntry} spells={spells} />
           )}
 
           {/* Magic Items – only mount when character has budget and slots to avoid hook-order issues */}
-          {entry.isCharacter && getMagicItemBudget(unitDef) > 0 && getAllowedSlots(unitDef).length > 0 && (
-            <MagicItemsPanel entry={entry} unitDef={unitDef} faction={faction} updateEntry={updateEntry} itemsCatalog={itemsCatalog} />
+          {entry.isCharacter && (getMagicItemBudget(unitDef) > 0 || isBSB) && getAllowedSlots(unitDef, isBSB, entry).length > 0 && (
+            <MagicItemsPanel entry={entry} unitDef={unitDef} faction={faction} updateEntry={updateEntry} itemsCatalog={itemsCatalog} legality={legality} isBSB={isBSB} />
           )}
 
           {/* Enchanted Arrows – skip if dataset already provides arrow options as upgrades */}
@@ -1922,7 +3350,7 @@ function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCat
             style={styles.notesInput}
             placeholder="Add notes (traits, upgrades, etc.)..."
             value={entry.notes}
-            onChange={(e) => updateEntry(entry.entryId, { notes: e.target.value })}
+            onChange={(e) => updateEntry(entry.entryId, { notes: e.target.value }, { step: "notes" })}
           />
         </div>
       )}
@@ -1938,7 +3366,7 @@ function EntryCard({ entry, unitDef, faction, updateEntry, removeEntry, itemsCat
 // NAMED CHARACTERS VIEW
 // ═══════════════════════════════════════════════════════════════
 
-function NamedCharactersView({ allUnits, faction, activeFaction, addUnitToList }) {
+function NamedCharactersView({ allUnits, faction, activeFaction, addUnitToList, lore }) {
   const [selected, setSelected] = useState(null);
   const namedChars = allUnits.filter(u => u.isNamed || u.category === "Named Characters");
 
@@ -2092,6 +3520,9 @@ function NamedCharactersView({ allUnits, faction, activeFaction, addUnitToList }
               </div>
             )}
 
+            {/* Lore (Google Drive) */}
+            <LoreBlock text={findLore(lore, selected.id)} accent={faction.accent} />
+
             {/* Notes */}
             {selected.notes && (
               <div style={{ marginTop: 14, color: "#6b7280", fontSize: 12, fontStyle: "italic", borderTop: "1px solid #1f2937", paddingTop: 10 }}>
@@ -2106,7 +3537,7 @@ function NamedCharactersView({ allUnits, faction, activeFaction, addUnitToList }
 }
 
 // ═══════════════════════════════════════════════════════════════
-function UnitsView({ allUnits, faction, activeFaction, selectedUnit, setSelectedUnit, addUnitToList, unitOverrides, saveOverrides, editingOverrideUnitId, setEditingOverrideUnitId }) {
+function UnitsView({ allUnits, faction, activeFaction, selectedUnit, setSelectedUnit, addUnitToList, unitOverrides, saveOverrides, editingOverrideUnitId, setEditingOverrideUnitId, lore }) {
   const [filter, setFilter] = useState("");
   const newRecruitUrl = getNewRecruitWikiUrl(activeFaction);
 
@@ -2167,6 +3598,7 @@ function UnitsView({ allUnits, faction, activeFaction, selectedUnit, setSelected
                   {u.name}
                   {u._hasOverride && <span style={{ fontSize: 9, color: "#f59e0b", fontWeight: 700 }}>⚑</span>}
                   {u.isCustom && <span style={{ fontSize: 9, color: "#fbbf24", fontWeight: 700 }}>★</span>}
+                  <UnitSourceBadge unit={u} />
                 </span>
                 <span style={{ color: "#6b7280", fontSize: 12 }}>
                   {u.isCharacter ? `${u.ptsCost || "?"}pts` : `${u.ptsPerModel || "?"}pts/m`}
@@ -2190,6 +3622,7 @@ function UnitsView({ allUnits, faction, activeFaction, selectedUnit, setSelected
             saveOverrides={saveOverrides}
             editingOverrideUnitId={editingOverrideUnitId}
             setEditingOverrideUnitId={setEditingOverrideUnitId}
+            lore={lore}
           />
         ) : (
           <div style={styles.emptyState}>
@@ -2397,7 +3830,7 @@ function UnitOverrideEditor({ unit, override, onSave, onCancel, faction }) {
   );
 }
 
-function UnitDetail({ unit, faction, addToList, unitOverrides, saveOverrides, editingOverrideUnitId, setEditingOverrideUnitId }) {
+function UnitDetail({ unit, faction, addToList, unitOverrides, saveOverrides, editingOverrideUnitId, setEditingOverrideUnitId, lore }) {
   const parsed = parseWeapons(unit.equipment);
   const { weapons, nonWeapons } = parsed.weapons !== undefined ? parsed : { weapons: [], nonWeapons: unit.equipment || [] };
   const isEditing = editingOverrideUnitId === unit.id;
@@ -2417,6 +3850,7 @@ function UnitDetail({ unit, faction, addToList, unitOverrides, saveOverrides, ed
           </h2>
           <div style={{ color: "#9ca3af", fontSize: 13, marginTop: 4, display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
             {unit.category}
+            <UnitSourceBadge unit={unit} />
             {unit.isCustom && <span style={styles.customBadge}>HOMEBREW</span>}
             {unit._hasOverride && (
               <span style={styles.houseRuleBadge}>⚑ HOUSE RULED</span>
@@ -2725,6 +4159,9 @@ function UnitDetail({ unit, faction, addToList, unitOverrides, saveOverrides, ed
           <p style={{ color: "#9ca3af" }}>{unit.notes}</p>
         </div>
       )}
+
+      {/* ── Lore (Google Drive) ── */}
+      <LoreBlock text={findLore(lore, unit.id)} accent={faction.accent} />
     </div>
   );
 }
@@ -3011,9 +4448,41 @@ function RulesView({ houseRules, customRules, saveCustomRules, faction, notify }
 // SETTINGS VIEW (Google Drive, etc.)
 // ═══════════════════════════════════════════════════════════════
 
-function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
+function SettingsView({ factions, onRefreshData, notify, armyLists, onRestoreBackup, unmatchedLoreKeys, syncStatus, campaignData, onSyncNow, onSignOut }) {
   const fileInputRef = useRef(null);
 
+  // ── Campaign sync (Supabase sign-in by email link) ──
+  const [syncEmail, setSyncEmail] = useState("");
+  const [syncSending, setSyncSending] = useState(false);
+  const handleSyncSignIn = async () => {
+    setSyncSending(true);
+    try {
+      await signInWithEmail(syncEmail.trim());
+      notify(`Sign-in link sent to ${syncEmail.trim()}`);
+    } catch (e) {
+      notify(`Sign-in failed: ${e.message}`);
+    }
+    setSyncSending(false);
+  };
+  const campaignCounts = {
+    units: Object.values(campaignData.customUnits).reduce((n, units) => n + units.length, 0),
+    overrides: Object.keys(campaignData.overrides).length,
+    rules: campaignData.rules.length,
+  };
+
+  // ── Dataset manifest (file → faction mapping) ──
+  const [datasetManifest, setDatasetManifest] = useState([]);
+  useEffect(() => {
+    loadDatasetManifest().then(setDatasetManifest).catch(() => setDatasetManifest([]));
+  }, []);
+
+  const remapDataset = (d, factionId) => {
+    setDatasetFactionOverride(d.file, factionId === d.faction ? null : factionId);
+    setDatasetManifest((m) => m.map((x) => (x.file === d.file ? { ...x, target: factionId } : x)));
+    onRefreshData?.();
+    notify(factionId ? `${d.label} → ${factions[factionId]?.name || factionId}` : `${d.label} disabled.`);
+  };
+
   // ── Google Drive custom-data config (existing read-only feature) ──
   const saved = getGoogleDriveConfig();
   const [indexFileId, setIndexFileId] = useState(saved?.indexFileId ?? "");
@@ -3022,6 +4491,7 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
     items: saved?.fileIds?.items ?? "",
     rules: saved?.fileIds?.rules ?? "",
     lore:  saved?.fileIds?.lore  ?? "",
+    spells: saved?.fileIds?.spells ?? "",
   });
   const [gdSaving, setGdSaving] = useState(false);
   const [gdLoading, setGdLoading] = useState(false);
@@ -3064,6 +4534,7 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
       if (fileIds.items.trim()) ids.items = fileIds.items.trim();
       if (fileIds.rules.trim()) ids.rules = fileIds.rules.trim();
       if (fileIds.lore.trim())  ids.lore  = fileIds.lore.trim();
+      if (fileIds.spells.trim()) ids.spells = fileIds.spells.trim();
       if (Object.keys(ids).length > 0) config.fileIds = ids;
       if (Object.keys(config).length === 0) {
         setGoogleDriveConfig(null); clearGoogleDriveCache(); notify("Google Drive disabled.");
@@ -3261,6 +4732,77 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
         </div>
       </section>
 
+      {/* CAMPAIGN SYNC */}
+      {isSupabaseEnabled() && (
+        <section style={s.settingsSection}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 4 }}>
+            <h3 style={{ color: "#fb923c", margin: 0, fontSize: 16 }}>🏰 Campaign Sync</h3>
+            {syncStatus.user
+              ? <span style={{ color: "#4ade80", fontSize: 12 }}>
+                  ● {syncStatus.user.email}
+                  {syncStatus.isOrganiser && (
+                    <span style={{ color: "#fb923c", fontSize: 11, marginLeft: 8, background: "#431407", padding: "1px 6px", borderRadius: 10 }}>ORGANISER</span>
+                  )}
+                </span>
+              : <span style={{ color: "#6b7280", fontSize: 12 }}>○ Not signed in</span>
+            }
+          </div>
+          <p style={{ color: "#6b7280", fontSize: 12, marginTop: 0 }}>
+            Your army lists, custom units, unit overrides and house rules are saved to the campaign database as well as this
+            browser, and list edits show up on your other signed-in devices as they happen.
+            The organiser's house rules, overrides and custom units apply to every player; your own overrides win where both set a field.
+          </p>
+
+          {!syncStatus.user ? (
+            <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+              <div style={{ ...s.formField, flex: 1 }}>
+                <label style={s.formLabel}>Email</label>
+                <input
+                  style={s.input}
+                  type="email"
+                  placeholder="you@example.com"
+                  value={syncEmail}
+                  onChange={(e) => setSyncEmail(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && syncEmail.trim() && handleSyncSignIn()}
+                />
+              </div>
+              <button
+                style={{ ...s.btn, background: "#c2410c", fontSize: 13, opacity: syncEmail.trim() ? 1 : 0.5 }}
+                onClick={handleSyncSignIn}
+                disabled={syncSending || !syncEmail.trim()}
+              >
+                {syncSending ? "Sending…" : "✉ Send sign-in link"}
+              </button>
+            </div>
+          ) : (
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <button style={{ ...s.btn, background: "#2563eb", fontSize: 13 }} onClick={onSyncNow} disabled={syncStatus.syncing}>
+                {syncStatus.syncing ? "Syncing…" : "⟳ Sync now"}
+              </button>
+              <button style={{ ...s.btn, background: "#7f1d1d", fontSize: 13 }} onClick={onSignOut}>Sign out</button>
+              <span style={{ color: "#9ca3af", fontSize: 12 }}>
+                {syncStatus.lastSyncedAt ? `Last synced ${formatAge(syncStatus.lastSyncedAt)}` : "Not synced yet"}
+              </span>
+            </div>
+          )}
+
+          <div style={{ color: "#9ca3af", fontSize: 12, marginTop: 10 }}>
+            {syncStatus.pending + syncStatus.listsPending > 0
+              ? <span style={{ color: "#fbbf24" }}>
+                  ⏳ {syncStatus.pending + syncStatus.listsPending} change{syncStatus.pending + syncStatus.listsPending !== 1 ? "s" : ""} waiting to sync
+                  {syncStatus.listsPending > 0 && ` (${syncStatus.listsPending} list${syncStatus.listsPending !== 1 ? "s" : ""})`}
+                </span>
+              : "✓ Nothing waiting to sync"}
+            {" · "}Campaign: {campaignCounts.rules} house rule{campaignCounts.rules !== 1 ? "s" : ""}, {campaignCounts.overrides} override{campaignCounts.overrides !== 1 ? "s" : ""}, {campaignCounts.units} custom unit{campaignCounts.units !== 1 ? "s" : ""}
+          </div>
+          {syncStatus.error && (
+            <div style={{ color: "#f87171", fontSize: 12, marginTop: 6 }}>
+              {syncStatus.error === "offline" ? "Offline: changes will sync when you reconnect." : `Sync error: ${syncStatus.error}`}
+            </div>
+          )}
+        </section>
+      )}
+
       {/* VERIFY UNIT DATA */}
       <section style={s.settingsSection}>
         <h3 style={{ color: "#fbbf24", marginBottom: 8 }}>Verify unit data (New Recruit)</h3>
@@ -3276,10 +4818,8 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
       <section style={s.settingsSection}>
         <h3 style={{ color: "#fbbf24", marginBottom: 8 }}>Dataset JSON (recommended)</h3>
         <p style={{ color: "#9ca3af", fontSize: 13, marginBottom: 12, lineHeight: 1.5 }}>
-          Use unit data from <code>public/data/datasets/</code>.{" "}
-          <strong>Elf</strong> rosters → <strong>Eonir</strong>.{" "}
-          <strong>Renegade Crowns / Empire / Bretonnia</strong> → <strong>Border Princes</strong>.{" "}
-          <strong>Tomb Kings</strong> → <strong>Tomb Kings</strong>.
+          Use unit data from the files listed in <code>public/data/datasets/manifest.json</code>.
+          Each file feeds the faction chosen below; changes apply to this browser only.
         </p>
         <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer" }}>
           <input
@@ -3292,8 +4832,30 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
               notify(e.target.checked ? "Dataset JSON enabled." : "Using catalogue or local data.");
             }}
           />
-          <span style={{ color: "#e5e7eb" }}>Use dataset JSON files for Eonir, Border Princes, Tomb Kings</span>
+          <span style={{ color: "#e5e7eb" }}>Use dataset JSON files</span>
         </label>
+        {datasetManifest.length > 0 && (
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr auto", gap: "6px 12px", alignItems: "center", marginTop: 14 }}>
+            {datasetManifest.map((d) => (
+              <div key={d.file} style={{ display: "contents" }}>
+                <span style={{ color: "#e5e7eb", fontSize: 13 }}>{d.label}</span>
+                <code style={{ color: "#6b7280", fontSize: 11 }}>{d.file}</code>
+                <select
+                  style={{ ...s.input, width: 200, padding: "4px 8px" }}
+                  value={d.target}
+                  onChange={(e) => remapDataset(d, e.target.value)}
+                >
+                  <option value="">— not used —</option>
+                  {Object.entries(factions || {}).map(([key, f]) => (
+                    <option key={key} value={key}>
+                      {f.name}{key === d.faction ? " (default)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
       </section>
 
       {/* BSDATA */}
@@ -3303,7 +4865,8 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
           Load from{" "}
           <a href="https://github.com/vflam/Warhammer-The-Old-World" target="_blank" rel="noopener noreferrer" style={{ color: "#60a5fa" }}>
             vflam/Warhammer-The-Old-World
-          </a>. Ignored when dataset JSON is on.
+          </a>. Catalogue units only fill gaps: a unit with the same name in dataset JSON, units.json,
+          Supabase or Google Drive takes precedence.
         </p>
         <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer" }}>
           <input
@@ -3337,7 +4900,7 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
           />
         </div>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 12 }}>
-          {["units","items","rules","lore"].map(k => (
+          {["units","items","rules","lore","spells"].map(k => (
             <div key={k} style={s.formField}>
               <label style={s.formLabel}>{k.charAt(0).toUpperCase()+k.slice(1)}</label>
               <input style={s.input} placeholder="File ID" value={fileIds[k]} onChange={(e) => setFileIds({ ...fileIds, [k]: e.target.value })} />
@@ -3348,6 +4911,21 @@ function SettingsView({ onRefreshData, notify, armyLists, onRestoreBackup }) {
           <button style={{ ...s.btn, background: "#2563eb" }} onClick={handleGdSave} disabled={gdSaving}>{gdSaving ? "Saving…" : "Save"}</button>
           <button style={{ ...s.btn, background: "#374151" }} onClick={handleGdLoadNow} disabled={gdLoading}>{gdLoading ? "Loading…" : "Reload Custom Data"}</button>
         </div>
+        {unmatchedLoreKeys?.length > 0 && (
+          <div style={{ marginTop: 16, padding: "10px 12px", background: "#422006", border: "1px solid #92400e", borderRadius: 6 }}>
+            <div style={{ color: "#fbbf24", fontSize: 13, fontWeight: 600, marginBottom: 4 }}>
+              ⚠ {unmatchedLoreKeys.length} lore {unmatchedLoreKeys.length === 1 ? "entry matches" : "entries match"} no unit or faction
+            </div>
+            <p style={{ color: "#9ca3af", fontSize: 12, margin: "0 0 6px 0" }}>
+              Lore keys must be a faction key (e.g. <code>eonir</code>) or a unit id. These are never shown:
+            </p>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+              {unmatchedLoreKeys.map((k) => (
+                <code key={k} style={{ fontSize: 11, padding: "2px 6px", background: "#1f2937", borderRadius: 3, color: "#fca5a5" }}>{k}</code>
+              ))}
+            </div>
+          </div>
+        )}
       </section>
     </div>
   );
@@ -3617,6 +5195,115 @@ function CustomGameConfig({ unitOverrides, saveOverrides, customUnitsDB, saveCus
   );
 }
 
+// ═══════════════════════════════════════════════════════════════
+// DATA HEALTH PANEL
+// ═══════════════════════════════════════════════════════════════
+
+function DataHealthPanel({ faction, activeFaction, allUnits, unitOverrides, saveOverrides, notify }) {
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  const [showMissing, setShowMissing] = useState(false);
+
+  // A report belongs to one faction; switching tabs discards it.
+  useEffect(() => { setReport(null); setError(null); }, [activeFaction]);
+
+  const runCheck = async () => {
+    setChecking(true);
+    setError(null);
+    try {
+      const result = await buildDataHealthReport(activeFaction, allUnits);
+      if (!result) setError(`No BSData catalogue is mapped for ${faction.name}.`);
+      setReport(result);
+    } catch (e) {
+      setError(e.message || "Could not load the catalogue (offline?).");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Adopt upstream values into the unit's override and drop the adopted diffs from the report.
+  const adopt = (unit, adopted) => {
+    const override = adopted.reduce((ov, d) => mergeOverrideFix(ov, d.fix), unitOverrides[unit.id]);
+    saveOverrides({ ...unitOverrides, [unit.id]: override });
+    setReport((r) => {
+      const outdated = r.outdated
+        .map((o) => (o.unit.id === unit.id ? { ...o, diffs: o.diffs.filter((d) => !adopted.includes(d)) } : o))
+        .filter((o) => o.diffs.length);
+      return { ...r, outdated, upToDate: r.upToDate + (r.outdated.length - outdated.length) };
+    });
+    notify(`${unit.name} updated from BSData`);
+  };
+
+  return (
+    <div style={{ marginTop: 32 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ color: "#6ee7b7", margin: 0 }}>✚ Data Health</h3>
+        <button
+          style={{ ...styles.btn, background: "#065f46", fontSize: 12, padding: "4px 12px" }}
+          onClick={runCheck}
+          disabled={checking}
+        >
+          {checking ? "Checking…" : report ? "Re-check" : "Check against BSData"}
+        </button>
+      </div>
+      <p style={{ color: "#6b7280", fontSize: 12, marginTop: 4 }}>
+        Compares built-in units with the BattleScribe catalogue: points, unit sizes and option costs. Adopting a value saves it as a unit override. Catalogues are cached for 24h.
+      </p>
+      {error && <div style={{ color: "#fca5a5", fontSize: 12 }}>{error}</div>}
+      {report && (
+        <>
+          <div style={{ color: "#9ca3af", fontSize: 12, margin: "8px 0" }}>
+            {report.upToDate} up to date · <span style={{ color: report.outdated.length ? "#fbbf24" : "#9ca3af" }}>{report.outdated.length} differ</span>
+            {" · "}{report.notInCatalogue.length} not in catalogue (homebrew)
+            {" · "}
+            <button
+              style={{ background: "none", border: "none", color: "#93c5fd", cursor: "pointer", fontSize: 12, padding: 0 }}
+              onClick={() => setShowMissing(!showMissing)}
+            >
+              {report.missing.length} catalogue units we don't have {showMissing ? "▲" : "▼"}
+            </button>
+          </div>
+          {showMissing && report.missing.length > 0 && (
+            <div style={{ color: "#6b7280", fontSize: 11, marginBottom: 8 }}>
+              {report.missing.map((u) => u.name).join(" · ")}
+            </div>
+          )}
+          {report.outdated.map(({ unit, diffs }) => (
+            <div key={unit.id} style={{ ...styles.customUnitRow, flexDirection: "column", alignItems: "stretch", borderLeft: "3px solid #92400e" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <strong style={{ color: "#e5e7eb" }}>{unit.name}</strong>
+                <button
+                  style={{ ...styles.btn, background: "#065f46", fontSize: 11, padding: "3px 10px" }}
+                  onClick={() => adopt(unit, diffs)}
+                >
+                  Adopt all
+                </button>
+              </div>
+              {diffs.map((d, i) => (
+                <div key={i} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 12, marginTop: 4 }}>
+                  <span style={{ color: "#9ca3af" }}>
+                    {d.label}:{" "}
+                    <span style={{ color: "#fca5a5" }}>{d.ours ?? "—"}</span>
+                    {" → "}
+                    <span style={{ color: "#6ee7b7" }}>{d.upstream ?? "—"}</span>
+                  </span>
+                  <button
+                    style={{ ...styles.btn, background: "#374151", fontSize: 10, padding: "2px 8px" }}
+                    onClick={() => adopt(unit, [d])}
+                  >
+                    Adopt
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════
 // DATA MANAGEMENT VIEW
 // ═══════════════════════════════════════════════════════════════
@@ -3838,6 +5525,15 @@ function DataView({ faction, activeFaction, allUnits, baseUnits, addCustomUnit,
         })()}
       </div>
 
+      <DataHealthPanel
+        faction={faction}
+        activeFaction={activeFaction}
+        allUnits={allUnits}
+        unitOverrides={unitOverrides}
+        saveOverrides={saveOverrides}
+        notify={notify}
+      />
+
       {/* ═══ Custom Game Config (Import/Export) ═══ */}
       <CustomGameConfig
         unitOverrides={unitOverrides}
@@ -3901,6 +5597,24 @@ const styles = {
     background: "#065f46", color: "#d1fae5", padding: "10px 20px",
     borderRadius: 8, fontSize: 14, boxShadow: "0 4px 12px rgba(0,0,0,0.4)",
     animation: "fadeIn 0.3s ease",
+    display: "flex", alignItems: "center", gap: 12,
+  },
+  conflictOverlay: {
+    position: "fixed", inset: 0, zIndex: 900, background: "rgba(0,0,0,0.7)",
+    display: "flex", alignItems: "center", justifyContent: "center", padding: 16,
+  },
+  conflictPanel: {
+    background: "#12121f", border: "1px solid #92400e", borderRadius: 8, padding: 20,
+    width: "100%", maxWidth: 640, maxHeight: "85vh", overflowY: "auto",
+  },
+  conflictSide: {
+    background: "#0a0a0f", border: "1px solid #2d2d44", borderRadius: 6, padding: "8px 10px",
+    color: "#d1d5db", fontSize: 12, textAlign: "left", cursor: "pointer", fontFamily: "'Segoe UI', sans-serif",
+  },
+  conflictSideChosen: { borderColor: "#fbbf24", background: "#1f1a0a" },
+  notificationAction: {
+    background: "transparent", border: "1px solid #6ee7b7", color: "#ecfdf5",
+    borderRadius: 4, padding: "2px 10px", fontSize: 13, fontWeight: 600, cursor: "pointer",
   },
 
   // Header
@@ -3918,6 +5632,7 @@ const styles = {
   pointsLimit: { color: "#6b7280", fontSize: 14, fontFamily: "monospace" },
 
   // Faction tabs
+  factionLore: { padding: "0 24px 10px", background: "#0f0f1a", borderBottom: "1px solid #1f1f33" },
   factionBar: { display: "flex", gap: 6, padding: "10px 24px", background: "#0f0f1a", borderBottom: "1px solid #1f1f33", overflowX: "auto" },
   factionTab: {
     display: "flex", alignItems: "center", gap: 8, padding: "8px 16px",
@@ -3987,6 +5702,15 @@ const styles = {
   activeListHeader: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 },
   pointsBar: { height: 6, background: "#1f1f33", borderRadius: 3, overflow: "hidden", marginBottom: 20 },
   pointsFill: { height: "100%", borderRadius: 3, transition: "width 0.4s ease" },
+  compositionPanel: { background: "#12121f", border: "1px solid #2d2d44", borderRadius: 8, padding: "10px 14px", marginBottom: 20 },
+  roleField: { display: "flex", alignItems: "center", gap: 10 },
+  compositionHeader: { display: "flex", justifyContent: "space-between", alignItems: "center", cursor: "pointer" },
+  compositionGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 10, marginTop: 10 },
+  compositionCell: { background: "#1a1a2e", borderRadius: 6, padding: "6px 8px" },
+  joinedEntries: { marginLeft: 18, paddingLeft: 10, borderLeft: "2px solid", marginBottom: 6 },
+  alliesBlock: { marginTop: 20, padding: "12px 14px", background: "#0f0f1a", border: "1px dashed #2d2d44", borderRadius: 8 },
+  trashPanel: { background: "#12121f", border: "1px solid #2d2d44", borderRadius: 8, padding: "10px 14px", marginBottom: 12 },
+  trashRow: { display: "flex", alignItems: "center", gap: 8, padding: "4px 0", borderTop: "1px solid #1f1f33", fontSize: 13 },
 
   // Add unit panel
   addUnitPanel: { background: "#12121f", border: "1px solid #2d2d44", borderRadius: 8, padding: 16, marginBottom: 20 },
@@ -4031,6 +5755,27 @@ const styles = {
     background: "#1a1a2e", color: "#9ca3af", cursor: "pointer", fontSize: 12,
     fontFamily: "'Segoe UI', sans-serif",
   },
+  itemConflicts: {
+    padding: "6px 12px", background: "#450a0a", borderTop: "1px solid #7f1d1d",
+    color: "#fca5a5", fontSize: 11, lineHeight: 1.5,
+  },
+  roleBadge: {
+    fontSize: 10, padding: "1px 6px", borderRadius: 3, marginLeft: 6, fontWeight: 600,
+    background: "#422006", border: "1px solid #92400e", color: "#fbbf24",
+  },
+  joinedBadge: {
+    fontSize: 10, padding: "1px 6px", borderRadius: 3, marginLeft: 6,
+    background: "#1e3a5f", border: "1px solid #2563eb44", color: "#93c5fd",
+  },
+
+  // Wizard panel
+  wizardPanel: { margin: "8px 0", padding: 10, background: "#1a1a2e", borderRadius: 6, border: "1px solid #2d2d44" },
+  wizardLabel: { color: "#6b7280", fontSize: 10, textTransform: "uppercase", letterSpacing: 1, marginTop: 6, marginBottom: 4 },
+  wizardOptions: { display: "flex", flexWrap: "wrap", gap: 4 },
+  wizardOption: {
+    padding: "4px 10px", background: "transparent", border: "1px solid #1f1f33", borderRadius: 4,
+    color: "#9ca3af", fontSize: 12, cursor: "pointer",
+  },
 
   // Stat table
   statBlock: { marginTop: 10, overflowX: "auto" },
@@ -4118,6 +5863,10 @@ export default function App() {
           units: {},
           items: { weapons: [], armour: [], talismans: [], enchanted: [], arcane: [], banners: [] },
           rules: [],
+          composition: {},
+          glossary: {},
+          lore: {},
+          spells: {},
         });
       });
   }, []);
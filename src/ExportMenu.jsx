@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { exportList, copyToClipboard, EXPORT_FORMATS } from "./lib/listExport";
+
+// ═══════════════════════════════════════════════════════════════
+// EXPORT — copy the list as plain text, Markdown or BBCode
+// ═══════════════════════════════════════════════════════════════
+
+export default function ExportMenu({ list, allUnits, faction, allyFaction, categories, spells, buttonStyle }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(null);
+
+  const copy = async (format) => {
+    const text = exportList(list, format, {
+      allUnits,
+      factionName: faction?.name,
+      allyFactionName: allyFaction?.name,
+      categories,
+      spells,
+    });
+    const ok = await copyToClipboard(text);
+    setCopied(ok ? format : "failed");
+    setOpen(false);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const label = copied === "failed"
+    ? "✕ Copy failed"
+    : copied
+      ? `✓ ${EXPORT_FORMATS.find((f) => f.id === copied).label} copied`
+      : "📋 Export";
+
+  return (
+    <div style={exStyles.wrap}>
+      <button style={buttonStyle || exStyles.button} onClick={() => setOpen(!open)} title="Copy the list to the clipboard">
+        {label}
+      </button>
+      {open && (
+        <div style={exStyles.menu}>
+          {EXPORT_FORMATS.map((f) => (
+            <button key={f.id} style={exStyles.option} onClick={() => copy(f.id)}>
+              {f.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const exStyles = {
+  wrap: { position: "relative" },
+  button: {
+    background: "transparent", border: "1px solid #2d2d44",
+    color: "#9ca3af", cursor: "pointer", padding: "6px 14px",
+    borderRadius: 6, fontSize: 13, fontFamily: "'Segoe UI', sans-serif",
+  },
+  menu: {
+    position: "absolute", right: 0, top: "calc(100% + 4px)", zIndex: 20,
+    display: "flex", flexDirection: "column", minWidth: 140,
+    background: "#1a1a2e", border: "1px solid #2d2d44", borderRadius: 6, overflow: "hidden",
+    boxShadow: "0 8px 20px rgba(0,0,0,0.5)",
+  },
+  option: {
+    background: "transparent", border: "none", borderBottom: "1px solid #2d2d44",
+    color: "#d1d5db", cursor: "pointer", padding: "8px 12px", textAlign: "left",
+    fontSize: 13, fontFamily: "'Segoe UI', sans-serif",
+  },
+};
@@ -1,26 +1,47 @@
 import { useState, useEffect, useCallback } from "react";
+import { createPortal } from "react-dom";
+import { lookupRule, parseRule, parseRuleList, fetchRules, RULE_LOOKUP_URL } from "./lib/rulesGlossary";
+import { findLore } from "./lib/lore";
+import LoreBlock from "./LoreBlock";
+import ExportMenu from "./ExportMenu";
+import { getListRoles, isAllied } from "./lib/composition";
+import { getJoinedCharacters, getCombinedRules } from "./lib/joining";
+import { getWizardData, getEntryWizardLevel, getEntryLore, loreName } from "./lib/magic";
+import { parseWeapons } from "./lib/weapons";
 
 // ═══════════════════════════════════════════════════════════════
 // RULE LOOKUP MODAL
-// Fetches rule definitions from tow.whfb.app via Netlify proxy
+// Reads the offline glossary first, then tow.whfb.app via Netlify proxy
 // ═══════════════════════════════════════════════════════════════
 
-function toRuleSlug(ruleName) {
-  // Strip parenthetical details: "Hatred (Warriors of Chaos)" → "hatred"
-  const base = ruleName.split("(")[0].split(":")[0].trim();
-  return base.toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "");
-}
-
-function RuleLookupModal({ ruleName, onClose }) {
+function RuleLookupModal({ rule, localDesc, glossary, fetchedRules, onClose }) {
   const [state, setState] = useState("loading"); // loading | found | error
   const [ruleData, setRuleData] = useState(null);
+  const ruleName = rule.raw;
+  const slug = rule.slug;
 
   useEffect(() => {
-    if (!ruleName) return;
+    if (!slug) return;
+    const cached = lookupRule(glossary, rule);
+    if (cached) {
+      setRuleData(cached);
+      setState("found");
+      return;
+    }
+    // Already fetched by GameView's batch call (a retry-able failure falls through to a fresh fetch)
+    const prefetched = fetchedRules?.[slug];
+    if (prefetched && !prefetched.retry) {
+      if (prefetched.error) {
+        setState("error");
+      } else {
+        setRuleData(prefetched);
+        setState("found");
+      }
+      return;
+    }
     setState("loading");
-    const slug = toRuleSlug(ruleName);
 
-    fetch(`/.netlify/functions/rule-lookup?rule=${encodeURIComponent(slug)}`)
+    fetch(`${RULE_LOOKUP_URL}?rule=${encodeURIComponent(slug)}`)
       .then((r) => r.json())
       .then((data) => {
         if (data.error) {
@@ -31,7 +52,7 @@ function RuleLookupModal({ ruleName, onClose }) {
         }
       })
       .catch(() => setState("error"));
-  }, [ruleName]);
+  }, [slug, glossary, fetchedRules]);
 
   return (
     <div style={gvStyles.modalOverlay} onClick={onClose}>
@@ -67,7 +88,7 @@ function RuleLookupModal({ ruleName, onClose }) {
             <p style={{ color: "#6b7280", fontStyle: "italic" }}>
               Rule definition not found on tow.whfb.app. Check the{" "}
               <a
-                href={`https://tow.whfb.app/rules/special-rules/${toRuleSlug(ruleName)}`}
+                href={`https://tow.whfb.app/rules/special-rules/${slug}`}
                 target="_blank"
                 rel="noopener noreferrer"
                 style={{ color: "#60a5fa" }}
@@ -77,9 +98,9 @@ function RuleLookupModal({ ruleName, onClose }) {
               directly.
             </p>
             {/* Fallback to local SPECIAL_RULES_DESC from App.jsx if parent provides it */}
-            {ruleData?.localDesc && (
+            {(localDesc || rule.detail) && (
               <p style={{ color: "#d1d5db", lineHeight: 1.7, marginTop: 12 }}>
-                {ruleData.localDesc}
+                {localDesc || rule.detail}
               </p>
             )}
           </div>
@@ -93,6 +114,17 @@ function RuleLookupModal({ ruleName, onClose }) {
                 {ruleData.breadcrumb}
               </div>
             )}
+            {(rule.param || rule.detail) && (
+              <div style={{ color: "#fbbf24", fontSize: 13, marginBottom: 8 }}>
+                {rule.param && <>This unit: <strong>{rule.name} ({rule.param})</strong></>}
+                {rule.detail && <div style={{ color: "#9ca3af", fontStyle: "italic" }}>{rule.detail}</div>}
+              </div>
+            )}
+            {ruleData.pageRef && (
+              <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 12 }}>
+                {ruleData.pageRef}
+              </div>
+            )}
             {ruleData.meta && (
               <div style={{ color: "#6b7280", fontSize: 12, marginBottom: 12 }}>
                 {ruleData.meta}
@@ -119,22 +151,27 @@ function RuleLookupModal({ ruleName, onClose }) {
 // CLICKABLE SPECIAL RULE TAG
 // ═══════════════════════════════════════════════════════════════
 
-function RuleTag({ rule, localDesc }) {
+// `rule` is one parsed rule (see parseRule); its parameter is shown as a chip.
+function RuleTag({ rule, localDesc, glossary, fetchedRules }) {
   const [showModal, setShowModal] = useState(false);
+  const parsed = typeof rule === "string" ? parseRule(rule) : rule;
 
   return (
     <>
       <span
         style={gvStyles.ruleTag}
         onClick={() => setShowModal(true)}
-        title="Click to view rule definition"
+        title={parsed.detail || "Click to view rule definition"}
       >
-        {rule}
+        {parsed.name}
+        {parsed.param && <span style={gvStyles.ruleParam}>{parsed.param}</span>}
       </span>
       {showModal && (
         <RuleLookupModal
-          ruleName={rule}
+          rule={parsed}
           localDesc={localDesc}
+          glossary={glossary}
+          fetchedRules={fetchedRules}
           onClose={() => setShowModal(false)}
         />
       )}
@@ -147,7 +184,22 @@ function RuleTag({ rule, localDesc }) {
 // Displays a single roster entry in game-view format
 // ═══════════════════════════════════════════════════════════════
 
-function UnitGameCard({ entry, unitDef, faction, localRulesDesc }) {
+/** Active mount upgrade (if any has a mountProfile). */
+function getActiveMount(entry, unitDef) {
+  return (unitDef.upgrades || []).find(
+    (u) => u.type === "mount" && (entry.activeUpgrades || []).includes(u.id) && u.mountProfile
+  ) || null;
+}
+
+/** Special rules of an entry — base + mount rules combined, one parsed rule per rule. */
+function getEntryRules(entry, unitDef) {
+  return parseRuleList([
+    ...(unitDef.specialRules || []),
+    ...(getActiveMount(entry, unitDef)?.mountRules || []),
+  ]);
+}
+
+function UnitGameCard({ entry, unitDef, faction, localRulesDesc, glossary, fetchedRules, lore, spells, isGeneral, isBSB, joined = [], renderJoined }) {
   const [expanded, setExpanded] = useState(true);
 
   if (!unitDef) {
@@ -195,23 +247,26 @@ function UnitGameCard({ entry, unitDef, faction, localRulesDesc }) {
     ...arrowEquip,
   ];
 
-  const displayUpgradeExtras = upgradeExtras;
+  // Wizard level and lore (details in the Magic section)
+  const wizardLevel = getWizardData(unitDef) ? getEntryWizardLevel(entry, unitDef) : 0;
+  const entryLore = wizardLevel !== 0 ? getEntryLore(entry, unitDef) : null;
+  const wizardChip = wizardLevel !== 0
+    ? `✨ ${wizardLevel ? `Level ${wizardLevel} Wizard` : "Wizard"}${entryLore ? ` · ${loreName(spells, entryLore)}` : ""}`
+    : null;
+  const displayUpgradeExtras = [
+    ...upgradeExtras.filter((x) => !(wizardChip && activeUpgradeDefs.some((u) => u.type === "lore" && x === u.name))),
+    ...(wizardChip ? [wizardChip] : []),
+  ];
 
-  // Active mount upgrade (if any has a mountProfile)
-  const activeMountUpg = (unitDef.upgrades || []).find(
-    (u) => u.type === "mount" && (entry.activeUpgrades || []).includes(u.id) && u.mountProfile
-  ) || null;
+  const activeMountUpg = getActiveMount(entry, unitDef);
   const mountProfile = activeMountUpg?.mountProfile || null;
   const mountEquipChips = activeMountUpg?.mountEquipment || [];
   const allGVProfiles = mountProfile
     ? [...(unitDef.profiles || []), mountProfile]
     : (unitDef.profiles || []);
 
-  // Special rules — base + mount rules combined
-  const specialRules = [
-    ...(unitDef.specialRules || []),
-    ...(activeMountUpg?.mountRules || []),
-  ];
+  const specialRules = getEntryRules(entry, unitDef);
+  const combined = joined.length > 0 ? getCombinedRules(unitDef, joined.map((j) => j.unitDef)) : null;
 
   return (
     <div style={gvStyles.unitCard}>
@@ -224,11 +279,18 @@ function UnitGameCard({ entry, unitDef, faction, localRulesDesc }) {
           <span style={{ color: "#6b7280", fontSize: 13, transform: expanded ? "rotate(90deg)" : "rotate(0)", display: "inline-block", transition: "transform 0.15s" }}>▸</span>
           <div>
             <strong style={{ color: "#e5e7eb", fontSize: 15 }}>{unitDef?.name || entry.unitName}</strong>
+            {isGeneral && <span style={gvStyles.roleBadge}>👑 General</span>}
+            {isBSB && <span style={gvStyles.roleBadge}>🚩 BSB</span>}
             {!entry.isCharacter && (
               <span style={{ color: "#9ca3af", fontSize: 13, marginLeft: 6 }}>
                 × {entry.modelCount}
               </span>
             )}
+            {joined.length > 0 && (
+              <span style={{ color: "#93c5fd", fontSize: 12, marginLeft: 8, fontFamily: "'Segoe UI', sans-serif" }}>
+                + {joined.map((j) => j.unitDef?.name || j.entry.unitName).join(", ")}
+              </span>
+            )}
           </div>
         </div>
         <span style={gvStyles.ptsBadge}>{entry.ptsCost} pts</span>
@@ -263,7 +325,9 @@ function UnitGameCard({ entry, unitDef, faction, localRulesDesc }) {
                   <RuleTag
                     key={i}
                     rule={r}
-                    localDesc={localRulesDesc?.[r] || localRulesDesc?.[r.split(":")[0].trim()]}
+                    localDesc={localRulesDesc?.[r.raw] || localRulesDesc?.[r.name]}
+                    glossary={glossary}
+                    fetchedRules={fetchedRules}
                   />
                 ))}
               </div>
@@ -321,12 +385,369 @@ function UnitGameCard({ entry, unitDef, faction, localRulesDesc }) {
               ⚑ {unitDef._houseRuleNote}
             </div>
           )}
+
+          {/* Lore — collapsed so it doesn't crowd the table view */}
+          <LoreBlock text={findLore(lore, unitDef.id)} accent={faction.accent} collapsible defaultOpen={false} compact />
+
+          {/* Joined characters and the rules the combined unit shares */}
+          {combined && (combined.gained.length > 0 || combined.lost.length > 0) && (
+            <div style={gvStyles.combinedRules}>
+              {combined.gained.map((g) => (
+                <div key={g.rule}>⊕ Unit is <strong>{g.rule}</strong> while {g.from.join(", ")} {g.from.length === 1 ? "is" : "are"} in it</div>
+              ))}
+              {combined.lost.map((l) => (
+                <div key={l.rule}>⊖ <strong>{l.rule}</strong> lost: only {l.holders.join(", ")} {l.holders.length === 1 ? "has" : "have"} it</div>
+              ))}
+            </div>
+          )}
+          {joined.length > 0 && (
+            <div style={gvStyles.joinedBlock}>
+              <div style={gvStyles.rulesLabel}>Joined characters</div>
+              {joined.map(renderJoined)}
+            </div>
+          )}
         </div>
       )}
     </div>
   );
 }
 
+// ═══════════════════════════════════════════════════════════════
+// MAGIC — each wizard's level, lore and spells
+// ═══════════════════════════════════════════════════════════════
+
+/** Wizards in the list: { entry, unitDef, level, loreId }, skipping those not (yet) at a level. */
+function getListWizards(entries, allUnits) {
+  const wizards = [];
+  for (const entry of entries) {
+    const unitDef = allUnits.find((u) => u.id === entry.unitId);
+    if (!getWizardData(unitDef)) continue;
+    const level = getEntryWizardLevel(entry, unitDef);
+    if (level === 0) continue;
+    wizards.push({ entry, unitDef, level, loreId: getEntryLore(entry, unitDef) });
+  }
+  return wizards;
+}
+
+function MagicSection({ wizards, spells, faction }) {
+  return (
+    <div style={{ marginBottom: 28 }}>
+      <div style={gvStyles.categoryHeader}>
+        <span style={{ color: "#a78bfa" }}>✨ Magic</span>
+        <span style={{ color: "#6b7280", fontSize: 12, fontFamily: "monospace" }}>
+          {wizards.length} wizard{wizards.length !== 1 ? "s" : ""}
+        </span>
+      </div>
+      {wizards.map(({ entry, unitDef, level, loreId }) => {
+        const loreSpells = loreId ? spells?.[loreId]?.spells || [] : [];
+        return (
+          <div key={entry.entryId} style={gvStyles.magicCard}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8, flexWrap: "wrap" }}>
+              <strong style={{ color: "#e5e7eb", fontSize: 14 }}>{unitDef.name}</strong>
+              <span style={{ color: "#a78bfa", fontSize: 12, fontFamily: "'Segoe UI', sans-serif" }}>
+                {level ? `Level ${level}` : "Level ?"} · {loreId ? loreName(spells, loreId) : <span style={{ color: "#f59e0b" }}>no lore chosen</span>}
+              </span>
+            </div>
+            {loreSpells.length > 0 ? (
+              <table style={{ ...gvStyles.statTable, marginTop: 6 }}>
+                <thead>
+                  <tr>
+                    {["Spell", "Type", "Casting", "Range"].map((h) => (
+                      <th key={h} style={{ ...gvStyles.statTh, textAlign: h === "Spell" ? "left" : "center" }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {loreSpells.map((sp) => (
+                    <tr key={sp.name}>
+                      <td style={{ ...gvStyles.statTd, textAlign: "left", color: faction.accent, fontWeight: 600 }}>
+                        {sp.name}
+                        {sp.signature && <span style={gvStyles.signatureTag} title="Signature spell">signature</span>}
+                      </td>
+                      <td style={gvStyles.statTd}>{sp.type || "-"}</td>
+                      <td style={gvStyles.statTd}>{sp.cv || "-"}</td>
+                      <td style={gvStyles.statTd}>{sp.range || "-"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : loreId ? (
+              <div style={{ color: "#6b7280", fontSize: 12, marginTop: 4, fontFamily: "'Segoe UI', sans-serif" }}>
+                Spells for this lore aren't recorded in the app — see the rulebook.
+              </div>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PRINT SHEET — paper roster for the browser print dialog / Save as PDF
+// ═══════════════════════════════════════════════════════════════
+
+// Rendered into <body> (outside the fixed Game View overlay) so every page prints, not just the visible one.
+const PRINT_CSS = (paper) => `
+@page { size: ${paper === "letter" ? "letter" : "A4"}; margin: 10mm; }
+@media print {
+  body > *:not(.tow-print) { display: none !important; }
+  .tow-print { position: static !important; overflow: visible !important; background: #fff !important; }
+  .tow-print-toolbar { display: none !important; }
+  .tow-print-paper { box-shadow: none !important; margin: 0 !important; padding: 0 !important; width: auto !important; }
+}
+.tow-print-card { break-inside: avoid; page-break-inside: avoid; }
+`;
+
+const STAT_COLS = ["M", "WS", "BS", "S", "T", "W", "I", "A", "Ld"];
+// a, b, … z, a1, b1, …
+const noteLetter = (i) => String.fromCharCode(97 + (i % 26)) + (i >= 26 ? Math.floor(i / 26) : "");
+
+/** Everything an entry carries, for the print sheet: profiles, weapons, other gear, magic items. */
+function getPrintLoadout(entry, unitDef) {
+  const active = (unitDef.upgrades || []).filter((u) => (entry.activeUpgrades || []).includes(u.id));
+  const mount = getActiveMount(entry, unitDef);
+  const equipment = [
+    ...(unitDef.equipment || []),
+    ...active.filter((u) => u.type === "equipment" || u.type === "command").map((u) => u.name),
+    ...(mount?.mountEquipment || []),
+  ];
+  const parsed = parseWeapons(equipment);
+  const { weapons, nonWeapons } = parsed.weapons !== undefined ? parsed : { weapons: [], nonWeapons: equipment };
+  const extras = active
+    .filter((u) => u.type !== "equipment" && u.type !== "command" && u.type !== "magic" && u.type !== "lore")
+    .map((u) => u.name);
+  const level = getWizardData(unitDef) ? getEntryWizardLevel(entry, unitDef) : 0;
+  const items = [
+    ...Object.values(entry.magicItems || {}),
+    ...Object.values(entry.commandMagicItems || {}).flatMap((slots) => Object.values(slots || {})),
+  ].filter(Boolean);
+  return {
+    profiles: mount?.mountProfile ? [...(unitDef.profiles || []), mount.mountProfile] : unitDef.profiles || [],
+    weapons,
+    gear: [...nonWeapons, ...extras, ...(mount?.mountArmour ? [`${mount.name}: ${mount.mountArmour}`] : [])],
+    wizard: level !== 0 ? { level, loreId: getEntryLore(entry, unitDef) } : null,
+    items,
+  };
+}
+
+function PrintSheet({ list, allUnits, faction, allyFaction, totalPoints, composition, glossary, fetchedRules, localRulesDesc, itemsCatalog, spells, onClose }) {
+  const [layout, setLayout] = useState("cards"); // cards | dense
+  const [paper, setPaper] = useState("a4"); // a4 | letter
+  const { general, bsb } = getListRoles(list);
+  const unitOf = (e) => allUnits.find((u) => u.id === e.unitId);
+  const dense = layout === "dense";
+
+  // Footnotes: one number per distinct rule, one letter per distinct magic item, in list order
+  const ruleNotes = [];
+  const itemNotes = [];
+  const ruleNumber = (r) => {
+    let i = ruleNotes.findIndex((n) => n.slug === r.slug);
+    if (i === -1) {
+      const entry = lookupRule(glossary, r) || (fetchedRules?.[r.slug]?.body ? fetchedRules[r.slug] : null);
+      ruleNotes.push({ slug: r.slug, name: r.name, body: entry?.body || localRulesDesc?.[r.raw] || localRulesDesc?.[r.name] || r.detail || null });
+      i = ruleNotes.length - 1;
+    }
+    return i + 1;
+  };
+  const itemLetter = (item) => {
+    let i = itemNotes.findIndex((n) => n.name === item.name);
+    if (i === -1) {
+      const known = Object.values(itemsCatalog || {}).flat().find((c) => c.name === item.name);
+      itemNotes.push({ ...known, ...item, description: item.description || known?.description || null });
+      i = itemNotes.length - 1;
+    }
+    return noteLetter(i);
+  };
+
+  const isNested = (e) => !!e.joinedTo && list.entries.some((h) => h.entryId === e.joinedTo);
+  const groups = (entries) => CATEGORY_ORDER
+    .map((cat) => [cat, entries.filter((e) => e.category === cat)])
+    .filter(([, inCat]) => inCat.length > 0);
+
+  const renderUnit = (entry) => {
+    const unitDef = unitOf(entry);
+    const roles = [entry.entryId === general?.entryId && "General", entry.entryId === bsb?.entryId && "BSB"].filter(Boolean);
+    const joined = entry.isCharacter ? [] : getJoinedCharacters(list, entry.entryId);
+    const header = (
+      <div style={prStyles.unitHeader}>
+        <span>
+          <strong>{unitDef?.name || entry.unitName}</strong>
+          {!entry.isCharacter && <span> × {entry.modelCount}</span>}
+          {roles.length > 0 && <span style={prStyles.role}> [{roles.join(", ")}]</span>}
+          {joined.length > 0 && <span style={prStyles.muted}> + {joined.map((j) => j.unitName).join(", ")}</span>}
+        </span>
+        <span>{entry.ptsCost} pts</span>
+      </div>
+    );
+    if (!unitDef) return <div key={entry.entryId} className="tow-print-card" style={prStyles.card}>{header}</div>;
+
+    const { profiles, weapons, gear, wizard, items } = getPrintLoadout(entry, unitDef);
+    const rules = getEntryRules(entry, unitDef);
+
+    return (
+      <div key={entry.entryId} className="tow-print-card" style={dense ? prStyles.denseUnit : prStyles.card}>
+        {header}
+        {profiles.length > 0 && (
+          <table style={prStyles.table}>
+            <thead>
+              <tr>
+                <th style={{ ...prStyles.th, textAlign: "left" }}>Profile</th>
+                {STAT_COLS.map((s) => <th key={s} style={prStyles.th}>{s}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map((p, i) => (
+                <tr key={i}>
+                  <td style={{ ...prStyles.td, textAlign: "left" }}>{p.name}</td>
+                  {STAT_COLS.map((s) => <td key={s} style={prStyles.td}>{p[s] ?? "-"}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {weapons.length > 0 && (dense ? (
+          <div style={prStyles.line}>
+            <b>Weapons:</b> {weapons.map((w) => `${w.name} (${w.range}, ${w.strength}, AP${w.ap}${w.specRules !== "-" ? `, ${w.specRules}` : ""})`).join("; ")}
+          </div>
+        ) : (
+          <table style={prStyles.table}>
+            <thead>
+              <tr>
+                {["Weapon", "Range", "S", "AP", "Rules"].map((h) => (
+                  <th key={h} style={{ ...prStyles.th, textAlign: h === "Weapon" || h === "Rules" ? "left" : "center" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {weapons.map((w, i) => (
+                <tr key={i}>
+                  <td style={{ ...prStyles.td, textAlign: "left" }}>{w.name}</td>
+                  <td style={prStyles.td}>{w.range}</td>
+                  <td style={prStyles.td}>{w.strength}</td>
+                  <td style={prStyles.td}>{w.ap}</td>
+                  <td style={{ ...prStyles.td, textAlign: "left" }}>{w.specRules}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+        {gear.length > 0 && <div style={prStyles.line}><b>Gear:</b> {gear.join(", ")}</div>}
+        {wizard && (
+          <div style={prStyles.line}>
+            <b>Wizard:</b> {wizard.level ? `Level ${wizard.level}` : "level ?"}{wizard.loreId ? `, ${loreName(spells, wizard.loreId)}` : ""}
+          </div>
+        )}
+        {items.length > 0 && (
+          <div style={prStyles.line}>
+            <b>Magic items:</b> {items.map((item, i) => (
+              <span key={i}>{i > 0 && ", "}{item.name}<sup>{itemLetter(item)}</sup></span>
+            ))}
+          </div>
+        )}
+        {entry.arrows && <div style={prStyles.line}><b>Arrows:</b> {entry.arrows.name}</div>}
+        {rules.length > 0 && (
+          <div style={prStyles.line}>
+            <b>Special rules:</b> {rules.map((r, i) => (
+              <span key={i}>{i > 0 && ", "}{r.name}{r.param ? ` (${r.param})` : ""}<sup>{ruleNumber(r)}</sup></span>
+            ))}
+          </div>
+        )}
+        {unitDef._houseRuleNote && <div style={{ ...prStyles.line, fontStyle: "italic" }}>⚑ House rule: {unitDef._houseRuleNote}</div>}
+        {joined.length > 0 && <div style={prStyles.joined}>{joined.map(renderUnit)}</div>}
+      </div>
+    );
+  };
+
+  const renderGroups = (entries, title = null) => (
+    <>
+      {title && <h2 style={prStyles.blockTitle}>{title}</h2>}
+      {groups(entries).map(([cat, inCat]) => (
+        <section key={cat}>
+          <h3 style={prStyles.category}>
+            {cat} <span style={prStyles.muted}>— {inCat.reduce((s, e) => s + (e.ptsCost || 0), 0)} pts</span>
+          </h3>
+          <div style={dense ? prStyles.denseColumns : null}>{inCat.filter((e) => !isNested(e)).map(renderUnit)}</div>
+          {inCat.every(isNested) && <div style={prStyles.muted}>Joined to units: {inCat.map((e) => e.unitName).join(", ")}</div>}
+        </section>
+      ))}
+    </>
+  );
+
+  // Units first: their render fills the footnote lists used below
+  const mainUnits = renderGroups(list.entries.filter((e) => !isAllied(e)));
+  const alliedEntries = list.entries.filter(isAllied);
+  const alliedUnits = alliedEntries.length > 0 ? renderGroups(alliedEntries, `Allies — ${allyFaction?.name || list.allies?.faction || ""}`) : null;
+
+  return createPortal(
+    <div className="tow-print" style={prStyles.overlay}>
+      <style>{PRINT_CSS(paper)}</style>
+      <div className="tow-print-toolbar" style={prStyles.toolbar}>
+        <button style={gvStyles.backBtn} onClick={onClose}>← Back</button>
+        <label style={prStyles.toolbarLabel}>
+          Layout{" "}
+          <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+            <option value="cards">One unit per card</option>
+            <option value="dense">Dense list</option>
+          </select>
+        </label>
+        <label style={prStyles.toolbarLabel}>
+          Paper{" "}
+          <select value={paper} onChange={(e) => setPaper(e.target.value)}>
+            <option value="a4">A4</option>
+            <option value="letter">Letter</option>
+          </select>
+        </label>
+        <button style={{ ...gvStyles.backBtn, color: "#e5e7eb" }} onClick={() => window.print()}>🖨 Print / Save as PDF</button>
+      </div>
+
+      <div className="tow-print-paper" style={{ ...prStyles.paper, width: paper === "letter" ? "216mm" : "210mm" }}>
+        <header style={prStyles.sheetHeader}>
+          <div>
+            <h1 style={prStyles.title}>{list.name}</h1>
+            <div>{faction.name}{allyFaction && alliedEntries.length > 0 ? ` with ${allyFaction.name} allies` : ""}</div>
+          </div>
+          <div style={{ textAlign: "right" }}>
+            <div style={{ fontSize: 16, fontWeight: 700 }}>{totalPoints} / {list.pointsLimit} pts</div>
+            <div>General: {general ? general.unitName : "—"}{bsb ? ` · BSB: ${bsb.unitName}` : ""}</div>
+            {composition && <div style={prStyles.muted}>{composition.name}{composition.valid ? "" : ` (${composition.errors.length} error${composition.errors.length !== 1 ? "s" : ""})`}</div>}
+          </div>
+        </header>
+
+        {mainUnits}
+        {alliedUnits}
+
+        {(ruleNotes.length > 0 || itemNotes.length > 0) && (
+          <footer style={prStyles.notes}>
+            {ruleNotes.length > 0 && (
+              <>
+                <h3 style={prStyles.category}>Special rules</h3>
+                {ruleNotes.map((n, i) => (
+                  <p key={n.slug} style={prStyles.note}>
+                    <sup>{i + 1}</sup> <b>{n.name}.</b> {n.body || <i>See the rulebook.</i>}
+                  </p>
+                ))}
+              </>
+            )}
+            {itemNotes.length > 0 && (
+              <>
+                <h3 style={prStyles.category}>Magic items</h3>
+                {itemNotes.map((n, i) => (
+                  <p key={n.name} style={prStyles.note}>
+                    <sup>{noteLetter(i)}</sup>{" "}
+                    <b>{n.name}</b>{n.pts != null ? ` (${n.pts} pts${n.type ? `, ${n.type}` : ""})` : ""}. {n.description || <i>No description recorded.</i>}
+                  </p>
+                ))}
+              </>
+            )}
+          </footer>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════
 // GAME VIEW — Main Component
 // ═══════════════════════════════════════════════════════════════
@@ -336,62 +757,203 @@ const CATEGORY_ORDER = [
   "Core", "Special", "Rare", "Mercenaries", "Allies", "Custom",
 ];
 
-export default function GameView({ currentList, allUnits, faction, activeFaction, totalPoints, onClose, localRulesDesc }) {
+export default function GameView({ currentList, allUnits, faction, allyFaction, allyComposition, activeFaction, totalPoints, composition, onClose, onImport, localRulesDesc, glossary, lore, spells, itemsCatalog }) {
+  const [showComposition, setShowComposition] = useState(false);
+  const [showPrint, setShowPrint] = useState(false);
+  const [fetchedRules, setFetchedRules] = useState({});
+
+  // One batch lookup for every rule in the list that the offline glossary doesn't cover
+  useEffect(() => {
+    if (!currentList) return;
+    const slugs = new Set();
+    for (const entry of currentList.entries) {
+      const unitDef = allUnits.find((u) => u.id === entry.unitId);
+      if (!unitDef) continue;
+      for (const r of getEntryRules(entry, unitDef)) {
+        if (r.slug && !lookupRule(glossary, r)) slugs.add(r.slug);
+      }
+    }
+    if (!slugs.size) return;
+    let cancelled = false;
+    fetchRules([...slugs]).then((rules) => { if (!cancelled) setFetchedRules(rules); });
+    return () => { cancelled = true; };
+  }, [currentList, allUnits, glossary]);
+
   if (!currentList) return null;
 
-  // Group entries by category
-  const grouped = {};
-  CATEGORY_ORDER.forEach((cat) => {
-    const entries = currentList.entries.filter((e) => e.category === cat);
-    if (entries.length > 0) grouped[cat] = entries;
-  });
+  // Characters joined to a unit are drawn inside that unit's card
+  const isNested = (e) => !!e.joinedTo && currentList.entries.some((h) => h.entryId === e.joinedTo);
+  const renderCard = (entry) => {
+    const unitDef = allUnits.find((u) => u.id === entry.unitId);
+    const joined = entry.isCharacter ? [] : getJoinedCharacters(currentList, entry.entryId)
+      .map((e) => ({ entry: e, unitDef: allUnits.find((u) => u.id === e.unitId) }));
+    return (
+      <UnitGameCard
+        key={entry.entryId}
+        entry={entry}
+        unitDef={unitDef}
+        faction={isAllied(entry) && allyFaction ? allyFaction : faction}
+        localRulesDesc={localRulesDesc}
+        glossary={glossary}
+        fetchedRules={fetchedRules}
+        lore={lore}
+        spells={spells}
+        isGeneral={entry.entryId === currentList.generalEntryId}
+        isBSB={entry.entryId === currentList.bsbEntryId}
+        joined={joined}
+        renderJoined={(j) => renderCard(j.entry)}
+      />
+    );
+  };
+
+  // Group entries by category; the allied contingent gets its own block
+  const groupEntries = (list) => {
+    const groups = {};
+    CATEGORY_ORDER.forEach((cat) => {
+      const entries = list.filter((e) => e.category === cat);
+      if (entries.length > 0) groups[cat] = entries;
+    });
+    return groups;
+  };
+  const grouped = groupEntries(currentList.entries.filter((e) => !isAllied(e)));
+  const alliedEntries = allyFaction ? currentList.entries.filter(isAllied) : [];
+  const alliedGrouped = groupEntries(alliedEntries);
+
+  const renderCategory = ([cat, entries], accent) => (
+    <div key={cat} style={{ marginBottom: 28 }}>
+      {/* Category header */}
+      <div style={gvStyles.categoryHeader}>
+        <span style={{ color: accent }}>{cat}</span>
+        <span style={{ color: "#6b7280", fontSize: 12, fontFamily: "monospace" }}>
+          {entries.reduce((s, e) => s + (e.ptsCost || 0), 0)} pts
+        </span>
+      </div>
+
+      {/* Joined characters still count toward their own category but are drawn in their unit */}
+      {entries.filter((e) => !isNested(e)).map((entry) => renderCard(entry))}
+      {entries.every(isNested) && (
+        <div style={{ color: "#6b7280", fontSize: 12, fontFamily: "'Segoe UI', sans-serif" }}>
+          All joined to units: {entries.map((e) => e.unitName).join(", ")}
+        </div>
+      )}
+    </div>
+  );
 
   const overLimit = totalPoints > currentList.pointsLimit;
+  const { general, bsb } = getListRoles(currentList);
+  const wizards = getListWizards(currentList.entries, allUnits);
 
   return (
     <div style={gvStyles.overlay}>
+      {showPrint && (
+        <PrintSheet
+          list={currentList}
+          allUnits={allUnits}
+          faction={faction}
+          allyFaction={allyFaction}
+          totalPoints={totalPoints}
+          composition={composition}
+          glossary={glossary}
+          fetchedRules={fetchedRules}
+          localRulesDesc={localRulesDesc}
+          itemsCatalog={itemsCatalog}
+          spells={spells}
+          onClose={() => setShowPrint(false)}
+        />
+      )}
       {/* Header */}
       <div style={gvStyles.header}>
         <button style={gvStyles.backBtn} onClick={onClose}>
           ← Back
         </button>
         <div style={{ flex: 1, textAlign: "center" }}>
-          <h1 style={gvStyles.title}>Game View</h1>
+          <h1 style={gvStyles.title}>{onImport ? `Shared: ${currentList.name}` : "Game View"}</h1>
           <div style={{ color: "#9ca3af", fontSize: 13 }}>
             {faction.name} [{totalPoints} pts
             {overLimit && <span style={{ color: "#ef4444" }}> – OVER LIMIT</span>}]
           </div>
+          <div style={{ color: "#9ca3af", fontSize: 12, marginTop: 2 }}>
+            👑 General: {general ? general.unitName : <span style={{ color: "#f59e0b" }}>none (incomplete)</span>}
+            {bsb && <> · 🚩 BSB: {bsb.unitName}</>}
+          </div>
+          {composition && (
+            <button
+              style={{ ...gvStyles.compositionBadge, ...(composition.valid ? {} : gvStyles.compositionBadgeError) }}
+              onClick={() => setShowComposition(!showComposition)}
+              title="Army composition"
+            >
+              {composition.valid
+                ? `✓ ${composition.name}`
+                : `✕ ${composition.errors.length} composition error${composition.errors.length !== 1 ? "s" : ""}`}
+              {composition.warnings.length > 0 && ` · ⚠ ${composition.warnings.length}`}
+            </button>
+          )}
+        </div>
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 6 }}>
+          {/* Shared links are read-only; the viewer can keep a copy */}
+          {onImport && (
+            <button style={{ ...gvStyles.backBtn, width: "auto", color: "#34d399", borderColor: "#34d39966" }} onClick={onImport}>
+              📥 Import to my lists
+            </button>
+          )}
+          <button style={gvStyles.backBtn} onClick={() => setShowPrint(true)} title="Printable roster sheet">
+            🖨 Print
+          </button>
+          <ExportMenu
+            list={currentList}
+            allUnits={allUnits}
+            faction={faction}
+            allyFaction={allyFaction}
+            categories={CATEGORY_ORDER}
+            spells={spells}
+            buttonStyle={gvStyles.backBtn}
+          />
         </div>
-        {/* Spacer to balance the back button */}
-        <div style={{ width: 90 }} />
       </div>
 
       {/* Army List */}
       <div style={gvStyles.content}>
-        {Object.entries(grouped).map(([cat, entries]) => (
-          <div key={cat} style={{ marginBottom: 28 }}>
-            {/* Category header */}
-            <div style={gvStyles.categoryHeader}>
-              <span style={{ color: faction.accent }}>{cat}</span>
-              <span style={{ color: "#6b7280", fontSize: 12, fontFamily: "monospace" }}>
-                {entries.reduce((s, e) => s + (e.ptsCost || 0), 0)} pts
-              </span>
+        {showComposition && composition && (
+          <div style={gvStyles.compositionBox}>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+              {composition.categories.map((c) => (
+                <span key={c.category} style={{ fontSize: 12, color: c.status === "error" ? "#fca5a5" : "#d1d5db", fontFamily: "'Segoe UI', sans-serif" }}>
+                  <strong style={{ color: c.status === "error" ? "#fca5a5" : faction.accent }}>{c.category}</strong>{" "}
+                  {c.points} pts ({c.pct}%{c.min != null ? `, min ${c.min}%` : ""}{c.max != null ? `, max ${c.max}%` : ""})
+                </span>
+              ))}
             </div>
+            {composition.errors.map((msg, i) => (
+              <div key={`e${i}`} style={{ color: "#fca5a5", fontSize: 12, marginTop: 6 }}>✕ {msg}</div>
+            ))}
+            {composition.warnings.map((msg, i) => (
+              <div key={`w${i}`} style={{ color: "#fbbf24", fontSize: 12, marginTop: 4 }}>⚠ {msg}</div>
+            ))}
+          </div>
+        )}
+
+        {Object.entries(grouped).map((group) => renderCategory(group, faction.accent))}
 
-            {entries.map((entry) => {
-              const unitDef = allUnits.find((u) => u.id === entry.unitId);
-              return (
-                <UnitGameCard
-                  key={entry.entryId}
-                  entry={entry}
-                  unitDef={unitDef}
-                  faction={faction}
-                  localRulesDesc={localRulesDesc}
-                />
-              );
-            })}
+        {/* Allied contingent */}
+        {allyFaction && currentList.allies && (
+          <div style={{ ...gvStyles.alliesBlock, borderColor: `${allyFaction.color}88` }}>
+            <div style={{ ...gvStyles.alliesHeader, color: allyFaction.accent }}>
+              <span>🤝 Allies: {allyFaction.icon} {allyFaction.name}</span>
+              <span style={{ fontFamily: "monospace", fontSize: 13, color: allyComposition?.total > currentList.allies.pointsLimit ? "#ef4444" : "#9ca3af" }}>
+                {allyComposition?.total ?? 0}/{currentList.allies.pointsLimit} pts
+              </span>
+            </div>
+            {allyComposition?.errors.map((msg, i) => (
+              <div key={`ae${i}`} style={{ color: "#fca5a5", fontSize: 12, marginBottom: 4, fontFamily: "'Segoe UI', sans-serif" }}>✕ {msg}</div>
+            ))}
+            {Object.entries(alliedGrouped).map((group) => renderCategory(group, allyFaction.accent))}
+            {alliedEntries.length === 0 && (
+              <div style={{ color: "#6b7280", fontSize: 13 }}>No allied units.</div>
+            )}
           </div>
-        ))}
+        )}
+
+        {wizards.length > 0 && <MagicSection wizards={wizards} spells={spells} faction={faction} />}
 
         {currentList.entries.length === 0 && (
           <div style={{ textAlign: "center", padding: 60, color: "#6b7280" }}>
@@ -434,6 +996,18 @@ const gvStyles = {
   content: {
     maxWidth: 900, margin: "0 auto", padding: "24px 20px",
   },
+  compositionBadge: {
+    marginTop: 4, background: "#14532d", border: "1px solid #166534",
+    color: "#4ade80", cursor: "pointer", padding: "2px 10px",
+    borderRadius: 10, fontSize: 11, fontFamily: "'Segoe UI', sans-serif",
+  },
+  compositionBadgeError: {
+    background: "#7f1d1d", border: "1px solid #991b1b", color: "#fca5a5",
+  },
+  compositionBox: {
+    background: "#12121f", border: "1px solid #2d2d44", borderRadius: 8,
+    padding: "10px 14px", marginBottom: 20,
+  },
   categoryHeader: {
     display: "flex", justifyContent: "space-between", alignItems: "center",
     borderBottom: "2px solid #2d2d44",
@@ -458,6 +1032,32 @@ const gvStyles = {
     padding: "10px 16px 14px",
     borderTop: "1px solid #1f1f33",
   },
+  roleBadge: {
+    fontSize: 11, padding: "1px 6px", borderRadius: 3, marginLeft: 8, fontWeight: 600,
+    background: "#422006", border: "1px solid #92400e", color: "#fbbf24", fontFamily: "'Segoe UI', sans-serif",
+  },
+  magicCard: {
+    background: "#12121f", border: "1px solid #2d2d44", borderLeft: "3px solid #7c3aed",
+    borderRadius: 8, padding: "10px 16px", marginBottom: 8,
+  },
+  signatureTag: {
+    marginLeft: 6, padding: "0 5px", borderRadius: 3, fontSize: 10, fontWeight: 400,
+    background: "#2e1065", color: "#c4b5fd", fontFamily: "'Segoe UI', sans-serif",
+  },
+  alliesBlock: {
+    marginBottom: 28, padding: "12px 14px", border: "1px dashed #2d2d44", borderRadius: 8, background: "#0f0f1a",
+  },
+  alliesHeader: {
+    display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10,
+    fontSize: 15, fontWeight: 700, fontFamily: "'Segoe UI', sans-serif",
+  },
+  combinedRules: {
+    marginTop: 8, padding: "6px 10px", background: "#0c1a2e", border: "1px solid #1e3a5f",
+    borderRadius: 4, fontSize: 12, color: "#bfdbfe", lineHeight: 1.6, fontFamily: "'Segoe UI', sans-serif",
+  },
+  joinedBlock: {
+    marginTop: 10, paddingLeft: 10, borderLeft: "2px solid #2563eb66",
+  },
   ptsBadge: {
     color: "#fbbf24", fontFamily: "monospace", fontSize: 14, fontWeight: 600,
   },
@@ -487,6 +1087,10 @@ const gvStyles = {
     fontFamily: "'Segoe UI', sans-serif",
     transition: "color 0.15s",
   },
+  ruleParam: {
+    marginLeft: 4, padding: "0 4px", borderRadius: 3,
+    background: "#1e3a5f", color: "#bfdbfe", fontSize: 11, fontStyle: "normal",
+  },
   statTableWrap: {
     overflowX: "auto",
     marginTop: 8,
@@ -547,3 +1151,42 @@ const gvStyles = {
     animation: "spin 1s linear infinite",
   },
 };
+
+// Paper colours: the sheet is black on white on screen as well, so it previews what prints
+const prStyles = {
+  overlay: {
+    position: "fixed", inset: 0, zIndex: 700, overflowY: "auto",
+    background: "#4b5563", fontFamily: "Georgia, 'Times New Roman', serif",
+  },
+  toolbar: {
+    position: "sticky", top: 0, zIndex: 1,
+    display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap",
+    padding: "10px 24px", background: "#1a1a2e", borderBottom: "1px solid #2d2d44",
+  },
+  toolbarLabel: { color: "#9ca3af", fontSize: 13, fontFamily: "'Segoe UI', sans-serif" },
+  paper: {
+    margin: "24px auto", padding: "12mm", boxSizing: "border-box",
+    background: "#fff", color: "#111", fontSize: 11, lineHeight: 1.35,
+    boxShadow: "0 10px 40px rgba(0,0,0,0.5)",
+  },
+  sheetHeader: {
+    display: "flex", justifyContent: "space-between", alignItems: "flex-end", gap: 16,
+    borderBottom: "2px solid #111", paddingBottom: 6, marginBottom: 8,
+  },
+  title: { margin: 0, fontSize: 20 },
+  blockTitle: { fontSize: 15, margin: "14px 0 4px", borderBottom: "1px solid #111" },
+  category: { fontSize: 13, margin: "10px 0 4px", textTransform: "uppercase", letterSpacing: 0.5 },
+  muted: { color: "#555", fontWeight: 400 },
+  role: { fontWeight: 700 },
+  card: { border: "1px solid #999", borderRadius: 3, padding: "5px 7px", marginBottom: 6 },
+  denseUnit: { borderBottom: "1px solid #ccc", padding: "3px 0 4px", marginBottom: 2 },
+  denseColumns: { columnCount: 2, columnGap: "6mm" },
+  unitHeader: { display: "flex", justifyContent: "space-between", gap: 8, fontSize: 12, marginBottom: 2 },
+  table: { width: "100%", borderCollapse: "collapse", margin: "2px 0", fontSize: 10 },
+  th: { borderBottom: "1px solid #111", padding: "1px 3px", textAlign: "center", fontWeight: 700 },
+  td: { borderBottom: "1px solid #ddd", padding: "1px 3px", textAlign: "center" },
+  line: { margin: "2px 0" },
+  joined: { marginTop: 4, paddingLeft: 8, borderLeft: "2px solid #999" },
+  notes: { marginTop: 12, borderTop: "2px solid #111", paddingTop: 4 },
+  note: { margin: "2px 0", fontSize: 10 },
+};
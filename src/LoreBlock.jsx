@@ -0,0 +1,56 @@
+import { useState, useMemo } from "react";
+import { renderLore } from "./lib/lore";
+
+// ═══════════════════════════════════════════════════════════════
+// LORE — Google Drive lore (markdown or HTML), always sanitised
+// ═══════════════════════════════════════════════════════════════
+
+// Inline styles can't reach the rendered markup, so the lore body gets one scoped stylesheet.
+const LORE_CSS = `
+.tow-lore p { margin: 0 0 8px; }
+.tow-lore p:last-child { margin-bottom: 0; }
+.tow-lore h1, .tow-lore h2, .tow-lore h3, .tow-lore h4 { color: #e5e7eb; margin: 10px 0 6px; font-size: 14px; }
+.tow-lore h1 { font-size: 16px; }
+.tow-lore ul, .tow-lore ol { margin: 0 0 8px; padding-left: 20px; }
+.tow-lore blockquote { margin: 0 0 8px; padding-left: 10px; border-left: 2px solid #4b5563; color: #9ca3af; }
+.tow-lore a { color: #60a5fa; }
+.tow-lore img { max-width: 100%; border-radius: 4px; }
+.tow-lore hr { border: none; border-top: 1px solid #2d2d44; margin: 10px 0; }
+.tow-lore code { background: #1f2937; padding: 0 4px; border-radius: 3px; font-size: 12px; }
+`;
+
+export default function LoreBlock({ text, accent = "#fbbf24", title = "Lore", collapsible = false, defaultOpen = true, compact = false }) {
+  const [open, setOpen] = useState(defaultOpen);
+  const html = useMemo(() => renderLore(text), [text]);
+  if (!html) return null;
+
+  return (
+    <div style={{ ...loStyles.box, borderColor: `${accent}44`, ...(compact ? loStyles.compact : {}) }}>
+      <style>{LORE_CSS}</style>
+      <div
+        style={{ ...loStyles.title, color: accent, cursor: collapsible ? "pointer" : "default" }}
+        onClick={collapsible ? () => setOpen(!open) : undefined}
+      >
+        📜 {title}
+        {collapsible && <span style={{ marginLeft: "auto", color: "#6b7280" }}>{open ? "▲" : "▼"}</span>}
+      </div>
+      {open && (
+        <div
+          className="tow-lore"
+          style={{ ...loStyles.body, ...(compact ? { fontSize: 12 } : {}) }}
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      )}
+    </div>
+  );
+}
+
+const loStyles = {
+  box: { marginTop: 16, background: "#12121f", border: "1px solid", borderRadius: 6, padding: "10px 14px" },
+  compact: { marginTop: 8, padding: "8px 10px" },
+  title: {
+    display: "flex", alignItems: "center", gap: 6, fontSize: 10, fontWeight: 700,
+    textTransform: "uppercase", letterSpacing: 1, marginBottom: 6, fontFamily: "'Segoe UI', sans-serif",
+  },
+  body: { color: "#d1d5db", fontSize: 13, lineHeight: 1.7, fontStyle: "normal" },
+};
@@ -0,0 +1,108 @@
+import { useState, useMemo } from "react";
+import { parseRuleList, glossaryEntries } from "./lib/rulesGlossary";
+
+// ═══════════════════════════════════════════════════════════════
+// RULES GLOSSARY — searchable, fully offline (special-rules.json)
+// ═══════════════════════════════════════════════════════════════
+
+const SOURCE_LABELS = {
+  glossary: "RULES INDEX",
+  campaign: "CAMPAIGN",
+};
+
+export default function RulesGlossaryView({ glossary, localRulesDesc, allUnits, faction }) {
+  const [search, setSearch] = useState("");
+  const [factionOnly, setFactionOnly] = useState(false);
+
+  const entries = useMemo(() => glossaryEntries(glossary, localRulesDesc), [glossary, localRulesDesc]);
+
+  // Slugs of every rule carried by a unit of the active faction
+  const factionSlugs = useMemo(() => {
+    const slugs = new Set();
+    for (const u of allUnits || []) {
+      for (const r of parseRuleList(u.specialRules || [])) slugs.add(r.slug);
+    }
+    return slugs;
+  }, [allUnits]);
+
+  const q = search.trim().toLowerCase();
+  const visible = entries.filter((e) => {
+    if (factionOnly && !factionSlugs.has(e.slug)) return false;
+    if (!q) return true;
+    return e.name.toLowerCase().includes(q) || (e.body || "").toLowerCase().includes(q);
+  });
+  const glossaryCount = entries.filter((e) => e.source === "glossary").length;
+
+  return (
+    <div>
+      <div style={glStyles.header}>
+        <h2 style={glStyles.title}>Rules Glossary</h2>
+        <span style={glStyles.count}>{visible.length} of {entries.length} rules</span>
+      </div>
+      <div style={glStyles.controls}>
+        <input
+          style={glStyles.search}
+          placeholder="Search rule names and text…"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <label style={glStyles.toggle}>
+          <input type="checkbox" checked={factionOnly} onChange={(e) => setFactionOnly(e.target.checked)} style={{ marginRight: 6 }} />
+          Only rules used by {faction?.name?.split("–")[0].trim() || "this faction"}
+        </label>
+      </div>
+      {glossaryCount === 0 && (
+        <p style={glStyles.hint}>
+          The rules index glossary is empty, so only campaign descriptions are shown. Run{" "}
+          <code>node scripts/build-rules-glossary.js --crawl</code> to build <code>special-rules.json</code>.
+        </p>
+      )}
+
+      <div style={glStyles.list}>
+        {visible.map((e) => (
+          <div key={e.slug} style={glStyles.card}>
+            <div style={glStyles.cardHeader}>
+              <strong style={{ color: "#e5e7eb", fontSize: 15 }}>{e.name}</strong>
+              <span style={{ ...glStyles.badge, ...(e.source === "campaign" ? glStyles.badgeCampaign : {}) }}>
+                {SOURCE_LABELS[e.source]}
+              </span>
+              {e.pageRef && <span style={glStyles.pageRef}>{e.pageRef}</span>}
+            </div>
+            <p style={glStyles.body}>{e.body}</p>
+            {e.sourceUrl && (
+              <a href={e.sourceUrl} target="_blank" rel="noopener noreferrer" style={glStyles.link}>
+                Online rules index ↗
+              </a>
+            )}
+          </div>
+        ))}
+        {visible.length === 0 && <p style={glStyles.hint}>No rules match “{search}”.</p>}
+      </div>
+    </div>
+  );
+}
+
+const glStyles = {
+  header: { display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 12 },
+  title: { color: "#e5e7eb", fontSize: 18, margin: 0, fontWeight: 700 },
+  count: { color: "#6b7280", fontSize: 12, fontFamily: "'Segoe UI', sans-serif" },
+  controls: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12 },
+  search: {
+    flex: "1 1 260px", background: "#1a1a2e", border: "1px solid #2d2d44", borderRadius: 6,
+    padding: "8px 12px", color: "#e5e7eb", fontSize: 13, outline: "none",
+    fontFamily: "'Segoe UI', sans-serif",
+  },
+  toggle: { color: "#9ca3af", fontSize: 12, fontFamily: "'Segoe UI', sans-serif", cursor: "pointer" },
+  hint: { color: "#6b7280", fontSize: 12, fontStyle: "italic" },
+  list: { display: "flex", flexDirection: "column", gap: 8 },
+  card: { background: "#12121f", border: "1px solid #2d2d44", borderRadius: 8, padding: "10px 14px" },
+  cardHeader: { display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" },
+  badge: {
+    fontSize: 10, padding: "1px 6px", borderRadius: 3, letterSpacing: 1,
+    background: "#1e3a5f55", color: "#93c5fd", fontFamily: "'Segoe UI', sans-serif",
+  },
+  badgeCampaign: { background: "#92400e33", color: "#fbbf24" },
+  pageRef: { color: "#6b7280", fontSize: 11, marginLeft: "auto" },
+  body: { color: "#d1d5db", fontSize: 14, lineHeight: 1.7, margin: "6px 0 0" },
+  link: { color: "#60a5fa", fontSize: 12, display: "inline-block", marginTop: 6 },
+};
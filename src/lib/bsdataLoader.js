@@ -3,6 +3,8 @@
  * Default: vflam/Warhammer-The-Old-World (TOW 2024 data). Override with VITE_BSDATA_REPO / VITE_BSDATA_BRANCH.
  */
 
+import { isZip, listZipEntries } from './zip'
+
 const RAW_BASE = 'https://raw.githubusercontent.com'
 
 const DEFAULT_REPO = 'vflam/Warhammer-The-Old-World'
@@ -18,9 +20,11 @@ export const FACTION_CATALOGUES = {
 
 const CACHE_PREFIX = 'tow_bsdata_'
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000 // 24h
+/** Bump when parseCatXml output changes so stale parses are not served from cache. */
+const PARSER_VERSION = 2
 
 function cacheKey(repo, filename) {
-  return `${CACHE_PREFIX}${repo.replace('/', '_')}_${filename}`
+  return `${CACHE_PREFIX}v${PARSER_VERSION}_${repo.replace('/', '_')}_${filename}`
 }
 
 function getCached(repo, filename) {
@@ -67,15 +71,47 @@ function allByLocalName(el, localName) {
   if (!el) return []
   return Array.from(el.children).filter((c) => c.localName === localName)
 }
+/** Children of a wrapper element, e.g. listOf(entry, 'profiles', 'profile'). */
+function listOf(el, wrapper, localName) {
+  return allByLocalName(byLocalName(el, wrapper), localName).filter((c) => c.getAttribute('hidden') !== 'true')
+}
+
+const STAT_KEYS = ['M', 'WS', 'BS', 'S', 'T', 'W', 'I', 'A', 'Ld']
+const CHARACTER_CATEGORIES = ['Characters', 'Lords', 'Heroes', 'Named Characters']
+
+/** Catalogue category name → our category. Unknown names pass through unchanged. */
+const CATEGORY_PATTERNS = [
+  [/named/i, 'Named Characters'],
+  [/lord/i, 'Lords'],
+  [/hero/i, 'Heroes'],
+  [/character/i, 'Characters'],
+  [/core/i, 'Core'],
+  [/special/i, 'Special'],
+  [/rare/i, 'Rare'],
+  [/mercenar/i, 'Mercenaries'],
+  [/all(y|ies)/i, 'Allies'],
+]
+
+/** Magic item group / sub-group name → app slot name. */
+const MAGIC_SLOT_PATTERNS = [
+  [/weapon/i, 'weapons'],
+  [/armou?r/i, 'armour'],
+  [/talisman/i, 'talismans'],
+  [/arcane/i, 'arcane'],
+  [/enchanted item/i, 'enchanted'],
+  [/banner|standard/i, 'banners'],
+]
+
+function isPtsCost(cost, index) {
+  return /^(pts|points)$/i.test(cost.getAttribute('name') || '') || index.ptsTypeIds.has(cost.getAttribute('typeId'))
+}
 
-function getPointsCost(costsEl) {
+function getPointsCost(costsEl, index) {
   if (!costsEl) return null
   for (const cost of costsEl.children) {
-    if (cost.localName !== 'cost') continue
-    if (cost.getAttribute('name') === 'pts') {
-      const v = cost.getAttribute('value')
-      return v != null ? parseFloat(v) : null
-    }
+    if (cost.localName !== 'cost' || !isPtsCost(cost, index)) continue
+    const v = cost.getAttribute('value')
+    return v != null ? parseFloat(v) : null
   }
   return null
 }
@@ -83,7 +119,8 @@ function getPointsCost(costsEl) {
 function getMinMax(constraintsEl) {
   let min = null
   let max = null
-  if (!constraintsEl) return { min, max }
+  let scope = null
+  if (!constraintsEl) return { min, max, scope }
   for (const c of constraintsEl.children) {
     if (c.localName !== 'constraint') continue
     if (c.getAttribute('field') !== 'selections') continue
@@ -91,56 +128,472 @@ function getMinMax(constraintsEl) {
     const val = parseFloat(c.getAttribute('value'))
     if (Number.isNaN(val)) continue
     if (type === 'min') min = val
-    if (type === 'max' && val > 0) max = val
+    if (type === 'max' && val >= 0) {
+      max = val
+      scope = c.getAttribute('scope')
+    }
+  }
+  return { min, max, scope }
+}
+
+/** Max points constraint (field = a pts cost type), used for magic item allowances. */
+function getMaxPoints(constraintsEl, index) {
+  if (!constraintsEl) return null
+  for (const c of constraintsEl.children) {
+    if (c.localName !== 'constraint' || c.getAttribute('type') !== 'max') continue
+    const field = c.getAttribute('field')
+    if (field !== 'pts' && !index.ptsTypeIds.has(field)) continue
+    const val = parseFloat(c.getAttribute('value'))
+    if (!Number.isNaN(val)) return val
+  }
+  return null
+}
+
+/** Index every element with an id so entryLinks / infoLinks / categoryLinks can be resolved. */
+function buildIndex(root) {
+  const index = { byId: new Map(), categories: new Map(), ptsTypeIds: new Set() }
+  for (const el of root.querySelectorAll('[id]')) {
+    const id = el.getAttribute('id')
+    if (!index.byId.has(id)) index.byId.set(id, el)
+    if (el.localName === 'categoryEntry') index.categories.set(id, el.getAttribute('name'))
+    if (el.localName === 'costType' && /^(pts|points)$/i.test(el.getAttribute('name') || '')) index.ptsTypeIds.add(id)
+  }
+  return index
+}
+
+/**
+ * A node is an entry or group plus the entryLink that pulled it in (if any).
+ * Link attributes (name, costs, constraints, categoryLinks) take precedence over the target's.
+ */
+function node(el, link = null) {
+  return { el, link }
+}
+function nodeName(n) {
+  return n.link?.getAttribute('name') || n.el.getAttribute('name') || ''
+}
+function nodeCost(n, index) {
+  return getPointsCost(byLocalName(n.link, 'costs'), index) ?? getPointsCost(byLocalName(n.el, 'costs'), index)
+}
+function nodeLimits(n) {
+  const own = getMinMax(byLocalName(n.link, 'constraints'))
+  const target = getMinMax(byLocalName(n.el, 'constraints'))
+  return { min: own.min ?? target.min, max: own.max ?? target.max, scope: own.max != null ? own.scope : target.scope }
+}
+
+/** Child entries and groups of a node, with entryLinks resolved to their targets. */
+function nodeChildren(n, index) {
+  const entries = listOf(n.el, 'selectionEntries', 'selectionEntry').map((el) => node(el))
+  const groups = listOf(n.el, 'selectionEntryGroups', 'selectionEntryGroup').map((el) => node(el))
+  for (const link of listOf(n.el, 'entryLinks', 'entryLink')) {
+    const target = index.byId.get(link.getAttribute('targetId'))
+    if (!target || target.getAttribute('hidden') === 'true') continue
+    if (target.localName === 'selectionEntry') entries.push(node(target, link))
+    else if (target.localName === 'selectionEntryGroup') groups.push(node(target, link))
+  }
+  return { entries, groups }
+}
+
+/** Profiles and rules on a node, including infoLinks and infoGroups. */
+function nodeInfo(n, index) {
+  const profiles = []
+  const rules = []
+  const collect = (el) => {
+    if (!el) return
+    profiles.push(...listOf(el, 'profiles', 'profile'))
+    rules.push(...listOf(el, 'rules', 'rule'))
+    for (const group of listOf(el, 'infoGroups', 'infoGroup')) collect(group)
+    for (const link of listOf(el, 'infoLinks', 'infoLink')) {
+      const target = index.byId.get(link.getAttribute('targetId'))
+      if (!target) continue
+      if (target.localName === 'profile') profiles.push(target)
+      else if (target.localName === 'rule') rules.push(target)
+      else if (target.localName === 'infoGroup') collect(target)
+    }
+  }
+  collect(n.link)
+  collect(n.el)
+  return { profiles, rules }
+}
+
+function characteristics(profile) {
+  const out = {}
+  for (const c of listOf(profile, 'characteristics', 'characteristic')) {
+    out[c.getAttribute('name')] = (c.textContent || '').trim()
+  }
+  return out
+}
+
+function statValue(v) {
+  return v !== '' && !Number.isNaN(Number(v)) ? Number(v) : v
+}
+
+/** Model profile → { name, M, WS, ... } (plus troopType when the catalogue carries one), or null. */
+function toStatProfile(profile) {
+  const chars = characteristics(profile)
+  const lower = Object.fromEntries(Object.entries(chars).map(([k, v]) => [k.toLowerCase(), v]))
+  if (lower.ws == null || lower.bs == null) return null
+  const out = { name: profile.getAttribute('name') }
+  for (const key of STAT_KEYS) out[key] = statValue(lower[key.toLowerCase()] ?? '-')
+  const troopType = lower['troop type'] ?? lower.type
+  if (troopType) out.troopType = troopType
+  return out
+}
+
+/** Weapon profile → "Name (24", S4, AP-1, Armour Bane 1)", the format parseWeapons reads. */
+function toWeaponString(profile) {
+  const chars = Object.fromEntries(Object.entries(characteristics(profile)).map(([k, v]) => [k.toLowerCase(), v]))
+  if (chars.range == null && chars.strength == null && chars.s == null) return null
+  const parts = []
+  const range = chars.range
+  if (range && range !== '-' && !/combat/i.test(range)) parts.push(range)
+  const str = chars.strength ?? chars.s
+  // Plain "S" (user's Strength) is the default parseWeapons assumes, so it is left out.
+  if (str && str !== '-' && str.toUpperCase() !== 'S') parts.push(/^s/i.test(str) ? str : `S${str}`)
+  const ap = chars['armour piercing'] ?? chars.ap
+  if (ap && ap !== '-') parts.push(/^ap/i.test(ap) ? ap : `AP${ap}`)
+  const rules = chars['special rules'] ?? chars.rules
+  if (rules && rules !== '-') parts.push(rules)
+  const name = profile.getAttribute('name')
+  return parts.length ? `${name} (${parts.join(', ')})` : name
+}
+
+function nodeCategory(n, index) {
+  const links = [...listOf(n.link, 'categoryLinks', 'categoryLink'), ...listOf(n.el, 'categoryLinks', 'categoryLink')]
+  const primary = links.find((l) => l.getAttribute('primary') === 'true') || links[0]
+  if (!primary) return null
+  const name = index.categories.get(primary.getAttribute('targetId')) || primary.getAttribute('name') || ''
+  const match = CATEGORY_PATTERNS.find(([re]) => re.test(name))
+  return match ? match[1] : name.replace(/\s+units?$/i, '') || null
+}
+
+/** Upgrade type from its group name (and its own name for ungrouped command models). */
+function upgradeType(groupName, name) {
+  const text = `${groupName} ${name}`
+  if (/mount/i.test(groupName)) return 'mount'
+  if (/command/i.test(groupName) || /\b(champion|standard bearer|musician)\b/i.test(name)) return 'command'
+  if (/\blore\b/i.test(text)) return 'lore'
+  if (/wizard|level \d/i.test(text)) return 'special'
+  return 'equipment'
+}
+
+function isMagicGroup(n) {
+  return /magic|relic|virtue|gift/i.test(nodeName(n)) && !/standard bearer/i.test(nodeName(n))
+}
+
+/** Magic allowance from a magic item group: { slots, maxPoints }. Items themselves are not listed. */
+function magicAllowance(groupNode, index, fallbackSlots) {
+  const maxPoints =
+    getMaxPoints(byLocalName(groupNode.link, 'constraints'), index) ??
+    getMaxPoints(byLocalName(groupNode.el, 'constraints'), index)
+  const names = [nodeName(groupNode), ...nodeChildren(groupNode, index).groups.map(nodeName)]
+  const slots = [...new Set(MAGIC_SLOT_PATTERNS.filter(([re]) => names.some((s) => re.test(s))).map(([, slot]) => slot))]
+  return { slots: slots.length ? slots : fallbackSlots, maxPoints }
+}
+
+/** Stable id for upgrades: slug from name, deduped with _1, _2, ... */
+function upgradeId(name, existingIds) {
+  const base = (name || 'upgrade').toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '').slice(0, 40) || 'upgrade'
+  let id = base
+  let n = 0
+  while (existingIds.has(id)) {
+    n += 1
+    id = `${base}_${n}`
   }
-  return { min, max }
+  existingIds.add(id)
+  return id
+}
+
+const MAX_DEPTH = 8
+
+/**
+ * Convert one root entry (a unit or character) into our unit shape.
+ * Mandatory child models contribute profiles, equipment and rules; optional entries and
+ * selectionEntryGroups become upgrades. Modifiers (conditional costs/limits) are not evaluated.
+ */
+function toUnit(root, index) {
+  const name = nodeName(root)
+  const category = nodeCategory(root, index)
+  const profiles = []
+  const equipment = []
+  const specialRules = []
+  const upgrades = []
+  const upgradeIds = new Set()
+  let magicItemBudget = null
+
+  const { entries: rootEntries } = nodeChildren(root, index)
+  const models = rootEntries.filter((c) => c.el.getAttribute('type') === 'model' && (nodeLimits(c).min ?? 0) > 0)
+  // Rank-and-file is the mandatory model with the largest max; champions are max 1.
+  const rankAndFile = models.slice().sort((a, b) => (nodeLimits(b).max ?? 0) - (nodeLimits(a).max ?? 0))[0]
+  const rnfLimits = rankAndFile ? nodeLimits(rankAndFile) : null
+  const isCharacter = category ? CHARACTER_CATEGORIES.includes(category) : !rnfLimits || rnfLimits.max === 1
+  // A max of -1 (no max constraint) means unlimited.
+  const multiModel = !isCharacter && !!rnfLimits && (rnfLimits.max == null || rnfLimits.max > 1)
+
+  const addInfo = (n, target) => {
+    const { profiles: profs, rules } = nodeInfo(n, index)
+    let weapons = 0
+    for (const p of profs) {
+      const stats = toStatProfile(p)
+      if (stats) {
+        if (!target.profiles.some((x) => x.name === stats.name)) target.profiles.push(stats)
+        continue
+      }
+      const typeName = p.getAttribute('typeName') || ''
+      if (/rule/i.test(typeName)) {
+        if (!target.rules.includes(p.getAttribute('name'))) target.rules.push(p.getAttribute('name'))
+        continue
+      }
+      const weapon = toWeaponString(p)
+      if (weapon && !target.equipment.includes(weapon)) {
+        target.equipment.push(weapon)
+        weapons += 1
+      }
+    }
+    for (const r of rules) {
+      const ruleName = r.getAttribute('name')
+      if (!target.rules.includes(ruleName)) target.rules.push(ruleName)
+    }
+    return weapons
+  }
+
+  const addUpgrade = (n, { groupName = '', exclusive = false, isDefault = false, perModel = false, depth }) => {
+    const upName = nodeName(n)
+    const type = upgradeType(groupName, upName)
+    const up = {
+      id: upgradeId(upName, upgradeIds),
+      name: upName,
+      pts: nodeCost(n, index) ?? 0,
+      perModel: perModel && type !== 'command' && type !== 'mount',
+      type,
+    }
+    if (exclusive || type === 'mount') up.exclusive = true
+    if (isDefault) up.default = true
+    if (n.el.getAttribute('id')) up.bsdataId = n.el.getAttribute('id')
+    if (type === 'mount') {
+      const mount = { profiles: [], equipment: [], rules: [] }
+      addInfo(n, mount)
+      for (const child of nodeChildren(n, index).entries) addInfo(child, mount)
+      if (mount.profiles[0]) {
+        const { troopType, ...profile } = mount.profiles[0]
+        up.mountProfile = profile
+        if (troopType) up.troopType = troopType
+      }
+      if (mount.equipment.length) up.mountEquipment = mount.equipment
+      if (mount.rules.length) up.mountRules = mount.rules
+    }
+    // Command models (champions, standard bearers) may carry their own magic allowance.
+    for (const g of nodeChildren(n, index).groups) {
+      if (!isMagicGroup(g)) continue
+      const fallback = /standard/i.test(upName) ? ['banners'] : ['weapons', 'armour', 'talismans', 'enchanted']
+      const magic = magicAllowance(g, index, fallback)
+      up.magic = { slots: magic.slots, maxPoints: magic.maxPoints ?? 0 }
+    }
+    upgrades.push(up)
+    if (depth < MAX_DEPTH) walkGroups(n, { perModel, depth: depth + 1, nested: true })
+  }
+
+  // nested: inside an upgrade, so a magic group there is not the character's own allowance.
+  const walkGroup = (g, { perModel, depth, nested }) => {
+    if (isMagicGroup(g)) {
+      if (isCharacter && !nested && magicItemBudget == null) magicItemBudget = magicAllowance(g, index, []).maxPoints
+      return
+    }
+    const groupName = nodeName(g)
+    const { max } = nodeLimits(g)
+    const defaultId = g.el.getAttribute('defaultSelectionEntryId')
+    const { entries, groups } = nodeChildren(g, index)
+    for (const e of entries) {
+      const limits = nodeLimits(e)
+      const isDefault = defaultId === e.el.getAttribute('id') || defaultId === e.link?.getAttribute('id') || (limits.min ?? 0) > 0
+      addUpgrade(e, { groupName, exclusive: max === 1, isDefault, perModel, depth })
+    }
+    if (depth < MAX_DEPTH) {
+      for (const sub of groups) walkGroup(sub, { perModel, depth: depth + 1, nested })
+    }
+  }
+
+  // Only groups of a node (its entries are handled by walkEntry / addUpgrade).
+  const walkGroups = (n, { perModel, depth, nested = false }) => {
+    for (const g of nodeChildren(n, index).groups) walkGroup(g, { perModel, depth, nested })
+  }
+
+  const unitTarget = { profiles, equipment, rules: specialRules }
+  const walkEntry = (n, { perModel, depth }) => {
+    addInfo(n, unitTarget)
+    const { entries } = nodeChildren(n, index)
+    for (const child of entries) {
+      const limits = nodeLimits(child)
+      const isModel = child.el.getAttribute('type') === 'model'
+      const mandatory = (limits.min ?? 0) > 0
+      if (isModel && mandatory) {
+        if (depth < MAX_DEPTH) walkEntry(child, { perModel: multiModel, depth: depth + 1 })
+        continue
+      }
+      const pts = nodeCost(child, index) ?? 0
+      if (mandatory && !pts) {
+        // Fixed wargear: prefer its weapon profile, else just the name.
+        if (!addInfo(child, unitTarget) && !equipment.includes(nodeName(child))) equipment.push(nodeName(child))
+        continue
+      }
+      addUpgrade(child, { exclusive: false, isDefault: mandatory, perModel, depth })
+    }
+    walkGroups(n, { perModel, depth })
+  }
+
+  walkEntry(root, { perModel: false, depth: 0 })
+
+  const ownCost = nodeCost(root, index) ?? 0
+  const modelCost = models.reduce((s, m) => s + (nodeCost(m, index) ?? 0) * (nodeLimits(m).min ?? 1), 0)
+  const firstProfile = profiles.find((p) => p.troopType)
+  const rootLimits = nodeLimits(root)
+  const id = root.el.getAttribute('id')
+  const unit = {
+    id: (id || name).replace(/\s+/g, '_').replace(/[^a-z0-9_-]/gi, '').slice(0, 64),
+    bsdataId: id,
+    name,
+    category: category || (isCharacter ? 'Characters' : 'Core'),
+    isCharacter,
+    minSize: isCharacter ? 1 : rnfLimits?.min ?? 1,
+    maxSize: isCharacter ? 1 : rnfLimits?.max || (rankAndFile ? 99 : 1),
+    troopType: firstProfile?.troopType || '',
+    equipment,
+    specialRules,
+    profiles: profiles.map(({ troopType, ...p }) => p),
+    notes: 'From Warhammer: The Old World catalogue (vflam/Warhammer-The-Old-World).',
+  }
+  if (!multiModel) unit[isCharacter ? 'ptsCost' : 'ptsPerModel'] = ownCost + modelCost
+  else unit.ptsPerModel = nodeCost(rankAndFile, index) || ownCost / Math.max(1, unit.minSize)
+  if (isCharacter && magicItemBudget != null) unit.magicItemBudget = magicItemBudget
+  if (upgrades.length) unit.upgrades = upgrades
+  // Roster-wide 0-X caps become composition limits (see lib/composition.js).
+  if (!isCharacter && rootLimits.max > 0 && rootLimits.scope && rootLimits.scope !== 'parent') unit.limit = { max: rootLimits.max }
+  return unit
 }
 
 /**
  * Parse .cat XML text into array of units (our app shape).
- * Only top-level selectionEntry type="unit" to keep it simple.
+ * Units are the catalogue's root selectionEntries and root entryLinks (usually pointing into
+ * sharedSelectionEntries) of type "unit" or "model". Links into a game system (.gst) that is
+ * not loaded are skipped.
  */
-function parseCatXml(xmlText) {
+export function parseCatXml(xmlText) {
   const parser = new DOMParser()
   const doc = parser.parseFromString(xmlText, 'text/xml')
   const err = doc.documentElement.querySelector('parsererror') || doc.querySelector('parsererror')
   if (err) throw new Error('BSData XML parse error: ' + (err.textContent || 'unknown'))
 
   const root = doc.documentElement
-  const rootEntries = byLocalName(root, 'selectionEntries')
-  if (!rootEntries) return []
-
+  const index = buildIndex(root)
+  const roots = nodeChildren(node(root), index).entries
   const units = []
-  for (const entry of allByLocalName(rootEntries, 'selectionEntry')) {
-    const type = entry.getAttribute('type')
-    if (type !== 'unit') continue
-    const n = entry.getAttribute('name')
-    const id = entry.getAttribute('id')
-    const hidden = entry.getAttribute('hidden') === 'true'
-    if (hidden) continue
-    const costsEl = byLocalName(entry, 'costs')
-    const pts = getPointsCost(costsEl)
-    const { min, max } = getMinMax(byLocalName(entry, 'constraints'))
-    const isCharacter = /lord|hero|character|wizard|sorcerer|king|queen|prince|mage|necromancer|priest/i.test(n)
-    units.push({
-      id: (id || n).replace(/\s+/g, '_').replace(/[^a-z0-9_-]/gi, '').slice(0, 64),
-      name: n,
-      category: 'Core',
-      ptsPerModel: !isCharacter ? (pts ?? 0) : undefined,
-      ptsCost: isCharacter ? (pts ?? 0) : undefined,
-      isCharacter: !!isCharacter,
-      minSize: min ?? 1,
-      maxSize: max ?? 99,
-      troopType: '',
-      equipment: [],
-      specialRules: [],
-      profiles: [],
-      notes: 'From Warhammer: The Old World catalogue (vflam/Warhammer-The-Old-World).',
-    })
+  const seen = new Set()
+  for (const n of roots) {
+    const type = n.el.getAttribute('type')
+    if (type !== 'unit' && type !== 'model') continue
+    const id = n.el.getAttribute('id')
+    if (seen.has(id)) continue
+    seen.add(id)
+    try {
+      units.push(toUnit(n, index))
+    } catch (e) {
+      console.warn(`BSData: could not parse ${nodeName(n)}:`, e)
+    }
   }
   return units
 }
 
+// ── Rosters (.ros / .rosz) ──
+
+/** Catalogue ids of a roster selection; `entryId` is a "link::entry" path, so every part can match. */
+const selectionIds = (sel) => (sel.getAttribute('entryId') || '').split('::').filter(Boolean)
+
+function selectionCategory(sel) {
+  const cats = listOf(sel, 'categories', 'category')
+  const primary = cats.find((c) => c.getAttribute('primary') === 'true') || cats[0]
+  const name = primary?.getAttribute('name') || ''
+  const match = CATEGORY_PATTERNS.find(([re]) => re.test(name))
+  return match ? match[1] : name.replace(/\s+units?$/i, '') || null
+}
+
+/**
+ * One roster unit in the neutral import shape (see lib/listImport.js). The largest model selection
+ * (or the one named like the unit) is the rank and file; other models (champions, musicians…) and
+ * upgrades become options, and selections nested under an option become "Item (Option)" details.
+ */
+function rosterUnit(sel, allied) {
+  const name = sel.getAttribute('name') || ''
+  const options = []
+  const optionIds = {}
+  let models = 0
+  const count = (el) => parseInt(el.getAttribute('number'), 10) || 1
+  const addOption = (child, holder) => {
+    const childName = child.getAttribute('name') || ''
+    const label = holder ? `${childName} (${holder})` : childName
+    options.push(label)
+    optionIds[label] = selectionIds(child)
+    for (const sub of listOf(child, 'selections', 'selection')) addOption(sub, holder || childName)
+  }
+  const walk = (parent) => {
+    const children = listOf(parent, 'selections', 'selection')
+    const modelSels = children.filter((c) => c.getAttribute('type') === 'model')
+    const rankAndFile = modelSels.find((c) => c.getAttribute('name') === name)
+      || modelSels.reduce((best, c) => (!best || count(c) > count(best) ? c : best), null)
+    for (const child of children) {
+      if (child.getAttribute('type') === 'model') models += count(child)
+      // The rank and file's own wargear and items belong to the unit
+      if (child === rankAndFile) walk(child)
+      else addOption(child, null)
+    }
+  }
+  walk(sel)
+  return {
+    name,
+    id: null,
+    bsdataIds: selectionIds(sel),
+    category: selectionCategory(sel),
+    modelCount: models || count(sel),
+    options,
+    optionIds,
+    items: [],
+    lore: null,
+    allied,
+  }
+}
+
+/**
+ * Parse BattleScribe / New Recruit roster XML into the neutral import shape:
+ * { name, pointsLimit, army, units }. Forces from a second catalogue are marked as allied.
+ */
+export function parseRosterXml(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'text/xml')
+  if (doc.querySelector('parsererror')) throw new Error('Roster XML parse error')
+  const root = doc.documentElement
+  if (root.localName !== 'roster') throw new Error('Not a BattleScribe roster (.ros)')
+  const limit = listOf(root, 'costLimits', 'costLimit').find((c) => /^(pts|points)$/i.test(c.getAttribute('name') || ''))
+  const forces = listOf(root, 'forces', 'force')
+  const army = forces[0]?.getAttribute('catalogueName') || null
+  const units = forces.flatMap((force) => {
+    const allied = !!army && force.getAttribute('catalogueName') !== army
+    return listOf(force, 'selections', 'selection')
+      .filter((sel) => sel.getAttribute('type') !== 'upgrade')
+      .map((sel) => rosterUnit(sel, allied))
+  })
+  return {
+    name: root.getAttribute('name') || 'Imported roster',
+    pointsLimit: limit ? parseFloat(limit.getAttribute('value')) || null : null,
+    army,
+    units,
+  }
+}
+
+/** Roster XML from a .ros (plain XML) or .rosz (zipped) file's bytes. */
+export async function readRosterBytes(bytes) {
+  if (!isZip(bytes)) return new TextDecoder().decode(bytes)
+  const entry = listZipEntries(bytes).find((e) => /\.ros$/i.test(e.name))
+  if (!entry) throw new Error('No .ros file inside the .rosz archive')
+  return new TextDecoder().decode(await entry.read())
+}
+
 /**
  * Load units for one faction from BSData. Returns array of unit objects.
  */
@@ -0,0 +1,232 @@
+/**
+ * Army composition engine (Core / Special / Rare / Character percentages and 0-X limits).
+ * Rules are data in public/data/composition.json, keyed by faction id. Each faction entry
+ * is merged over `_default`, so a campaign can change one category without restating the rest.
+ *
+ * A list may carry an allied contingent (`list.allies = { faction, pointsLimit }`); its entries
+ * are flagged `contingent: 'allies'`. They count toward the main army's Allies category and are
+ * checked on their own against the `allies` rules (see getAllyComposition).
+ */
+
+import { validateJoins } from './joining'
+
+export const CHARACTER_CATEGORIES = ['Named Characters', 'Characters', 'Lords', 'Heroes']
+
+const hasRule = (unitDef, name) => (unitDef?.specialRules || []).some((r) => r.trim().toLowerCase().startsWith(name))
+
+/** Any character can lead the army except a Loner. */
+export function canBeGeneral(unitDef) {
+  return !!unitDef?.isCharacter && !hasRule(unitDef, 'loner')
+}
+
+/** True for entries in the list's allied contingent. */
+export const isAllied = (entry) => entry?.contingent === 'allies'
+
+/**
+ * Battle Standard Bearer eligibility. `canBeBSB` on the unit decides outright; otherwise a
+ * Battle Standard Bearer option or a "BSB" note qualifies, and failing that any non-Loner
+ * character below Lord tier.
+ */
+export function canBeBSB(unitDef) {
+  if (!unitDef?.isCharacter || hasRule(unitDef, 'loner')) return false
+  if (unitDef.canBeBSB != null) return !!unitDef.canBeBSB
+  const notes = (unitDef.notes || '').toLowerCase()
+  if ((unitDef.upgrades || []).some((u) => /battle standard/i.test(u.name)) || /\bbsb\b|battle standard/.test(notes)) return true
+  return unitDef.category !== 'Lords'
+}
+
+/** The list's General and BSB entries (null when unset or the entry was removed). */
+export function getListRoles(list) {
+  const entries = list?.entries || []
+  return {
+    general: entries.find((e) => e.entryId === list?.generalEntryId) || null,
+    bsb: entries.find((e) => e.entryId === list?.bsbEntryId) || null,
+  }
+}
+
+/** Resolve rules for one faction: `_default` merged with the faction entry (null drops a category). */
+export function getFactionComposition(allRules, factionId) {
+  const base = allRules?._default || {}
+  const own = allRules?.[factionId] || {}
+  const categories = { ...(base.categories || {}) }
+  for (const [key, rule] of Object.entries(own.categories || {})) {
+    if (rule === null) delete categories[key]
+    else categories[key] = { ...(categories[key] || {}), ...rule }
+  }
+  return {
+    name: own.name || base.name || 'Grand Army',
+    categories,
+    limits: [...(base.limits || []), ...(own.limits || [])],
+    maxCharactersPerUnit: own.maxCharactersPerUnit !== undefined ? own.maxCharactersPerUnit : base.maxCharactersPerUnit ?? null,
+  }
+}
+
+/**
+ * Rules for an allied contingent: `_default.allies` merged with the main faction's `allies`.
+ * `factions` (optional) lists who the main faction may ally with; `maxPct` caps the contingent's
+ * points limit as a percentage of the army's; categories are percentages of the contingent's limit.
+ */
+export function getAllyComposition(allRules, factionId, allyFactionId) {
+  const base = allRules?._default?.allies || {}
+  const own = allRules?.[factionId]?.allies || {}
+  const merged = getFactionComposition({ _default: base, [factionId]: own }, factionId)
+  return {
+    ...merged,
+    name: own.name || base.name || 'Allied Contingent',
+    maxPct: own.maxPct ?? base.maxPct ?? null,
+    factions: own.factions || base.factions || null,
+    // the ally faction's own 0-X limits still apply to its units
+    limits: [...merged.limits, ...(allRules?.[allyFactionId]?.limits || [])],
+  }
+}
+
+/** Map each entry category to the composition bucket that counts it (e.g. Lords → Characters). */
+function bucketIndex(categories) {
+  const index = {}
+  for (const [key, rule] of Object.entries(categories)) {
+    for (const cat of rule.includes || [key]) index[cat] = key
+  }
+  return index
+}
+
+function pct(points, limit) {
+  return limit > 0 ? Math.round((points / limit) * 1000) / 10 : 0
+}
+
+/** Allowed copies for a 0-X rule, scaled by the points limit when perPoints is set. */
+function allowedCount(rule, pointsLimit) {
+  if (!rule.perPoints) return rule.max
+  return rule.max * Math.max(1, Math.floor(pointsLimit / rule.perPoints))
+}
+
+/** Category buckets for a set of entries; `bucketOf(entry)` picks the category key to count it in. */
+function checkCategories(entries, rules, limit, errors, warnings, bucketOf) {
+  const index = bucketIndex(rules.categories)
+  const buckets = {}
+  for (const [key, rule] of Object.entries(rules.categories)) {
+    buckets[key] = { category: key, points: 0, count: 0, min: rule.min ?? null, max: rule.max ?? null }
+  }
+  const uncounted = {}
+  for (const e of entries) {
+    const key = index[bucketOf(e)]
+    if (!key) {
+      uncounted[e.category || 'Uncategorised'] = (uncounted[e.category || 'Uncategorised'] || 0) + (e.ptsCost || 0)
+      continue
+    }
+    buckets[key].points += e.ptsCost || 0
+    buckets[key].count += 1
+  }
+
+  const categories = Object.values(buckets).map((b) => {
+    const minPts = b.min != null ? Math.ceil((limit * b.min) / 100) : null
+    const maxPts = b.max != null ? Math.floor((limit * b.max) / 100) : null
+    let status = 'ok'
+    if (minPts != null && b.points < minPts) {
+      status = 'error'
+      errors.push(`${b.category} must be at least ${b.min}% (${minPts} pts); currently ${b.points} pts (${pct(b.points, limit)}%).`)
+    }
+    if (maxPts != null && b.points > maxPts) {
+      status = 'error'
+      errors.push(`${b.category} may be at most ${b.max}% (${maxPts} pts); currently ${b.points} pts (${pct(b.points, limit)}%).`)
+    }
+    return { ...b, pct: pct(b.points, limit), minPts, maxPts, status }
+  })
+
+  for (const [cat, pts] of Object.entries(uncounted)) {
+    warnings.push(`${cat} entries (${pts} pts) do not count toward any composition category.`)
+  }
+  return categories
+}
+
+/** 0-X unit limits from the rules' `limits` array and from `unitDef.limit` ({ max, perPoints }). */
+function checkLimits(entries, rules, limit, allUnits, errors) {
+  const counts = {}
+  for (const e of entries) counts[e.unitId] = (counts[e.unitId] || 0) + 1
+  const limitRules = [...rules.limits]
+  for (const u of allUnits) {
+    if (u.limit?.max != null && counts[u.id]) limitRules.push({ unitId: u.id, ...u.limit })
+  }
+  const checked = new Set()
+  for (const rule of limitRules) {
+    if (!rule.unitId || checked.has(rule.unitId)) continue
+    checked.add(rule.unitId)
+    const count = counts[rule.unitId] || 0
+    const allowed = allowedCount(rule, limit)
+    if (count > allowed) {
+      const name = rule.label || allUnits.find((u) => u.id === rule.unitId)?.name || rule.unitId
+      const per = rule.perPoints ? ` per ${rule.perPoints} pts` : ''
+      errors.push(`${name}: ${count} taken, 0-${rule.max}${per} allows ${allowed}.`)
+    }
+  }
+}
+
+/**
+ * Validate a list against composition rules.
+ * Unit-level limits come from the rules' `limits` array and from `unitDef.limit` ({ max, perPoints }).
+ *
+ * @returns {{ name, total, limit, categories: Array, errors: string[], warnings: string[], valid: boolean }}
+ */
+export function validateComposition(list, rules, allUnits = []) {
+  const limit = list?.pointsLimit || 0
+  const entries = list?.entries || []
+  const total = entries.reduce((s, e) => s + (e.ptsCost || 0), 0)
+  const errors = []
+  const warnings = []
+
+  if (total > limit) errors.push(`Army is ${total - limit} pts over the ${limit} pts limit.`)
+
+  // ── Category percentages (the allied contingent counts as Allies) ──
+  const categories = checkCategories(entries, rules, limit, errors, warnings, (e) => (isAllied(e) ? 'Allies' : e.category))
+
+  // ── General and Battle Standard Bearer ──
+  const { general, bsb } = getListRoles(list)
+  const unitOf = (e) => allUnits.find((u) => u.id === e.unitId)
+  if (!general) {
+    errors.push('No General chosen: the list is incomplete.')
+  } else if (isAllied(general)) {
+    errors.push(`${general.unitName} is in the allied contingent and cannot be the General.`)
+  } else if (unitOf(general) && !canBeGeneral(unitOf(general))) {
+    errors.push(`${general.unitName} is a Loner and cannot be the General.`)
+  }
+  if (bsb) {
+    if (general && bsb.entryId === general.entryId) errors.push('The General cannot also be the Battle Standard Bearer.')
+    else if (isAllied(bsb)) errors.push(`${bsb.unitName} is in the allied contingent and cannot be the Battle Standard Bearer.`)
+    else if (unitOf(bsb) && !canBeBSB(unitOf(bsb))) errors.push(`${bsb.unitName} cannot be the Battle Standard Bearer.`)
+  }
+
+  // ── Characters joined to units ──
+  errors.push(...validateJoins(list, allUnits, rules))
+
+  // ── 0-X unit limits (the contingent's units are checked with the ally rules) ──
+  checkLimits(entries.filter((e) => !isAllied(e)), rules, limit, allUnits, errors)
+
+  return { name: rules.name, total, limit, categories, errors, warnings, valid: errors.length === 0, incomplete: !general }
+}
+
+/**
+ * Validate the allied contingent against its own points limit and ally rules (from getAllyComposition).
+ * Returns the same shape as validateComposition, or null when the list has no contingent.
+ */
+export function validateAllies(list, allyRules, allUnits = []) {
+  if (!list?.allies?.faction) return null
+  const limit = list.allies.pointsLimit || 0
+  const entries = (list.entries || []).filter(isAllied)
+  const total = entries.reduce((s, e) => s + (e.ptsCost || 0), 0)
+  const errors = []
+  const warnings = []
+
+  if (allyRules.factions && !allyRules.factions.includes(list.allies.faction)) {
+    errors.push(`${list.allies.faction} may not be taken as allies by this army.`)
+  }
+  if (allyRules.maxPct != null) {
+    const cap = Math.floor(((list.pointsLimit || 0) * allyRules.maxPct) / 100)
+    if (limit > cap) errors.push(`The contingent's ${limit} pts limit is over ${allyRules.maxPct}% of the army (${cap} pts).`)
+  }
+  if (total > limit) errors.push(`Allied contingent is ${total - limit} pts over its ${limit} pts limit.`)
+  if (entries.length > 0 && !entries.some((e) => e.isCharacter)) warnings.push('The allied contingent has no character to lead it.')
+
+  const categories = checkCategories(entries, allyRules, limit, errors, warnings, (e) => e.category)
+  checkLimits(entries, allyRules, limit, allUnits, errors)
+
+  return { name: allyRules.name, total, limit, categories, errors, warnings, valid: errors.length === 0 }
+}
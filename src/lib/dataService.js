@@ -1,14 +1,22 @@
 /**
- * Data service: fetches factions, units, items, rules.
+ * Data service: fetches factions, units, items, rules, composition.
  * - If Supabase is configured: fetches from Supabase (real-time updates)
  * - Otherwise: fetches from /data/*.json (updates on deploy)
  * - Merges in custom units/items/rules from Google Drive if configured
+ * - Adds BattleScribe catalogue units and dataset JSON units (datasets/manifest.json),
+ *   each when its toggle is on
+ *
+ * Unit precedence when the same unit (by id or name) comes from several sources,
+ * lowest first: bsdata < dataset < local (units.json) / supabase < drive. Every unit carries a `source` tag.
  */
 
 import { supabase, isSupabaseEnabled } from './supabase'
 import { loadCustomDataFromDrive } from './googleDriveLoader'
+import { loadAllBsdataUnits, isBsdataEnabled } from './bsdataLoader'
+import { loadAllDatasetUnits, isDatasetEnabled } from './datasetLoader'
+import { mergeSpells } from './magic'
 
-const CACHE = { factions: null, units: null, items: null, rules: null, customData: null }
+const CACHE = { factions: null, units: null, items: null, rules: null, composition: null, glossary: null, spells: null, customData: null }
 
 async function fetchJson(path) {
   const base = import.meta.env.BASE_URL || '/'
@@ -17,18 +25,60 @@ async function fetchJson(path) {
   return res.json()
 }
 
-/** Merge custom units into by-faction map. Custom units need factionId. */
-function mergeUnits(base, custom) {
-  if (!custom?.length) return base
-  const merged = { ...base }
-  for (const u of custom) {
-    const fid = u.factionId || u.faction_id || 'eonir'
-    if (!merged[fid]) merged[fid] = []
-    merged[fid].push({ ...u, isCustom: true })
+/** Key used to recognise the same unit across sources (catalogue ids differ from ours). */
+function unitKey(u) {
+  return (u.name || u.id || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Catalogue ids (`bsdataId`) of the unit being replaced, carried onto the replacement and its
+ * upgrades (matched by id or name) where it has none, so .ros imports still match by id.
+ */
+function keepBsdataIds(replaced, unit) {
+  if (!replaced.bsdataId && !replaced.upgrades?.some((up) => up.bsdataId)) return unit
+  const out = { ...unit }
+  if (!out.bsdataId && replaced.bsdataId) out.bsdataId = replaced.bsdataId
+  if (unit.upgrades) {
+    out.upgrades = unit.upgrades.map((up) => {
+      if (up.bsdataId) return up
+      const match = (replaced.upgrades || []).find((o) => o.bsdataId && (o.id === up.id || unitKey(o) === unitKey(up)))
+      return match ? { ...up, bsdataId: match.bsdataId } : up
+    })
+  }
+  return out
+}
+
+/**
+ * Layer a by-faction unit map over another. A unit whose id or name matches an existing one
+ * replaces it in place (keeping its catalogue ids); anything new is appended. Each unit is tagged with `source`.
+ */
+function layerUnits(lower, upper, source) {
+  const merged = { ...lower }
+  for (const [fid, units] of Object.entries(upper || {})) {
+    const list = [...(merged[fid] || [])]
+    const lowerCount = list.length // only match lower-layer units, never siblings from this layer
+    for (const u of units) {
+      const tagged = { ...u, source }
+      const idx = list.findIndex((x, i) => i < lowerCount && (x.id === u.id || unitKey(x) === unitKey(u)))
+      if (idx === -1) list.push(tagged)
+      else list[idx] = keepBsdataIds(list[idx], tagged)
+    }
+    merged[fid] = list
   }
   return merged
 }
 
+/** Group Drive custom units by factionId. Custom units need factionId. */
+function groupCustomUnits(custom) {
+  const byFaction = {}
+  for (const u of custom || []) {
+    const fid = u.factionId || u.faction_id || 'eonir'
+    if (!byFaction[fid]) byFaction[fid] = []
+    byFaction[fid].push({ ...u, isCustom: true })
+  }
+  return byFaction
+}
+
 /** Merge custom items into by-slot map. Base uses keys like weapons, armour, talismans. */
 function mergeItems(base, custom) {
   if (!custom?.length) return base
@@ -68,6 +118,7 @@ async function getFactions() {
 async function getUnits() {
   if (CACHE.units) return CACHE.units
   let base
+  let baseSource = 'local'
   if (isSupabaseEnabled()) {
     const { data, error } = await supabase.from('units').select('*').order('faction_id').order('category').order('name')
     if (!error && data) {
@@ -77,11 +128,18 @@ async function getUnits() {
         if (!base[fid]) base[fid] = []
         base[fid].push(u.data)
       })
+      baseSource = 'supabase'
     }
   }
   if (!base) base = await fetchJson('units.json')
+
+  let units = {}
+  if (isBsdataEnabled()) units = layerUnits(units, await loadAllBsdataUnits(), 'bsdata')
+  if (isDatasetEnabled()) units = layerUnits(units, await loadAllDatasetUnits(), 'dataset')
+  units = layerUnits(units, base, baseSource)
   const custom = await loadCustomDataFromDrive()
-  CACHE.units = mergeUnits(base, custom?.units)
+  units = layerUnits(units, groupCustomUnits(custom?.units), 'drive')
+  CACHE.units = units
   return CACHE.units
 }
 
@@ -92,10 +150,12 @@ async function getItems() {
     const { data, error } = await supabase.from('magic_items').select('*')
     if (!error && data) {
       base = {}
-      data.forEach((i) => {
+      // Rows with an army key are that army's own items (armyItems.json); the app ships those itself
+      data.filter((i) => !i.army).forEach((i) => {
         const slot = i.slot
         if (!base[slot]) base[slot] = []
-        base[slot].push({ name: i.name, pts: i.pts })
+        // details holds every other field items.json has (description, singleUse, common, …)
+        base[slot].push({ name: i.name, pts: i.pts, ...(i.details || {}) })
       })
     }
   }
@@ -120,6 +180,44 @@ async function getRules() {
   return CACHE.rules
 }
 
+/** Composition rules per faction (static JSON; an older deploy without the file gets no rules). */
+async function getComposition() {
+  if (CACHE.composition) return CACHE.composition
+  try {
+    CACHE.composition = await fetchJson('composition.json')
+  } catch (e) {
+    console.warn('Composition rules unavailable:', e)
+    CACHE.composition = {}
+  }
+  return CACHE.composition
+}
+
+/** Offline rules glossary (special-rules.json, built by scripts/build-rules-glossary.js). */
+async function getGlossary() {
+  if (CACHE.glossary) return CACHE.glossary
+  try {
+    CACHE.glossary = (await fetchJson('special-rules.json')).rules || {}
+  } catch (e) {
+    console.warn('Rules glossary unavailable:', e)
+    CACHE.glossary = {}
+  }
+  return CACHE.glossary
+}
+
+/** Lores of magic and their spells (spells.json), with Drive custom lores replacing base ones by id. */
+async function getSpells() {
+  if (CACHE.spells) return CACHE.spells
+  let base = {}
+  try {
+    base = await fetchJson('spells.json')
+  } catch (e) {
+    console.warn('Spell lists unavailable:', e)
+  }
+  const custom = await loadCustomDataFromDrive()
+  CACHE.spells = mergeSpells(base, custom?.spells)
+  return CACHE.spells
+}
+
 /** Get lore map from Google Drive custom data. */
 export async function getLore() {
   const custom = await loadCustomDataFromDrive()
@@ -127,15 +225,19 @@ export async function getLore() {
 }
 
 export async function loadAllData() {
-  const [factions, units, items, rules] = await Promise.all([
+  const [factions, units, items, rules, composition, glossary, lore, spells] = await Promise.all([
     getFactions(),
     getUnits(),
     getItems(),
     getRules(),
+    getComposition(),
+    getGlossary(),
+    getLore(),
+    getSpells(),
   ])
-  return { factions, units, items, rules }
+  return { factions, units, items, rules, composition, glossary, lore, spells }
 }
 
 export function clearCache() {
-  CACHE.factions = CACHE.units = CACHE.items = CACHE.rules = CACHE.customData = null
+  CACHE.factions = CACHE.units = CACHE.items = CACHE.rules = CACHE.composition = CACHE.glossary = CACHE.spells = CACHE.customData = null
 }
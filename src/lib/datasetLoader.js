@@ -1,26 +1,13 @@
 /**
  * Load unit data from JSON dataset files (e.g. from nthiebes/old-world-builder style).
- * Files live in public/data/datasets/. Filename determines faction:
- * - *elf* → eonir (Wood Elf Realms, Dark Elves, High Elf Realms)
- * - Renegade Crowns, Empire of Man, Kingdom of Bretonnia → borderPrinces
- * - Tomb Kings of Khemri → tombKings
- * - Lizardmen → lizardmen (no file in default set; use base/BSData)
+ * Files live in public/data/datasets/ and are listed in datasets/manifest.json:
+ *   { "datasets": [{ "file": "wood-elf-realms.json", "label": "Wood Elf Realms", "faction": "eonir" }] }
+ * The manifest faction is the default target; Settings can remap any file to any
+ * campaign faction (or switch it off) per browser, without a code change.
  */
 
-const DATASET_BASE = '/data/datasets'
-
-/** Map dataset filename (no .json) to app faction id. */
-export const DATASET_FACTION_MAP = {
-  'wood-elf-realms': 'eonir',
-  'dark-elves': 'eonir',
-  'high-elf-realms': 'eonir',
-  'renegade-crowns': 'borderPrinces',
-  'empire-of-man': 'borderPrinces',
-  'kingdom-of-bretonnia': 'borderPrinces',
-  'tomb-kings-of-khemri': 'tombKings',
-}
-
 const STORAGE_KEY = 'tow_use_dataset_json'
+const FACTION_MAP_KEY = 'tow_dataset_faction_map'
 const CACHE_PREFIX = 'tow_dataset_'
 const CACHE_TTL_MS = 60 * 60 * 1000 // 1h
 
@@ -66,13 +53,57 @@ function setCache(filename, data) {
 
 export function clearDatasetCache() {
   try {
-    const keys = Object.keys(DATASET_FACTION_MAP)
-    keys.forEach((k) => localStorage.removeItem(cacheKey(k + '.json')))
+    const keys = []
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i)
+      if (k && k.startsWith(CACHE_PREFIX)) keys.push(k)
+    }
+    keys.forEach((k) => localStorage.removeItem(k))
+  } catch {
+    // ignore
+  }
+}
+
+/** User remaps: { [file]: factionId }, '' means the file is not used. */
+export function getDatasetFactionOverrides() {
+  try {
+    const raw = localStorage.getItem(FACTION_MAP_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+/** Remap one dataset file. Pass null to restore the manifest default. */
+export function setDatasetFactionOverride(file, factionId) {
+  const overrides = getDatasetFactionOverrides()
+  if (factionId == null) delete overrides[file]
+  else overrides[file] = factionId
+  try {
+    localStorage.setItem(FACTION_MAP_KEY, JSON.stringify(overrides))
   } catch {
     // ignore
   }
 }
 
+/**
+ * Fetch datasets/manifest.json. Returns [{ file, label, faction, target }] where `faction`
+ * is the manifest default and `target` the effective faction after user remaps ('' = unused).
+ */
+export async function loadDatasetManifest() {
+  const base = import.meta.env.BASE_URL || '/'
+  const res = await fetch(`${base}data/datasets/manifest.json`)
+  if (!res.ok) return []
+  const json = await res.json()
+  const overrides = getDatasetFactionOverrides()
+  return (json.datasets || []).map((d) => ({
+    file: d.file,
+    label: d.label || d.file.replace(/\.json$/i, ''),
+    faction: d.faction || '',
+    target: d.file in overrides ? overrides[d.file] : (d.faction || ''),
+  }))
+}
+
 function nameEn(obj) {
   if (!obj) return ''
   return obj.name_en ?? obj.name ?? ''
@@ -295,18 +326,25 @@ async function loadOneDataset(filename) {
   return units
 }
 
-/** Load all dataset files and return { eonir: [...], borderPrinces: [...], tombKings: [...] }. */
+/** Load every manifest dataset and return units by effective faction, e.g. { eonir: [...], tombKings: [...] }. */
 export async function loadAllDatasetUnits() {
   const result = {}
-  const byFaction = {}
-  for (const [filenameNoExt, factionId] of Object.entries(DATASET_FACTION_MAP)) {
-    const filename = filenameNoExt + '.json'
-    const units = await loadOneDataset(filename)
-    if (!byFaction[factionId]) byFaction[factionId] = []
-    byFaction[factionId].push(...units)
+  let manifest
+  try {
+    manifest = await loadDatasetManifest()
+  } catch (e) {
+    console.warn('Dataset manifest load failed:', e)
+    return result
   }
-  for (const [factionId, list] of Object.entries(byFaction)) {
-    result[factionId] = list
+  for (const { file, target } of manifest) {
+    if (!target) continue
+    try {
+      const units = await loadOneDataset(file)
+      if (!result[target]) result[target] = []
+      result[target].push(...units)
+    } catch (e) {
+      console.warn(`Dataset load failed for ${file}:`, e)
+    }
   }
   return result
 }
@@ -10,6 +10,7 @@
  *   - custom-units.json    Array of unit objects (same shape as your DEFAULT_UNITS)
  *   - custom-items.json    Array of magic items
  *   - custom-rules.json    Array of army rules
+ *   - spells.json          (optional) { lores: { [loreId]: { name, spells } } }, same shape as public/data/spells.json
  *   - lore/                (optional) Folder with markdown files per unit/faction
  *
  * For public folders, we use the export URL format:
@@ -88,7 +89,7 @@ export async function loadCustomDataFromDrive() {
     }
   }
 
-  const result = { units: [], items: [], rules: [], lore: {} }
+  const result = { units: [], items: [], rules: [], lore: {}, spells: {} }
   const promises = []
 
   if (fileIds.units) {
@@ -119,6 +120,13 @@ export async function loadCustomDataFromDrive() {
       })
     )
   }
+  if (fileIds.spells) {
+    promises.push(
+      fetchDriveFile(fileIds.spells).then((data) => {
+        result.spells = data && typeof data === 'object' ? data.lores || data : {}
+      })
+    )
+  }
 
   try {
     await Promise.all(promises)
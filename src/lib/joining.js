@@ -0,0 +1,128 @@
+/**
+ * Characters joining units. A character entry records its host with `joinedTo` (the host's
+ * entryId). Joining is checked against Loner, troop type and the per-unit character limit,
+ * and the combined unit's shared rules are worked out for the Game View.
+ */
+
+// Troop types a character can never join, or be joined by
+const UNJOINABLE = new Set(['monster', 'war machine', 'swarm'])
+
+// The whole unit has these if any model does
+const ANY_MODEL_RULES = ['Stubborn', 'Magic Resistance']
+// The unit only has these if every model does
+const ALL_MODEL_RULES = ['Immune to Psychology', 'Move Through Cover', 'Swiftstride', 'Vanguard', 'Scouts', 'Ambushers', 'Fly']
+
+const ruleNames = (unitDef) => (unitDef?.specialRules || []).map((r) => r.trim())
+const findRule = (rules, name) => rules.find((r) => r.toLowerCase().startsWith(name.toLowerCase()))
+
+/** Broad troop type ("infantry", "cavalry", "monster"…) from a troopType string, or null when unknown. */
+export function troopFamily(troopType) {
+  const t = (troopType || '').toLowerCase()
+  if (!t) return null
+  if (t.includes('monstrous infantry')) return 'monstrous infantry'
+  if (t.includes('monstrous cavalry')) return 'monstrous cavalry'
+  if (t.includes('infantry')) return 'infantry'
+  if (t.includes('cavalry')) return 'cavalry'
+  if (t.includes('chariot')) return 'chariot'
+  if (/behemoth|monster|monstrous creature/.test(t)) return 'monster'
+  if (t.includes('war machine')) return 'war machine'
+  if (t.includes('swarm')) return 'swarm'
+  if (t.includes('war beast')) return 'war beasts'
+  return null
+}
+
+/** A character's troop type, taking an active mount's troopType into account. */
+export function entryTroopFamily(entry, unitDef) {
+  const active = new Set(entry?.activeUpgrades || [])
+  const mount = (unitDef?.upgrades || []).find((u) => u.type === 'mount' && active.has(u.id))
+  if (mount) return troopFamily(mount.troopType)
+  return troopFamily(unitDef?.troopType)
+}
+
+/**
+ * Units a Loner may still join, from "Loner (may join Wardancers freely)" style rules.
+ * null = not a Loner; [] = a Loner who joins nothing.
+ */
+export function lonerExceptions(unitDef) {
+  const loner = findRule(ruleNames(unitDef), 'loner')
+  if (!loner) return null
+  const m = loner.match(/may join ([^)]*?)(?:\s+(?:freely|only))?\)/i)
+  if (!m) return []
+  return m[1].split(/,|\band\b/).map((s) => s.trim()).filter(Boolean)
+}
+
+/** Why a character entry can't join a host entry, or null if it can. */
+export function joinProblem(charEntry, charDef, hostEntry, hostDef) {
+  if (!hostEntry) return 'the unit it joined is no longer in the list'
+  if (hostEntry.entryId === charEntry.entryId) return 'a character cannot join itself'
+  if (hostEntry.isCharacter) return `${hostEntry.unitName} is a character, not a unit`
+  if (hostEntry.joinedTo) return `${hostEntry.unitName} is itself joined to another unit`
+  if ((hostEntry.contingent || null) !== (charEntry.contingent || null)) return 'allied and main-army models cannot mix'
+  const name = charDef?.name || charEntry.unitName
+  const exceptions = lonerExceptions(charDef)
+  if (exceptions) {
+    const hostName = (hostDef?.name || hostEntry.unitName).toLowerCase()
+    const allowed = exceptions.some((x) => {
+      const stem = x.toLowerCase().replace(/s$/, '')
+      return hostName.includes(stem) || stem.includes(hostName.replace(/s$/, ''))
+    })
+    if (!allowed) return exceptions.length ? `${name} is a Loner (may only join ${exceptions.join(', ')})` : `${name} is a Loner`
+  }
+  const own = entryTroopFamily(charEntry, charDef)
+  const host = troopFamily(hostDef?.troopType)
+  if (own && UNJOINABLE.has(own)) return `${name} (${own}) cannot join units`
+  if (host && UNJOINABLE.has(host)) return `characters cannot join ${host} units`
+  if (own && host && own !== host) return `${name} (${own}) cannot join ${host} units`
+  return null
+}
+
+/** Characters joined to a host entry, in list order. */
+export function getJoinedCharacters(list, hostEntryId) {
+  return (list?.entries || []).filter((e) => e.joinedTo && e.joinedTo === hostEntryId)
+}
+
+/** How many characters a host may hold: the unit's own `maxCharacters`, then the army rule, else no limit. */
+export function maxCharactersFor(hostDef, rules) {
+  return hostDef?.maxCharacters ?? rules?.maxCharactersPerUnit ?? null
+}
+
+/** Error messages for every joined character in the list. */
+export function validateJoins(list, allUnits = [], rules = {}) {
+  const entries = list?.entries || []
+  const unitOf = (e) => allUnits.find((u) => u.id === e?.unitId)
+  const errors = []
+  const hosts = {}
+  for (const e of entries) {
+    if (!e.joinedTo) continue
+    const host = entries.find((h) => h.entryId === e.joinedTo)
+    const problem = joinProblem(e, unitOf(e), host, unitOf(host))
+    if (problem) errors.push(`${e.unitName} cannot join ${host?.unitName || 'that unit'}: ${problem}.`)
+    if (host) hosts[host.entryId] = (hosts[host.entryId] || 0) + 1
+  }
+  for (const [hostId, count] of Object.entries(hosts)) {
+    const host = entries.find((h) => h.entryId === hostId)
+    const max = maxCharactersFor(unitOf(host), rules)
+    if (max != null && count > max) errors.push(`${host.unitName} has ${count} characters joined; it allows ${max}.`)
+  }
+  return errors
+}
+
+/**
+ * Shared rules once characters join a unit.
+ * gained: [{ rule, from }] — rules any model grants the whole unit.
+ * lost: [{ rule, holders }] — rules only some models have, so the combined unit doesn't benefit.
+ */
+export function getCombinedRules(hostDef, joinedDefs) {
+  const members = [hostDef, ...joinedDefs].filter(Boolean).map((d) => ({ name: d.name, rules: ruleNames(d) }))
+  const gained = []
+  const lost = []
+  for (const name of ANY_MODEL_RULES) {
+    const from = members.filter((m) => findRule(m.rules, name)).map((m) => m.name)
+    if (from.length && from.length < members.length) gained.push({ rule: name, from })
+  }
+  for (const name of ALL_MODEL_RULES) {
+    const holders = members.filter((m) => findRule(m.rules, name)).map((m) => m.name)
+    if (holders.length && holders.length < members.length) lost.push({ rule: name, holders })
+  }
+  return { gained, lost }
+}
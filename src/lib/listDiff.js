@@ -0,0 +1,109 @@
+/**
+ * Compare two army lists (or saved versions of one). Entries are matched by entryId first, so a
+ * duplicated list or a version of the same list lines up exactly; whatever is left is paired by unit.
+ */
+
+import { loreName } from './magic'
+
+const itemNames = (entry) => [
+  ...Object.values(entry.magicItems || {}).filter(Boolean).map((i) => i.name),
+  ...Object.values(entry.commandMagicItems || {}).flatMap((slots) => Object.values(slots || {}).filter(Boolean).map((i) => i.name)),
+]
+
+function upgradeNames(entry, unitDef, spells) {
+  const defs = unitDef?.upgrades || []
+  const names = (entry.activeUpgrades || []).map((id) => defs.find((u) => u.id === id)?.name || id)
+  if (entry.wizardLevel) names.push(`Wizard Level ${entry.wizardLevel}`)
+  if (entry.lore) names.push(`Lore: ${loreName(spells, entry.lore)}`)
+  if (entry.arrows) names.push(entry.arrows.name)
+  if (entry.relicForm === 'upgraded') names.push('Relic: upgraded form')
+  return names
+}
+
+const minus = (a, b) => a.filter((x) => !b.includes(x))
+
+function pairEntries(from, to) {
+  const pairs = []
+  const left = [...from]
+  const right = [...to]
+  for (let i = left.length - 1; i >= 0; i--) {
+    const j = right.findIndex((e) => e.entryId === left[i].entryId)
+    if (j >= 0) {
+      pairs.push([left[i], right[j]])
+      left.splice(i, 1)
+      right.splice(j, 1)
+    }
+  }
+  for (let i = left.length - 1; i >= 0; i--) {
+    const j = right.findIndex((e) => e.unitId === left[i].unitId && (e.contingent || null) === (left[i].contingent || null))
+    if (j >= 0) {
+      pairs.push([left[i], right[j]])
+      left.splice(i, 1)
+      right.splice(j, 1)
+    }
+  }
+  pairs.sort((x, y) => to.indexOf(x[1]) - to.indexOf(y[1]))
+  return { pairs, removed: left, added: right }
+}
+
+const pointsByCategory = (entries) => {
+  const out = {}
+  for (const e of entries) {
+    const cat = e.contingent === 'allies' ? `Allies: ${e.category}` : e.category || 'Uncategorised'
+    out[cat] = (out[cat] || 0) + (e.ptsCost || 0)
+  }
+  return out
+}
+
+/**
+ * @returns {{
+ *   added: Entry[], removed: Entry[],
+ *   changed: Array<{ from, to, name, modelCount, pts, upgradesAdded, upgradesRemoved, itemsAdded, itemsRemoved }>,
+ *   categories: Array<{ category, from, to, delta }>, total: { from, to, delta }
+ * }}
+ */
+export function diffLists(a, b, allUnits = [], spells = {}) {
+  const unitOf = (e) => allUnits.find((u) => u.id === e.unitId)
+  const { pairs, removed, added } = pairEntries(a?.entries || [], b?.entries || [])
+
+  const changed = []
+  for (const [from, to] of pairs) {
+    const unitDef = unitOf(to) || unitOf(from)
+    const upFrom = upgradeNames(from, unitDef, spells)
+    const upTo = upgradeNames(to, unitDef, spells)
+    const itFrom = itemNames(from)
+    const itTo = itemNames(to)
+    const change = {
+      from,
+      to,
+      name: unitDef?.name || to.unitName,
+      modelCount: (from.modelCount || 1) !== (to.modelCount || 1) ? { from: from.modelCount || 1, to: to.modelCount || 1 } : null,
+      pts: (from.ptsCost || 0) !== (to.ptsCost || 0) ? { from: from.ptsCost || 0, to: to.ptsCost || 0 } : null,
+      upgradesAdded: minus(upTo, upFrom),
+      upgradesRemoved: minus(upFrom, upTo),
+      itemsAdded: minus(itTo, itFrom),
+      itemsRemoved: minus(itFrom, itTo),
+    }
+    if (change.modelCount || change.pts || change.upgradesAdded.length || change.upgradesRemoved.length || change.itemsAdded.length || change.itemsRemoved.length) {
+      changed.push(change)
+    }
+  }
+
+  const catFrom = pointsByCategory(a?.entries || [])
+  const catTo = pointsByCategory(b?.entries || [])
+  const categories = [...new Set([...Object.keys(catFrom), ...Object.keys(catTo)])].map((category) => {
+    const from = catFrom[category] || 0
+    const to = catTo[category] || 0
+    return { category, from, to, delta: to - from }
+  })
+  const totalFrom = Object.values(catFrom).reduce((s, p) => s + p, 0)
+  const totalTo = Object.values(catTo).reduce((s, p) => s + p, 0)
+
+  return { added, removed, changed, categories, total: { from: totalFrom, to: totalTo, delta: totalTo - totalFrom } }
+}
+
+/** The list fields a saved version keeps (everything that describes the army, not its identity). */
+export function versionSnapshot(list) {
+  const { id, name, faction, createdAt, versions, ...rest } = list
+  return JSON.parse(JSON.stringify(rest))
+}
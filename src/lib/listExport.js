@@ -0,0 +1,121 @@
+/**
+ * Army list export as compact plain text, Markdown or BBCode (forum posts), in the
+ * "Name [pts]" / "++ Category [pts] ++" layout New Recruit and Old World Builder users know.
+ */
+
+import { isAllied, getListRoles } from './composition'
+import { getWizardData, getEntryWizardLevel, getEntryLore, loreName } from './magic'
+
+export const EXPORT_FORMATS = [
+  { id: 'text', label: 'Plain text' },
+  { id: 'markdown', label: 'Markdown' },
+  { id: 'bbcode', label: 'BBCode' },
+]
+
+const FORMATTERS = {
+  text: {
+    title: (name, limit, total, faction) => `${name} [${limit} pts]\n${faction} · ${total} pts`,
+    category: (label, pts) => `++ ${label} [${pts} pts] ++`,
+    unit: (name, pts, markers, details) =>
+      `${name} [${pts} pts]${markers.length ? ` (${markers.join(', ')})` : ''}${details.length ? `: ${details.join(', ')}` : ''}`,
+    units: (lines) => lines.join('\n'),
+  },
+  markdown: {
+    title: (name, limit, total, faction) => `# ${name} [${limit} pts]\n**${faction}** · ${total} pts`,
+    category: (label, pts) => `## ${label} [${pts} pts]`,
+    unit: (name, pts, markers, details) =>
+      `- **${name}** [${pts} pts]${markers.length ? ` *(${markers.join(', ')})*` : ''}${details.length ? `: ${details.join(', ')}` : ''}`,
+    units: (lines) => lines.join('\n'),
+  },
+  bbcode: {
+    title: (name, limit, total, faction) => `[size=150][b]${name} [${limit} pts][/b][/size]\n${faction} · ${total} pts`,
+    category: (label, pts) => `[u][b]${label} [${pts} pts][/b][/u]`,
+    unit: (name, pts, markers, details) =>
+      `[*][b]${name}[/b] [${pts} pts]${markers.length ? ` [i](${markers.join(', ')})[/i]` : ''}${details.length ? `: ${details.join(', ')}` : ''}`,
+    units: (lines) => `[list]\n${lines.join('\n')}\n[/list]`,
+  },
+}
+
+/** Everything chosen for an entry, as display strings: upgrades, wizard level and lore, items, arrows, relic. */
+export function entryDetails(entry, unitDef, { spells, entries = [] } = {}) {
+  const upgrades = unitDef?.upgrades || []
+  const upgradeName = (id) => upgrades.find((u) => u.id === id)?.name || id
+  const details = (entry.activeUpgrades || []).map(upgradeName)
+
+  if (getWizardData(unitDef)) {
+    const level = getEntryWizardLevel(entry, unitDef)
+    const lore = getEntryLore(entry, unitDef)
+    if (level) details.push(`Level ${level} Wizard${lore ? ` (${loreName(spells, lore)})` : ''}`)
+  }
+  for (const item of Object.values(entry.magicItems || {})) {
+    if (item) details.push(item.name)
+  }
+  for (const [upId, slots] of Object.entries(entry.commandMagicItems || {})) {
+    for (const item of Object.values(slots || {})) {
+      if (item) details.push(`${item.name} (${upgradeName(upId)})`)
+    }
+  }
+  if (entry.arrows) details.push(entry.arrows.name)
+  if (entry.relicForm && unitDef?.relic && unitDef.relic.name !== 'TBD') {
+    details.push(`${unitDef.relic.name} (${entry.relicForm === 'upgraded' ? 'upgraded' : 'basic'} form)`)
+  }
+  if (entry.joinedTo) {
+    const host = entries.find((e) => e.entryId === entry.joinedTo)
+    if (host) details.push(`joins ${host.unitName}`)
+  }
+  return details
+}
+
+/**
+ * The list as text in one of EXPORT_FORMATS.
+ * options: { allUnits, factionName, allyFactionName, categories (display order), spells }
+ */
+export function exportList(list, format = 'text', options = {}) {
+  const f = FORMATTERS[format] || FORMATTERS.text
+  const { allUnits = [], factionName = list.faction, allyFactionName, categories = [], spells } = options
+  const entries = list.entries || []
+  const { general, bsb } = getListRoles(list)
+  const unitOf = (e) => allUnits.find((u) => u.id === e.unitId)
+  const sum = (es) => es.reduce((s, e) => s + (e.ptsCost || 0), 0)
+
+  const unitLine = (e) => {
+    const markers = []
+    if (general && e.entryId === general.entryId) markers.push('General')
+    if (bsb && e.entryId === bsb.entryId) markers.push('BSB')
+    const name = e.modelCount > 1 ? `${e.modelCount} ${e.unitName}` : e.unitName
+    return f.unit(name, e.ptsCost || 0, markers, entryDetails(e, unitOf(e), { spells, entries }))
+  }
+
+  const sections = (group, prefix = '') => {
+    const order = [...categories, ...group.map((e) => e.category).filter((c) => !categories.includes(c))]
+    return [...new Set(order)]
+      .map((cat) => group.filter((e) => e.category === cat))
+      .filter((inCat) => inCat.length)
+      .map((inCat) => `${f.category(`${prefix}${inCat[0].category}`, sum(inCat))}\n${f.units(inCat.map(unitLine))}`)
+  }
+
+  const main = entries.filter((e) => !isAllied(e))
+  const allied = entries.filter(isAllied)
+  // The title carries the points limit, as in Old World Builder / New Recruit text; the total follows the faction
+  const parts = [f.title(list.name, list.pointsLimit ?? sum(entries), sum(entries), factionName), ...sections(main)]
+  if (allied.length) parts.push(...sections(allied, `Allies (${allyFactionName || list.allies?.faction || 'allied'}): `))
+  return `${parts.join('\n\n')}\n`
+}
+
+/** Copy text to the clipboard, falling back to a hidden textarea where the async API isn't allowed. */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+    return true
+  } catch {
+    const area = document.createElement('textarea')
+    area.value = text
+    area.style.position = 'fixed'
+    area.style.opacity = '0'
+    document.body.appendChild(area)
+    area.select()
+    const ok = document.execCommand('copy')
+    document.body.removeChild(area)
+    return ok
+  }
+}
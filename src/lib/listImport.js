@@ -0,0 +1,365 @@
+/**
+ * Import army lists written elsewhere: Old World Builder `.owb.json` exports and the common
+ * "Name [pts]" text format (Old World Builder / New Recruit text, our own Markdown and BBCode export).
+ *
+ * Parsers produce a neutral shape, { name, pointsLimit, army, units: [ImportedUnit] }, where
+ * ImportedUnit is { name, id, category, modelCount, options: [name], items: [{ name, holder }], lore, allied },
+ * plus `bsdataIds` / `optionIds` ({ [option]: [catalogue ids] }) for BattleScribe rosters.
+ * matchImportedList() then resolves that against our units and items and reports what it couldn't place.
+ */
+
+import { getWizardData, toLoreId, upgradeWizardLevel } from './magic'
+import { parseRosterXml } from './bsdataLoader'
+
+const OWB_CATEGORIES = ['characters', 'core', 'special', 'rare', 'mercenaries', 'allies']
+const MAGIC_SLOTS = ['weapons', 'armour', 'talismans', 'enchanted', 'arcane', 'banners']
+
+/** Lower-case, accents and punctuation stripped: "Glade-Guard" and "glade guard" compare equal. */
+export const normName = (s) =>
+  (s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+
+const singular = (s) => s.replace(/(?:es|s)$/, '')
+const nameEn = (o) => (typeof o === 'string' ? o : o?.name_en ?? o?.name ?? '')
+
+// ── Old World Builder ──
+
+function owbOptions(list) {
+  const out = []
+  for (const o of list || []) {
+    if (o.active) out.push(nameEn(o))
+    // Stackable options keep their choices one level down
+    if (Array.isArray(o.options)) out.push(...owbOptions(o.options))
+  }
+  return out
+}
+
+function owbUnit(u, category) {
+  const command = (u.command || []).filter((c) => c.active)
+  return {
+    name: nameEn(u),
+    id: u.id || null,
+    category,
+    modelCount: u.strength || 1,
+    options: [
+      ...owbOptions(u.options),
+      ...owbOptions(u.equipment),
+      ...owbOptions(u.armor),
+      ...owbOptions(u.mounts),
+      ...command.map(nameEn),
+    ].filter((n) => n && !/^on foot$/i.test(n)),
+    items: [
+      ...(u.items || []).flatMap((g) => g.selected || []).map((i) => ({ name: nameEn(i), holder: null })),
+      ...command.flatMap((c) => (c.magic?.selected || []).map((i) => ({ name: nameEn(i), holder: nameEn(c) }))),
+    ],
+    lore: u.activeLore || null,
+    allied: category === 'allies',
+  }
+}
+
+/** Parse an Old World Builder export. Throws when the JSON isn't one. */
+export function parseOwbJson(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json
+  if (!data || !OWB_CATEGORIES.some((c) => Array.isArray(data[c]))) {
+    throw new Error('Not an Old World Builder list (no characters/core/special/rare sections)')
+  }
+  return {
+    name: data.name || 'Imported list',
+    pointsLimit: data.points || null,
+    army: data.army || null,
+    units: OWB_CATEGORIES.flatMap((c) => (data[c] || []).map((u) => owbUnit(u, c))),
+  }
+}
+
+// ── Text lists ──
+
+// Formatting from our Markdown / BBCode export and forum posts; "[120 pts]" survives
+const BBCODE_TAG = /\[\/?(?:b|i|u|s|size|color|font|list|quote|code|center)(?:=[^\]]*)?\]/gi
+const CATEGORY_LINE = /^\+\+\s*(.+?)\s*(?:\[[^\]]*\])?\s*\+\+$/
+const UNIT_LINE = /^(.+?)\s*\[(\d+)\s*(?:pts?|points)?\.?\]\s*(?:\(([^)]*)\))?\s*(?::\s*(.*))?$/i
+const MARKERS = /^(general|bsb|battle standard bearer)$/i
+
+/** Split "a, b (c, d), e" on top-level commas. */
+function splitDetails(text) {
+  const out = []
+  let depth = 0
+  let cur = ''
+  for (const ch of text || '') {
+    if (ch === '(') depth++
+    if (ch === ')') depth = Math.max(0, depth - 1)
+    if (ch === ',' && depth === 0) {
+      out.push(cur)
+      cur = ''
+    } else cur += ch
+  }
+  out.push(cur)
+  return out.map((s) => s.trim()).filter(Boolean)
+}
+
+function countAndName(text) {
+  const lead = text.match(/^(\d+)\s*x?\s+(.+)$/i)
+  if (lead) return { modelCount: Number(lead[1]), name: lead[2].trim() }
+  const trail = text.match(/^(.+?)\s+x\s*(\d+)$/i)
+  if (trail) return { modelCount: Number(trail[2]), name: trail[1].trim() }
+  return { modelCount: 1, name: text.trim() }
+}
+
+/** A "Musician: item" / "item (Musician)" detail: magic items carried by a command model. */
+function detailItem(detail) {
+  const m = detail.match(/^(.+?)\s*\((.+)\)$/)
+  return m ? { name: m[1].trim(), holder: m[2].trim() } : { name: detail, holder: null }
+}
+
+/**
+ * Parse a text list. Unit lines carry "[N pts]"; details follow after a colon or as "- " lines
+ * under a unit line that wasn't itself a bullet. Everything that isn't a marker (General/BSB)
+ * goes in `options`; matching decides later whether it is an upgrade, an item or a lore.
+ */
+export function parseTextList(text) {
+  const result = { name: 'Imported list', pointsLimit: null, army: null, units: [] }
+  let category = null
+  let allied = false
+  let current = null
+  let currentBulleted = false
+  let first = true
+
+  for (const raw of (text || '').split(/\r?\n/)) {
+    // BBCode headings are underlined (categories) or sized (the title)
+    const bbHeading = /^\[(?:u|size)[=\]]/i.test(raw.trim())
+    let line = raw.replace(BBCODE_TAG, '').replace(/\*\*|__/g, '').trim()
+    if (!line || /^[=\-_~]{3,}$/.test(line)) continue
+    const bulleted = /^(?:\[\*\]|[-*•+](?!\+))\s*/.test(line)
+    // Markdown italics around markers: "*(General)*"
+    line = line.replace(/^(?:\[\*\]|[-*•+](?!\+))\s*/, '').replace(/\*(?=\()|(?<=\))\*/g, '').trim()
+
+    const heading = line.match(/^#+\s*(.+)$/) || (bbHeading && [null, line])
+    const cat = line.match(CATEGORY_LINE) || (heading && !first ? [null, heading[1].replace(/\s*\[[^\]]*\]\s*$/, '')] : null)
+    if (cat) {
+      category = cat[1].trim()
+      allied = /^allies\b/i.test(category)
+      current = null
+      first = false
+      continue
+    }
+
+    const unit = line.replace(/^#+\s*/, '').match(UNIT_LINE)
+    const isDetail = bulleted && current && !currentBulleted
+    if (unit && !isDetail) {
+      if (first) {
+        result.name = unit[1].trim()
+        result.pointsLimit = Number(unit[2])
+        first = false
+        continue
+      }
+      const details = [...splitDetails(unit[3]), ...splitDetails(unit[4])]
+      current = {
+        ...countAndName(unit[1]),
+        id: null,
+        category,
+        options: [],
+        items: [],
+        lore: null,
+        allied,
+        pts: Number(unit[2]),
+      }
+      details.forEach((d) => current.options.push(d))
+      currentBulleted = bulleted
+      result.units.push(current)
+    } else if (current && (isDetail || !unit)) {
+      // "- Ogre Blade [65 pts]" detail lines may carry their own cost
+      splitDetails(line.replace(/\s*\[\d+\s*(?:pts?|points)?\.?\]\s*$/i, '')).forEach((d) => current.options.push(d))
+    }
+    first = false
+  }
+  return result
+}
+
+/**
+ * Parse a file or pasted text: JSON is read as Old World Builder, XML as a BattleScribe roster,
+ * anything else as a text list.
+ */
+export function parseListText(text) {
+  const trimmed = (text || '').trim()
+  if (trimmed.startsWith('{')) return parseOwbJson(trimmed)
+  if (trimmed.startsWith('<')) return parseRosterXml(trimmed)
+  const parsed = parseTextList(trimmed)
+  if (!parsed.units.length) throw new Error('No units found — expected lines like "10 Glade Guard [120 pts]"')
+  return parsed
+}
+
+// ── Matching ──
+
+/**
+ * Our unit for an imported one: BattleScribe catalogue ids (`bsdataId`), exact id, Old World
+ * Builder id without its ".xyz" instance suffix, a dataset id (`wood-elf-realms_glade-guard`),
+ * then name (singular/plural tolerant).
+ */
+export function findImportedUnit(imported, allUnits, army = null) {
+  if (imported.bsdataIds?.length) {
+    const byCatalogue = allUnits.find((u) => u.bsdataId && imported.bsdataIds.includes(u.bsdataId))
+    if (byCatalogue) return byCatalogue
+  }
+  if (imported.id) {
+    const exact = allUnits.find((u) => u.id === imported.id)
+    if (exact) return exact
+    const base = imported.id.split('.')[0]
+    const byBase = allUnits.find((u) => u.id === base)
+      || (army && allUnits.find((u) => u.id === `${army}_${base}`))
+      || allUnits.find((u) => u.fromDataset && u.id.endsWith(`_${base}`))
+    if (byBase) return byBase
+  }
+  const name = normName(imported.name)
+  return allUnits.find((u) => normName(u.name) === name)
+    || allUnits.find((u) => singular(normName(u.name)) === singular(name))
+    || null
+}
+
+function findItem(itemsCatalog, name) {
+  const n = normName(name)
+  for (const slot of MAGIC_SLOTS) {
+    const item = (itemsCatalog?.[slot] || []).find((i) => normName(i.name) === n)
+    if (item) return { slot, item }
+  }
+  return null
+}
+
+/**
+ * Resolve a parsed list into entries for one faction.
+ * options: { allUnits, itemsCatalog, arrows (enchanted arrow options), newEntryId }
+ * Returns { entries, generalEntryId, bsbEntryId, report: [{ name, unitName, issues }] };
+ * entries have no ptsCost yet — the caller prices them with its own cost rules.
+ */
+export function matchImportedList(parsed, { allUnits = [], itemsCatalog = {}, arrows = [], newEntryId }) {
+  const entries = []
+  const report = []
+  const joins = []
+  let generalEntryId = null
+  let bsbEntryId = null
+
+  parsed.units.forEach((imported, index) => {
+    const unitDef = findImportedUnit(imported, allUnits, parsed.army)
+    if (!unitDef) {
+      report.push({ name: imported.name, unitName: null, issues: ['No matching unit in this faction'] })
+      return
+    }
+    const issues = []
+    const upgrades = unitDef.upgrades || []
+    const wizard = getWizardData(unitDef)
+    const equipment = (unitDef.equipment || []).map(normName)
+    let lore = imported.lore
+    const entry = {
+      entryId: newEntryId(index),
+      unitId: unitDef.id,
+      unitName: unitDef.name,
+      modelCount: unitDef.isCharacter ? 1 : Math.max(imported.modelCount || 1, 1),
+      isCharacter: unitDef.isCharacter || false,
+      category: unitDef.category,
+      activeUpgrades: [],
+      commandMagicItems: {},
+      assignedTraits: [],
+      magicItems: unitDef.isCharacter ? {} : null,
+      relicForm: unitDef.relic ? 'basic' : null,
+      arrows: null,
+      notes: '',
+    }
+
+    const addItem = ({ name, holder }) => {
+      const found = findItem(itemsCatalog, name)
+      if (!found) return false
+      if (holder) {
+        const up = upgrades.find((u) => u.magic && normName(u.name) === normName(holder))
+        if (!up) return false
+        if (!entry.activeUpgrades.includes(up.id)) entry.activeUpgrades.push(up.id)
+        entry.commandMagicItems[up.id] = { ...(entry.commandMagicItems[up.id] || {}), [found.slot]: found.item }
+        return true
+      }
+      if (!entry.magicItems) {
+        issues.push(`${name}: ${unitDef.name} can't carry magic items`)
+        return true
+      }
+      if (entry.magicItems[found.slot]) issues.push(`${name}: ${found.slot} slot already holds ${entry.magicItems[found.slot].name}`)
+      else entry.magicItems[found.slot] = found.item
+      return true
+    }
+
+    for (const detail of imported.options) {
+      const n = normName(detail)
+      if (MARKERS.test(detail.trim())) {
+        if (/general/i.test(detail)) generalEntryId = entry.entryId
+        else bsbEntryId = entry.entryId
+        continue
+      }
+      const ids = imported.optionIds?.[detail] || []
+      const upgrade = upgrades.find((u) => u.bsdataId && ids.includes(u.bsdataId)) || upgrades.find((u) => normName(u.name) === n)
+      if (upgrade) {
+        if (!entry.activeUpgrades.includes(upgrade.id)) entry.activeUpgrades.push(upgrade.id)
+        continue
+      }
+      const level = detail.match(/level\s*(\d)\s*wizard|wizard\s*level\s*(\d)/i)
+      if (level && wizard) {
+        const lvl = Number(level[1] || level[2])
+        const levelUpgrade = wizard.fromUpgrades && upgrades.find((u) => upgradeWizardLevel(u) === lvl)
+        if (levelUpgrade) entry.activeUpgrades.push(levelUpgrade.id)
+        else if (!wizard.fromUpgrades && wizard.levels.some((l) => l.level === lvl)) entry.wizardLevel = lvl
+        else if (lvl !== wizard.level) issues.push(`${detail}: no such wizard level option`)
+        const named = detail.match(/\((.+)\)/)
+        if (named) lore = named[1]
+        continue
+      }
+      if (wizard && wizard.lores.includes(toLoreId(detail))) {
+        lore = detail
+        continue
+      }
+      const arrow = arrows.find((a) => normName(a.name) === n)
+      if (arrow) {
+        entry.arrows = arrow
+        continue
+      }
+      const relic = detail.match(/^(.+?)\s*\((basic|upgraded)(?: form)?\)$/i)
+      if (relic && unitDef.relic && normName(relic[1]) === normName(unitDef.relic.name)) {
+        entry.relicForm = relic[2].toLowerCase()
+        continue
+      }
+      const join = detail.match(/^joins?\s+(.+)$/i)
+      if (join) {
+        joins.push({ entry, host: join[1] })
+        continue
+      }
+      const held = detailItem(detail)
+      if (addItem(held)) continue
+      // An option of an option ("Barding (Elven Steed)")
+      const nested = held.holder && upgrades.find((u) => normName(u.name) === normName(held.name))
+      if (nested) {
+        if (!entry.activeUpgrades.includes(nested.id)) entry.activeUpgrades.push(nested.id)
+        continue
+      }
+      // Default wargear needs no option; anything else is reported
+      if (equipment.includes(n) || equipment.some((e) => singular(e) === singular(n))) continue
+      issues.push(`Not found: ${detail}`)
+    }
+    for (const item of imported.items) {
+      if (!addItem(item)) issues.push(`Magic item not found: ${item.name}${item.holder ? ` (${item.holder})` : ''}`)
+    }
+    if (lore && wizard) {
+      const loreId = toLoreId(lore)
+      if (wizard.lores.includes(loreId)) entry.lore = loreId
+      else issues.push(`Lore not available: ${lore}`)
+    }
+    if (imported.allied) issues.push('Allied unit imported into the main list')
+
+    entries.push(entry)
+    if (issues.length || normName(imported.name) !== normName(unitDef.name)) {
+      report.push({ name: imported.name, unitName: unitDef.name, issues })
+    }
+  })
+
+  for (const { entry, host } of joins) {
+    const target = entries.find((e) => !e.isCharacter && normName(e.unitName) === normName(countAndName(host).name))
+    if (target) entry.joinedTo = target.entryId
+  }
+
+  return { entries, generalEntryId, bsbEntryId, report }
+}
@@ -0,0 +1,294 @@
+/**
+ * Army list sync across devices through Supabase: one `army_lists` row per list, owner-only RLS,
+ * realtime updates.
+ *
+ * localStorage (tow-campaign-army-lists) stays the working copy. Saves queue the ids of changed
+ * lists (tow-campaign-list-sync-queue); each is pushed as it is at that moment when signed in and online.
+ * Every row carries a version; a push only succeeds against the version this device last saw
+ * (tow-campaign-list-sync-base), so an edit from another device is never overwritten blindly. It is
+ * merged entry by entry with the local edit instead, and only an entry or field changed differently
+ * on both sides becomes a conflict for the player to settle.
+ */
+
+import { supabase, isSupabaseEnabled } from './supabase'
+
+const QUEUE_KEY = 'tow-campaign-list-sync-queue' // { [listId]: queuedAt }
+const BASE_KEY = 'tow-campaign-list-sync-base' // { [listId]: { version, data } } last server copy seen
+const STATE_KEY = 'tow-campaign-list-sync-state'
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || '{}')
+  } catch {
+    return {}
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (e) {
+    console.warn(`${key} not saved:`, e)
+  }
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+function setBase(listId, base) {
+  writeJson(BASE_KEY, { ...readJson(BASE_KEY), [listId]: base })
+}
+
+function dequeue(listId, queuedAt) {
+  const queue = readJson(QUEUE_KEY)
+  if (queuedAt && queue[listId] !== queuedAt) return // queued again since
+  delete queue[listId]
+  writeJson(QUEUE_KEY, queue)
+}
+
+/** Ids of lists with changes waiting to be pushed. */
+export function pendingListIds() {
+  return Object.keys(readJson(QUEUE_KEY))
+}
+
+/** Queue every list that differs between two armyLists maps (deleted lists included). */
+export function queueListChanges(prev, next) {
+  if (!isSupabaseEnabled()) return
+  const queue = readJson(QUEUE_KEY)
+  const queuedAt = new Date().toISOString()
+  let changed = false
+  for (const id of new Set([...Object.keys(prev || {}), ...Object.keys(next || {})])) {
+    if (!same(prev?.[id], next?.[id])) {
+      queue[id] = queuedAt
+      changed = true
+    }
+  }
+  if (changed) writeJson(QUEUE_KEY, queue)
+}
+
+/** The account the locally stored lists were last synced with, or null. */
+export function localListsOwner() {
+  return readJson(STATE_KEY).userId || null
+}
+
+/**
+ * First sign-in on this device: queue every local list so it reaches the account. Lists another
+ * account left behind are never queued, and that account's queue and server versions are dropped:
+ * the caller settles the local lists first (localListsOwner, resetListSync).
+ */
+export function seedListQueueForUser(userId, lists) {
+  const owner = localListsOwner()
+  if (owner === userId) return
+  if (owner) {
+    writeJson(QUEUE_KEY, {})
+    writeJson(BASE_KEY, {})
+  } else {
+    queueListChanges({}, lists)
+  }
+  writeJson(STATE_KEY, { userId, seededAt: new Date().toISOString() })
+}
+
+/** Forget which account the local lists belong to, with its queue and server versions (sign-out, account switch). */
+export function resetListSync() {
+  try {
+    localStorage.removeItem(STATE_KEY)
+    localStorage.removeItem(QUEUE_KEY)
+    localStorage.removeItem(BASE_KEY)
+  } catch { /* nothing stored */ }
+}
+
+// ── Merge ──
+
+const FIELD_LABELS = {
+  name: 'List name',
+  pointsLimit: 'Points limit',
+  notes: 'Notes',
+  traits: 'Traits',
+  generalEntryId: 'General',
+  bsbEntryId: 'Battle Standard Bearer',
+  allies: 'Allied contingent',
+}
+
+const entryLabel = (e) => (e.modelCount > 1 ? `${e.modelCount} ${e.unitName}` : e.unitName)
+
+// Three-way merge of arrays of records by id; the local order is kept and remote additions follow
+function mergeById(base = [], local = [], remote = [], idKey, kind, label, conflicts) {
+  const byId = (arr) => new Map(arr.map((x) => [x[idKey], x]))
+  const b = byId(base)
+  const l = byId(local)
+  const r = byId(remote)
+  const ids = [...new Set([...local.map((x) => x[idKey]), ...remote.map((x) => x[idKey])])]
+  const out = []
+  for (const id of ids) {
+    const [bv, lv, rv] = [b.get(id), l.get(id), r.get(id)]
+    let value
+    if (same(lv, rv) || same(bv, rv)) value = lv
+    else if (same(bv, lv)) value = rv
+    else {
+      value = lv
+      conflicts.push({ kind, key: id, label: label(lv || rv), local: lv ?? null, remote: rv ?? null })
+    }
+    if (value !== undefined) out.push(value)
+  }
+  return out
+}
+
+/**
+ * Three-way merge of one list: base is the last server copy this device saw (null if none).
+ * Entries and saved versions merge by id, every other field as a whole. Where both sides changed
+ * the same thing the local value is kept in `merged` and the pair is reported as a conflict.
+ * @returns {{ merged: object, conflicts: Array<{ kind: 'entry'|'version'|'field', key, label, local, remote }> }}
+ */
+export function mergeLists(base, local, remote) {
+  const conflicts = []
+  const merged = { ...local }
+  merged.entries = mergeById(base?.entries, local.entries, remote.entries, 'entryId', 'entry', entryLabel, conflicts)
+  merged.versions = mergeById(base?.versions, local.versions, remote.versions, 'id', 'version', (v) => `Version "${v.name}"`, conflicts)
+  if (!local.versions && !remote.versions) delete merged.versions
+
+  for (const field of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    if (field === 'entries' || field === 'versions') continue
+    const [bv, lv, rv] = [base?.[field], local[field], remote[field]]
+    if (same(lv, rv) || same(bv, rv)) continue
+    if (same(bv, lv)) {
+      if (rv === undefined) delete merged[field]
+      else merged[field] = rv
+    } else {
+      conflicts.push({ kind: 'field', key: field, label: FIELD_LABELS[field] || field, local: lv ?? null, remote: rv ?? null })
+    }
+  }
+  return { merged, conflicts }
+}
+
+/** Apply the player's choices ('local' | 'remote' per conflict, by index) to a merged list. */
+export function resolveConflicts(merged, conflicts, choices) {
+  const out = { ...merged, entries: [...(merged.entries || [])] }
+  if (merged.versions) out.versions = [...merged.versions]
+  conflicts.forEach((c, i) => {
+    if (choices[i] !== 'remote') return
+    if (c.kind === 'field') {
+      out[c.key] = c.remote
+      return
+    }
+    const [arr, idKey] = c.kind === 'entry' ? [out.entries, 'entryId'] : [(out.versions = out.versions || []), 'id']
+    const idx = arr.findIndex((x) => x[idKey] === c.key)
+    if (c.remote && idx >= 0) arr[idx] = c.remote
+    else if (c.remote) arr.push(c.remote)
+    else if (idx >= 0) arr.splice(idx, 1)
+  })
+  return out
+}
+
+/**
+ * Bring one server row into the local lists. Returns what to do with the local copy:
+ * - none: nothing new (our own write coming back, or older than what we've seen)
+ * - replace: take `list` (null = the list was deleted elsewhere)
+ * - merge: take the merged `list`; it stays queued so the merge is pushed
+ * - conflict: as merge, plus `conflicts` for the player
+ * - keep: keep the local copy as it is
+ * A list deleted on one device and edited on another is kept: the edit wins.
+ */
+export function reconcileRow(row, local, pending) {
+  const base = readJson(BASE_KEY)[row.id]
+  if (base && row.version <= base.version) return { action: 'none' }
+  const remote = row.deleted ? null : row.data
+  setBase(row.id, { version: row.version, data: remote })
+
+  if (!pending) return same(local || null, remote) ? { action: 'none' } : { action: 'replace', list: remote }
+  if (!remote) return { action: 'keep' }
+  if (!local || same(local, remote)) {
+    // Deleted here but edited elsewhere (the edit wins), or our own write echoed back before its push returned
+    dequeue(row.id)
+    return local ? { action: 'none' } : { action: 'replace', list: remote }
+  }
+  const { merged, conflicts } = mergeLists(base?.data || null, local, remote)
+  if (conflicts.length) return { action: 'conflict', list: merged, conflicts }
+  return same(merged, local) ? { action: 'none' } : { action: 'merge', list: merged }
+}
+
+// ── Supabase ──
+
+const ROW_FIELDS = 'id, data, version, deleted'
+
+/** Every list row the signed-in player owns (RLS). */
+export async function pullLists() {
+  const { data, error } = await supabase.from('army_lists').select(ROW_FIELDS)
+  if (error) throw new Error(error.message)
+  return data
+}
+
+// Write one list (null = deleted) on top of the version we last saw; null result means the row moved on
+async function pushList(userId, id, list) {
+  const base = readJson(BASE_KEY)[id]
+  const updated_at = new Date().toISOString()
+  if (!base) {
+    if (!list) return { row: null } // never reached the server
+    const { data, error } = await supabase.from('army_lists')
+      .insert({ owner: userId, id, data: list, version: 1, deleted: false, updated_at })
+      .select(ROW_FIELDS)
+    if (error?.code === '23505') return { stale: true } // created on another device meanwhile
+    if (error) throw new Error(error.message)
+    return { row: data[0] }
+  }
+  const change = list ? { data: list, deleted: false } : { deleted: true }
+  const { data, error } = await supabase.from('army_lists')
+    .update({ ...change, version: base.version + 1, updated_at })
+    .eq('owner', userId).eq('id', id).eq('version', base.version)
+    .select(ROW_FIELDS)
+  if (error) throw new Error(error.message)
+  return data.length ? { row: data[0] } : { stale: true }
+}
+
+async function fetchRow(id) {
+  const { data, error } = await supabase.from('army_lists').select(ROW_FIELDS).eq('id', id).maybeSingle()
+  if (error) throw new Error(error.message)
+  return data
+}
+
+let flushing = null
+
+/**
+ * Push every queued list except `held` ones (unsettled conflicts), reading each from getLists() at
+ * push time. Lists that moved on elsewhere come back in `stale` as fresh server rows to reconcile.
+ * @returns {Promise<{ pushed: number, stale: object[], pending: number, error: string | null }>}
+ */
+export function flushLists(userId, getLists, held = []) {
+  if (!flushing) {
+    flushing = pushQueued(userId, getLists, held).finally(() => { flushing = null })
+  }
+  return flushing
+}
+
+async function pushQueued(userId, getLists, held) {
+  const result = { pushed: 0, stale: [], pending: pendingListIds().length, error: null }
+  if (!isSupabaseEnabled() || !userId) return result
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return { ...result, error: 'offline' }
+  try {
+    for (const [id, queuedAt] of Object.entries(readJson(QUEUE_KEY))) {
+      if (held.includes(id)) continue
+      const list = getLists()[id] || null
+      const { row, stale } = await pushList(userId, id, list)
+      if (stale) {
+        const latest = await fetchRow(id)
+        if (latest) result.stale.push(latest)
+        continue
+      }
+      if (row) setBase(id, { version: row.version, data: row.deleted ? null : row.data })
+      dequeue(id, queuedAt)
+      result.pushed++
+    }
+  } catch (e) {
+    result.error = e.message
+  }
+  return { ...result, pending: pendingListIds().length }
+}
+
+/** Realtime: call onRow with each of the player's list rows as other devices write them. Returns unsubscribe. */
+export function subscribeLists(userId, onRow) {
+  const channel = supabase
+    .channel(`army-lists-${userId}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'army_lists', filter: `owner=eq.${userId}` }, (payload) => {
+      if (payload.new?.id) onRow(payload.new)
+    })
+    .subscribe()
+  return () => supabase.removeChannel(channel)
+}
@@ -0,0 +1,60 @@
+/**
+ * Trash for deleted army lists. A deleted list is kept in localStorage with its deletion time
+ * and can be restored for TRASH_DAYS days; older entries are dropped whenever the trash is read.
+ */
+
+const TRASH_KEY = 'tow-campaign-army-lists-trash'
+export const TRASH_DAYS = 30
+const TRASH_MS = TRASH_DAYS * 24 * 60 * 60 * 1000
+
+function writeTrash(trash) {
+  try {
+    localStorage.setItem(TRASH_KEY, JSON.stringify(trash))
+  } catch (e) {
+    console.warn('[Trash] Save failed:', e)
+  }
+}
+
+/** Trashed lists as { [listId]: { list, deletedAt } }, with expired entries purged. */
+export function readTrash() {
+  let trash = {}
+  try {
+    trash = JSON.parse(localStorage.getItem(TRASH_KEY) || '{}') || {}
+  } catch {
+    return {}
+  }
+  const cutoff = Date.now() - TRASH_MS
+  const kept = Object.fromEntries(Object.entries(trash).filter(([, t]) => t?.list && t.deletedAt >= cutoff))
+  if (Object.keys(kept).length !== Object.keys(trash).length) writeTrash(kept)
+  return kept
+}
+
+export function moveToTrash(list) {
+  if (!list?.id) return
+  writeTrash({ ...readTrash(), [list.id]: { list, deletedAt: Date.now() } })
+}
+
+/** Remove lists from the trash (restored or deleted for good). */
+export function dropFromTrash(ids) {
+  const trash = readTrash()
+  const remove = [].concat(ids).filter((id) => trash[id])
+  if (!remove.length) return
+  for (const id of remove) delete trash[id]
+  writeTrash(trash)
+}
+
+/** Days left before a trashed list is purged. */
+export function daysLeft(deletedAt) {
+  return Math.max(0, Math.ceil((deletedAt + TRASH_MS - Date.now()) / (24 * 60 * 60 * 1000)))
+}
+
+/**
+ * Keep the trash in step when undo/redo swaps the whole set of lists: lists that disappear go to
+ * the trash, lists that come back leave it.
+ */
+export function reconcileTrash(before, after) {
+  for (const [id, list] of Object.entries(before || {})) {
+    if (!after?.[id]) moveToTrash(list)
+  }
+  dropFromTrash(Object.keys(after || {}))
+}
@@ -0,0 +1,158 @@
+/**
+ * Lore from the Google Drive custom data (`lore` file): a map of unit or faction IDs to
+ * markdown or HTML. Everything is rendered through an allowlist sanitiser before it reaches
+ * the DOM, so a shared Drive file can never inject scripts, styles or event handlers.
+ */
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 's', 'code', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'a', 'img', 'span', 'div', 'small',
+])
+// Dropped with their content; anything else not allowed is unwrapped (children kept).
+const DROP_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'form', 'head', 'title'])
+const SAFE_URL = /^(https?:|mailto:)/i
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function looksLikeHtml(text) {
+  return /^\s*<([a-z][a-z0-9]*)[\s>/]/i.test(text)
+}
+
+function safeUrl(url) {
+  const trimmed = (url || '').trim()
+  return SAFE_URL.test(trimmed) ? trimmed : null
+}
+
+function inlineMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img alt="$1" src="$2">')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/\*([^*]+)\*|\b_([^_]+)_\b/g, (_, a, b) => `<em>${a || b}</em>`)
+}
+
+/** Minimal block markdown: headings, lists, blockquotes, rules and paragraphs. Raw HTML is escaped. */
+function markdownToHtml(text) {
+  const out = []
+  let para = []
+  let list = null
+  const flushPara = () => {
+    if (para.length) out.push(`<p>${para.map(inlineMarkdown).join('<br>')}</p>`)
+    para = []
+  }
+  const flushList = () => {
+    if (list) out.push(`<${list.tag}>${list.items.map((i) => `<li>${inlineMarkdown(i)}</li>`).join('')}</${list.tag}>`)
+    list = null
+  }
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = line.match(/^(#{1,4})\s+(.*)$/)
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/)
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/)
+    const quote = line.match(/^>\s?(.*)$/)
+    if (!line.trim()) {
+      flushPara()
+      flushList()
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushPara()
+      flushList()
+      out.push('<hr>')
+    } else if (heading) {
+      flushPara()
+      flushList()
+      const level = heading[1].length
+      out.push(`<h${level}>${inlineMarkdown(heading[2])}</h${level}>`)
+    } else if (bullet || numbered) {
+      flushPara()
+      const tag = bullet ? 'ul' : 'ol'
+      if (list?.tag !== tag) flushList()
+      if (!list) list = { tag, items: [] }
+      list.items.push((bullet || numbered)[1])
+    } else if (quote) {
+      flushPara()
+      flushList()
+      out.push(`<blockquote>${inlineMarkdown(quote[1])}</blockquote>`)
+    } else {
+      flushList()
+      para.push(line.trim())
+    }
+  }
+  flushPara()
+  flushList()
+  return out.join('\n').replace(/<\/blockquote>\n<blockquote>/g, '<br>')
+}
+
+function cleanNode(node, doc) {
+  const frag = doc.createDocumentFragment()
+  for (const child of [...node.childNodes]) {
+    if (child.nodeType === 3) {
+      frag.appendChild(doc.createTextNode(child.textContent))
+      continue
+    }
+    if (child.nodeType !== 1) continue
+    const tag = child.tagName.toLowerCase()
+    if (DROP_TAGS.has(tag)) continue
+    if (!ALLOWED_TAGS.has(tag)) {
+      frag.appendChild(cleanNode(child, doc))
+      continue
+    }
+    const el = doc.createElement(tag)
+    if (tag === 'a') {
+      const href = safeUrl(child.getAttribute('href'))
+      if (href) {
+        el.setAttribute('href', href)
+        el.setAttribute('target', '_blank')
+        el.setAttribute('rel', 'noopener noreferrer')
+      }
+    }
+    if (tag === 'img') {
+      const src = safeUrl(child.getAttribute('src'))
+      if (!src || src.startsWith('mailto:')) continue
+      el.setAttribute('src', src)
+      el.setAttribute('alt', child.getAttribute('alt') || '')
+      el.setAttribute('loading', 'lazy')
+    }
+    if (child.getAttribute('title')) el.setAttribute('title', child.getAttribute('title'))
+    el.appendChild(cleanNode(child, doc))
+    frag.appendChild(el)
+  }
+  return frag
+}
+
+/** Strip everything outside the allowlist: unknown tags are unwrapped, all attributes except safe href/src/alt/title dropped. */
+export function sanitizeHtml(html) {
+  if (typeof DOMParser === 'undefined') return escapeHtml(html)
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html')
+  const out = doc.createElement('div')
+  out.appendChild(cleanNode(doc.body, doc))
+  return out.innerHTML
+}
+
+/** Render one lore value (markdown or HTML) to sanitised HTML. */
+export function renderLore(text) {
+  if (typeof text !== 'string' || !text.trim()) return ''
+  return sanitizeHtml(looksLikeHtml(text) ? text : markdownToHtml(text))
+}
+
+/** Lore text for a unit or faction id, or null. */
+export function findLore(lore, id) {
+  const text = lore && id ? lore[id] : null
+  return typeof text === 'string' && text.trim() ? text : null
+}
+
+/**
+ * Lore keys that match no faction and no unit in any faction.
+ * unitsByFaction is a { factionKey: Unit[] } map (base and custom units may be passed separately).
+ */
+export function findUnmatchedLoreKeys(lore, factions, ...unitsByFaction) {
+  const known = new Set(Object.keys(factions || {}))
+  for (const map of unitsByFaction) {
+    for (const list of Object.values(map || {})) {
+      for (const u of list || []) known.add(u.id)
+    }
+  }
+  return Object.keys(lore || {}).filter((key) => !known.has(key)).sort()
+}
@@ -0,0 +1,139 @@
+/**
+ * Wizards, lores and spells.
+ *
+ * Units describe their magic with a structured `wizard` field:
+ *   { "level": 1, "levels": [{ "level": 2, "pts": 35 }], "lores": ["battle-magic", "elementalism"] }
+ * `level` is the base level (0 = only a wizard once upgraded). Each `levels` option costs `pts`
+ * in total to go from the base level to that level. Units without the field (catalogue, dataset
+ * or custom units) are read from their rules text, "Wizard Level N" upgrades and lore upgrades.
+ *
+ * Spells live in public/data/spells.json: { lores: { [loreId]: { name, spells: [...] } } }.
+ */
+
+const LEVEL_IN_TEXT = /(?:level|lvl)\s*(\d)\s*wizard|wizard\s*(?:level|lvl)\s*(\d)/i
+const LEVEL_UPGRADE = /^wizard\s*(?:level|lvl)\s*(\d)$|^level\s*(\d)\s*wizard$/i
+
+/** Lore id from a lore name: "Lore of the Wilds" → "lore-of-the-wilds". */
+export function toLoreId(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+}
+
+/** Wizard level granted by an upgrade name ("Wizard Level 3"), or null. */
+export function upgradeWizardLevel(upgrade) {
+  const m = (upgrade?.name || '').trim().match(LEVEL_UPGRADE)
+  return m ? Number(m[1] || m[2]) : null
+}
+
+/**
+ * Normalised wizard data for a unit, or null when it has no magic.
+ * `fromUpgrades` marks units whose level options are still ordinary upgrades.
+ */
+export function getWizardData(unitDef) {
+  if (!unitDef) return null
+  if (unitDef.wizard) {
+    const w = unitDef.wizard
+    return {
+      level: w.level ?? 0,
+      levels: [...(w.levels || [])].sort((a, b) => a.level - b.level),
+      lores: w.lores || [],
+      fromUpgrades: false,
+    }
+  }
+  const rules = unitDef.specialRules || []
+  const text = [...rules, unitDef.notes || ''].join(' ')
+  const m = text.match(LEVEL_IN_TEXT)
+  const upgrades = unitDef.upgrades || []
+  const loreUpgrades = upgrades.filter((u) => u.type === 'lore')
+  const hasLevelUpgrade = upgrades.some((u) => upgradeWizardLevel(u) != null)
+  // "Lore of the Lady" style rules name the lore without a level
+  const loreRules = rules.filter((r) => /^lore of /i.test(r.trim())).map((r) => toLoreId(r))
+  if (!m && !loreUpgrades.length && !hasLevelUpgrade && !loreRules.length) return null
+  return {
+    level: m ? Number(m[1] || m[2]) : hasLevelUpgrade ? 0 : null,
+    levels: [],
+    lores: [...new Set([...loreUpgrades.map((u) => toLoreId(u.name)), ...loreRules])],
+    fromUpgrades: true,
+  }
+}
+
+/** Current wizard level of a list entry (0 = not a wizard, null = wizard of unknown level). */
+export function getEntryWizardLevel(entry, unitDef) {
+  const wizard = getWizardData(unitDef)
+  if (!wizard) return 0
+  if (!wizard.fromUpgrades) {
+    const chosen = wizard.levels.find((l) => l.level === entry?.wizardLevel)
+    return chosen ? chosen.level : wizard.level
+  }
+  const active = new Set(entry?.activeUpgrades || [])
+  const upgraded = (unitDef.upgrades || [])
+    .filter((u) => active.has(u.id))
+    .map(upgradeWizardLevel)
+    .filter((l) => l != null)
+  return upgraded.length ? Math.max(wizard.level || 0, ...upgraded) : wizard.level
+}
+
+/** Points for the entry's chosen level option (structured wizard data only). */
+export function getWizardLevelCost(entry, unitDef) {
+  const wizard = getWizardData(unitDef)
+  if (!wizard || wizard.fromUpgrades) return 0
+  return wizard.levels.find((l) => l.level === entry?.wizardLevel)?.pts || 0
+}
+
+/** The entry's lore id: its own choice, a legacy lore upgrade, or the only lore on offer. */
+export function getEntryLore(entry, unitDef) {
+  const wizard = getWizardData(unitDef)
+  if (!wizard) return null
+  if (entry?.lore && wizard.lores.includes(entry.lore)) return entry.lore
+  const active = new Set(entry?.activeUpgrades || [])
+  const legacy = (unitDef.upgrades || []).find((u) => u.type === 'lore' && active.has(u.id))
+  if (legacy) return toLoreId(legacy.name)
+  return wizard.lores.length === 1 ? wizard.lores[0] : null
+}
+
+/** Merge Drive custom lores over the base dataset (whole lores are replaced by id). */
+export function mergeSpells(base, custom) {
+  return { ...(base?.lores || base || {}), ...(custom?.lores || custom || {}) }
+}
+
+/** Display name for a lore id, falling back to title case. */
+export function loreName(spells, loreId) {
+  if (spells?.[loreId]?.name) return spells[loreId].name
+  return (loreId || '').split('-').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')
+}
+
+const LEGACY_LEVEL_ID = /wiz(?:ard)?_?(?:lvl)?(\d)$/
+const LEGACY_LORE_ID = /(^|_)lore_/
+
+/**
+ * Entries saved before a unit got structured wizard data still carry its old "Wizard Level N"
+ * and lore upgrade ids. Returns the entry with those turned into wizardLevel / lore, or null
+ * when there is nothing to migrate. The caller recomputes ptsCost.
+ */
+export function migrateWizardEntry(entry, unitDef) {
+  const wizard = getWizardData(unitDef)
+  if (!wizard || wizard.fromUpgrades || !entry?.activeUpgrades?.length) return null
+  // Only legacy level and lore ids go; other unknown ids (a renamed option) are left alone
+  const known = new Set((unitDef.upgrades || []).map((u) => u.id))
+  const isLegacy = (id) => !known.has(id) && (LEGACY_LEVEL_ID.test(id) || LEGACY_LORE_ID.test(id))
+  const stale = entry.activeUpgrades.filter(isLegacy)
+  if (!stale.length) return null
+  const changes = { activeUpgrades: entry.activeUpgrades.filter((id) => !isLegacy(id)) }
+  for (const id of stale) {
+    // Several level upgrades may be active ("Level 1" and "Level 2"); the highest offered one wins
+    const level = id.match(LEGACY_LEVEL_ID)
+    const n = level ? Number(level[1]) : null
+    if (n && wizard.levels.some((l) => l.level === n) && !(changes.wizardLevel > n)) changes.wizardLevel = n
+    if (LEGACY_LORE_ID.test(id) && !entry.lore) {
+      // lore_dug_battle_magic → battle-magic, sott_lore_high → high-magic, lore_ta_athel_cythrel → lore-of-athel-cythrel
+      const lore = wizard.lores.find((l) => id.includes(l.replace(/^lore-of-(the-)?|-magic$/g, '').replace(/-/g, '_')))
+      if (lore) changes.lore = lore
+    }
+  }
+  return { ...entry, ...changes }
+}
@@ -0,0 +1,203 @@
+/**
+ * Magic item access and legality: which slots a character may fill, their points allowances,
+ * and the army-wide pass (validateMagicItems) that checks uniqueness, slots and budgets together.
+ */
+
+import { getWizardData, getEntryWizardLevel } from './magic'
+
+export const MAGIC_ITEM_SLOTS = ['weapons', 'armour', 'talismans', 'enchanted', 'arcane', 'banners']
+export const MAGIC_SLOT_LABELS = { weapons: '⚔️ Weapon', armour: '🛡 Armour', talismans: '✦ Talisman', enchanted: '✨ Enchanted', arcane: '🔮 Arcane', banners: '🚩 Banner' }
+
+// ── Named character magic item budgets ──────────────────────────
+// Add new named characters here; budget 0 = relic only.
+const NAMED_CHAR_BUDGETS = {
+  'gareth':      100, // Glade Lord → Lord tier
+  'daedilae':    100, // High Priestess of Kul Anar → Lord tier
+  'caerwynne':   100, // High Priestess (Shadow Dancer) → Lord tier
+  'rephal':       50, // Khainite Assassin → Hero tier
+  'dûgalathir':    0, // Watcher of the Void — relic only
+  'dugalathir':    0, // ASCII fallback
+  'elenornath':    0, // Watcher of the Stars — relic only
+}
+
+function getNamedCharBudget(unitDef) {
+  const nameLower = (unitDef.name || '').toLowerCase()
+  for (const [key, budget] of Object.entries(NAMED_CHAR_BUDGETS)) {
+    if (nameLower.startsWith(key)) return budget
+  }
+  return null // unknown — fall through to generic logic
+}
+
+// Determine which magic item slots a character can access.
+// Banners come only from the list's BSB designation (or an explicit allowedSlots).
+// With structured wizard data the arcane slot follows the entry's chosen wizard level.
+export function getAllowedSlots(unitDef, isBSB = false, entry = null) {
+  if (!unitDef?.isCharacter) return []
+  const withBanner = (slots) => (isBSB && !slots.includes('banners') ? [...slots, 'banners'] : slots)
+  if (unitDef.allowedSlots) return withBanner(unitDef.allowedSlots)
+  // Named characters with 0 budget → no slots (relic only)
+  if (unitDef.category === 'Named Characters' || unitDef.troopType?.includes('named')) {
+    const budget = getNamedCharBudget(unitDef)
+    if (budget === 0) return withBanner([])
+    // budget > 0: fall through to auto-detect
+  }
+  const slots = []
+  const notes = (unitDef.notes || '').toLowerCase()
+  const rules = (unitDef.specialRules || []).join(' ').toLowerCase()
+  const wizard = getWizardData(unitDef)
+  const isWizard = wizard && !wizard.fromUpgrades
+    ? getEntryWizardLevel(entry, unitDef) > 0
+    : rules.includes('wizard') || notes.includes('wizard') || notes.includes('lore')
+  const isTreeSpirit = rules.includes('tree spirit')
+  slots.push('weapons', 'talismans', 'enchanted')
+  if (!isWizard && !isTreeSpirit) slots.push('armour')
+  if (isWizard) slots.push('arcane')
+  return withBanner(slots)
+}
+
+// Magic item point limits
+export function getMagicItemBudget(unitDef) {
+  if (!unitDef?.isCharacter) return 0
+  if (unitDef.magicItemBudget != null) return unitDef.magicItemBudget
+  const match = unitDef.notes?.match(/Magic Items?\s*\((\d+)\s*pts?\)/i)
+  if (match) return parseInt(match[1])
+  if (unitDef.category === 'Named Characters' || unitDef.troopType?.includes('named')) {
+    const budget = getNamedCharBudget(unitDef)
+    return budget !== null ? budget : 50 // unknown named char → hero tier default
+  }
+  if (unitDef.category === 'Lords') return 100
+  if (unitDef.category === 'Heroes') return 50
+  return 0
+}
+
+// The BSB's magic standard has its own allowance on top of the character's budget.
+// Campaign default; a unit can set `bsbBannerBudget`.
+const BSB_BANNER_BUDGET = 100
+export function getBsbBannerBudget(unitDef) {
+  return unitDef?.bsbBannerBudget ?? BSB_BANNER_BUDGET
+}
+
+// Map a relic's type string to its magic item slot
+export function getRelicSlot(relic) {
+  if (!relic || relic.name === 'TBD') return null
+  if (relic.slot) return relic.slot
+  const type = (relic.type || '').toLowerCase()
+  if (/weapon|sword|axe|blade|lance|spear|dagger|bow/.test(type)) return 'weapons'
+  if (/armou?r|armor|shield|plate|helm/.test(type)) return 'armour'
+  if (/talisman|pendant|locket|charm|amulet/.test(type)) return 'talismans'
+  if (/enchanted/.test(type)) return 'enchanted'
+  if (/arcane|scroll|wand|staff|rod|orb/.test(type)) return 'arcane'
+  if (/banner|standard/.test(type)) return 'banners'
+  return 'enchanted'
+}
+
+export function calcMagicItemsCost(magicItems) {
+  if (!magicItems) return 0
+  return Object.values(magicItems).reduce((sum, item) => sum + (item?.pts || 0), 0)
+}
+
+// ── Army-wide magic item legality ───────────────────────────────
+// Magic items are unique: one of each per army unless flagged `common` (or "Extremely Common").
+// Single-use items and magic banners get their own wording so the conflict reads like the rulebook.
+const itemKey = (item) => (item?.name || '').trim().toLowerCase()
+const isCommonItem = (item) => !!item?.common || /extremely common/i.test(item?.description || '')
+const isSingleUseItem = (item) => !!item?.singleUse || /single use/i.test(item?.description || '')
+
+function duplicateMessage(item, slot, others) {
+  const names = others.join(', ')
+  if (isSingleUseItem(item)) return `${item.name} is single use — also taken by ${names}`
+  if (slot === 'banners') return `${item.name} is one per army — also carried by ${names}`
+  return `${item.name} is unique — also taken by ${names}`
+}
+
+/**
+ * List-level pass over every entry's magicItems and commandMagicItems.
+ * Checks duplicates across the army, per-slot access (allowed slots, relic slot, champion slots),
+ * character budgets (the BSB's banner counts against its own allowance) and champion `magic.maxPoints`.
+ *
+ * @returns {{ conflicts: Array<{ entryId, holder, slot, itemName, message }>, byEntry: Object, holders: Object }}
+ *   holder is null for the character's own items, or the upgrade id for command items.
+ *   holders maps item key → [{ entryId, holder, slot, label }] for the slot pickers.
+ */
+export function validateMagicItems(list, allUnits) {
+  const conflicts = []
+  const holders = {}
+  const add = (entry, holder, slot, item, message) =>
+    conflicts.push({ entryId: entry.entryId, holder, slot, itemName: item?.name || null, message })
+
+  for (const entry of list?.entries || []) {
+    const unitDef = allUnits.find((u) => u.id === entry.unitId)
+    const unitName = unitDef?.name || entry.unitName
+    const isBSB = entry.entryId === list.bsbEntryId
+
+    // Character's own items
+    const own = Object.entries(entry.magicItems || {}).filter(([, item]) => item)
+    if (own.length > 0) {
+      const allowed = getAllowedSlots(unitDef, isBSB, entry)
+      const relicSlot = entry.relicForm && unitDef?.relic ? getRelicSlot(unitDef.relic) : null
+      for (const [slot, item] of own) {
+        if (!holders[itemKey(item)]) holders[itemKey(item)] = []
+        holders[itemKey(item)].push({ entryId: entry.entryId, holder: null, slot, label: unitName })
+        if (!unitDef) continue // unit no longer in the data — only uniqueness can be checked
+        if (!allowed.includes(slot)) add(entry, null, slot, item, `${unitName} cannot take ${MAGIC_SLOT_LABELS[slot] || slot} items (${item.name})`)
+        else if (slot === relicSlot) add(entry, null, slot, item, `${item.name} uses the slot taken by ${unitDef.relic.name}`)
+      }
+      const budget = getMagicItemBudget(unitDef)
+      const banner = isBSB ? entry.magicItems.banners : null
+      const spent = calcMagicItemsCost(entry.magicItems) - (banner?.pts || 0)
+      if (unitDef && spent > budget) add(entry, null, null, null, `${unitName}: ${spent} pts of magic items, limit ${budget} pts`)
+      const bannerBudget = getBsbBannerBudget(unitDef)
+      if (unitDef && banner && banner.pts > bannerBudget) add(entry, null, 'banners', banner, `${banner.name} costs ${banner.pts} pts; the BSB's standard allowance is ${bannerBudget} pts`)
+    }
+
+    // Champion / standard bearer items
+    for (const [upgradeId, items] of Object.entries(entry.commandMagicItems || {})) {
+      const taken = Object.entries(items || {}).filter(([, item]) => item)
+      if (taken.length === 0) continue
+      const upDef = (unitDef?.upgrades || []).find((u) => u.id === upgradeId)
+      const label = `${unitName} (${upDef?.name || 'command'})`
+      for (const [slot, item] of taken) {
+        if (!holders[itemKey(item)]) holders[itemKey(item)] = []
+        holders[itemKey(item)].push({ entryId: entry.entryId, holder: upgradeId, slot, label })
+      }
+      if (!unitDef) continue
+      if (!upDef?.magic || !(entry.activeUpgrades || []).includes(upgradeId)) {
+        add(entry, upgradeId, null, null, `${label} carries magic items but no longer has that option`)
+        continue
+      }
+      for (const [slot, item] of taken) {
+        if (!(upDef.magic.slots || []).includes(slot)) add(entry, upgradeId, slot, item, `${upDef.name} cannot take ${MAGIC_SLOT_LABELS[slot] || slot} items (${item.name})`)
+      }
+      const spent = taken.reduce((s, [, item]) => s + (item.pts || 0), 0)
+      const max = upDef.magic.maxPoints || 0
+      if (spent > max) add(entry, upgradeId, null, null, `${label}: ${spent} pts of magic items, limit ${max} pts`)
+    }
+  }
+
+  // Uniqueness across the whole army
+  for (const holdersOfItem of Object.values(holders)) {
+    if (holdersOfItem.length < 2) continue
+    const first = holdersOfItem[0]
+    const entry = list.entries.find((e) => e.entryId === first.entryId)
+    const item = first.holder ? entry.commandMagicItems[first.holder][first.slot] : entry.magicItems[first.slot]
+    if (isCommonItem(item)) continue
+    for (const h of holdersOfItem) {
+      const others = holdersOfItem.filter((o) => o !== h).map((o) => o.label)
+      conflicts.push({ entryId: h.entryId, holder: h.holder, slot: h.slot, itemName: item.name, message: duplicateMessage(item, h.slot, others) })
+    }
+  }
+
+  const byEntry = {}
+  for (const c of conflicts) {
+    if (!byEntry[c.entryId]) byEntry[c.entryId] = []
+    byEntry[c.entryId].push(c)
+  }
+  return { conflicts, byEntry, holders }
+}
+
+// Who else already holds this item (null when free, common, or held only by this holder).
+export function itemTakenBy(legality, item, entryId, holder = null) {
+  if (!legality || isCommonItem(item)) return null
+  const others = (legality.holders[itemKey(item)] || []).filter((h) => h.entryId !== entryId || h.holder !== holder)
+  return others.length > 0 ? others.map((h) => h.label).join(', ') : null
+}
@@ -0,0 +1,144 @@
+/**
+ * Offline rules glossary lookups. The glossary is special-rules.json: { [slug]: { name, body, pageRef, sourceUrl } }.
+ * Campaign descriptions (SPECIAL_RULES_DESC in App.jsx) fill in rules the glossary doesn't have.
+ */
+
+/** Alternate spellings and abbreviations → tow.whfb.app slug. */
+export const RULE_ALIASES = {
+  'armor-bane': 'armour-bane',
+  'magic-attacks': 'magical-attacks',
+  'poison': 'poisoned-attacks',
+  'poisoned-attack': 'poisoned-attacks',
+  'regen': 'regeneration',
+  'ward': 'ward-save',
+  'itp': 'immune-to-psychology',
+  'immune-to-psych': 'immune-to-psychology',
+  'flying': 'fly',
+  'flyer': 'fly',
+  'skirmisher': 'skirmishers',
+  'scout': 'scouts',
+  'ambusher': 'ambushers',
+  'vanguards': 'vanguard',
+  'killing-blows': 'killing-blow',
+  'multiple-wound': 'multiple-wounds',
+}
+
+// Trailing parameter without brackets: "Armour Bane 1", "Regeneration 5+", "Impact Hits D3+1"
+const PARAM_TAIL = /\s+(\d+\+|\d+(?:"|″)?|\d*D\d+(?:\+\d+)?|[+-]\d+)$/i
+
+function slugify(name) {
+  return name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')
+}
+
+/**
+ * Split a compound rules string on commas outside brackets:
+ * 'Fly (8"), Swiftstride, Close Order' → ['Fly (8")', 'Swiftstride', 'Close Order'].
+ * Everything after a colon is inline rule text and is never split.
+ */
+export function splitRules(text) {
+  const parts = []
+  let depth = 0
+  let inText = false
+  let current = ''
+  for (const ch of text || '') {
+    if (ch === '(') depth += 1
+    else if (ch === ')') depth = Math.max(0, depth - 1)
+    else if (ch === ':' && depth === 0) inText = true
+    if (ch === ',' && depth === 0 && !inText) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += ch
+    }
+  }
+  parts.push(current)
+  return parts.map((p) => p.trim()).filter(Boolean)
+}
+
+/**
+ * Parse one rule: 'Regeneration (5+)' → { raw, name: 'Regeneration', param: '5+', detail: null, slug: 'regeneration' }.
+ * `detail` is inline text after a colon; `slug` is alias-resolved.
+ */
+export function parseRule(raw) {
+  const text = raw.trim()
+  let name = text
+  let param = null
+  let detail = null
+  const colon = text.indexOf(':')
+  if (colon !== -1) {
+    detail = text.slice(colon + 1).trim() || null
+    name = text.slice(0, colon).trim()
+  }
+  const bracket = name.match(/^(.*?)\s*\((.*)\)\s*$/)
+  if (bracket) {
+    name = bracket[1].trim()
+    param = bracket[2].trim() || null
+  } else {
+    const tail = name.match(PARAM_TAIL)
+    if (tail) {
+      name = name.slice(0, tail.index).trim()
+      param = tail[1]
+    }
+  }
+  const base = slugify(name)
+  return { raw: text, name, param, detail, slug: RULE_ALIASES[base] || base }
+}
+
+/** Parse a rules string or array of strings into one parsed rule per rule. */
+export function parseRuleList(rules) {
+  const list = Array.isArray(rules) ? rules : [rules]
+  return list.flatMap((r) => splitRules(r)).map(parseRule)
+}
+
+/** Slug as used by tow.whfb.app: "Hatred (Warriors of Chaos)" → "hatred", "Armor Bane 2" → "armour-bane". */
+export function toRuleSlug(ruleName) {
+  return parseRule(ruleName).slug
+}
+
+/** Glossary entry for a rule name or parsed rule (by slug, then singular/plural), or null. */
+export function lookupRule(glossary, rule) {
+  if (!glossary || !rule) return null
+  const slug = typeof rule === 'string' ? toRuleSlug(rule) : rule.slug
+  for (const key of [slug, `${slug}s`, slug.replace(/s$/, '')]) {
+    if (glossary[key]) return { slug: key, ...glossary[key] }
+  }
+  return null
+}
+
+/**
+ * All glossary entries plus campaign descriptions the glossary lacks, sorted by name.
+ * Each entry has `source`: 'glossary' or 'campaign'.
+ */
+export function glossaryEntries(glossary, localDesc = {}) {
+  const entries = Object.entries(glossary || {}).map(([slug, e]) => ({ slug, ...e, source: 'glossary' }))
+  const known = new Set(entries.map((e) => e.slug))
+  for (const [name, body] of Object.entries(localDesc)) {
+    const slug = toRuleSlug(name)
+    if (known.has(slug)) continue
+    known.add(slug)
+    entries.push({ slug, name, body, source: 'campaign' })
+  }
+  return entries.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export const RULE_LOOKUP_URL = '/.netlify/functions/rule-lookup'
+const BATCH_SIZE = 100 // the function's per-request limit
+
+/**
+ * Fetch many rules from the rule-lookup function in one call per 100 slugs.
+ * Returns { [slug]: rule | { error, slug, retry? } }; slugs in a failed request are left out.
+ */
+export async function fetchRules(slugs) {
+  const results = {}
+  for (let i = 0; i < slugs.length; i += BATCH_SIZE) {
+    const chunk = slugs.slice(i, i + BATCH_SIZE)
+    try {
+      const res = await fetch(`${RULE_LOOKUP_URL}?rules=${chunk.map(encodeURIComponent).join(',')}`)
+      if (!res.ok) continue
+      Object.assign(results, (await res.json()).rules)
+    } catch (e) {
+      console.warn('Rule batch lookup failed:', e)
+    }
+  }
+  return results
+}
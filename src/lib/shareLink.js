@@ -0,0 +1,93 @@
+/**
+ * Read-only share links: the list plus the custom units, non-shipped units and overrides it needs, deflated
+ * (CompressionStream) and base64url-encoded into the URL hash, so no server is involved.
+ */
+
+const HASH_PREFIX = '#share='
+const SHARE_VERSION = 1
+
+// Fields that only matter to the owner's copy of the list
+const PRIVATE_FIELDS = ['id', 'versions', 'createdAt']
+
+// Unit sources every copy of the app has (units.json / Supabase); units from any other source travel with the link
+const SHIPPED_SOURCES = ['local', 'supabase']
+
+function toBase64Url(bytes) {
+  let bin = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0))
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * What a share link carries: the list without owner-only fields, every custom unit an entry
+ * refers to (by faction), the loaded units it uses that the viewer's copy of the app may not have
+ * (Google Drive, dataset JSON, BSData; by faction, with their `source`) and the overrides for the
+ * units in the list.
+ */
+export function buildSharePayload(list, { customUnitsDB = {}, unitOverrides = {}, loadedUnits = {} } = {}) {
+  const shared = JSON.parse(JSON.stringify(list))
+  for (const field of PRIVATE_FIELDS) delete shared[field]
+  const unitIds = new Set((list.entries || []).map((e) => e.unitId))
+
+  const customUnits = {}
+  for (const [factionKey, units] of Object.entries(customUnitsDB)) {
+    const used = (units || []).filter((u) => unitIds.has(u.id))
+    if (used.length) customUnits[factionKey] = used
+  }
+  for (const [factionKey, units] of Object.entries(loadedUnits)) {
+    const own = customUnits[factionKey] || []
+    const used = (units || []).filter((u) => unitIds.has(u.id) && !SHIPPED_SOURCES.includes(u.source) && !own.some((o) => o.id === u.id))
+    if (used.length) customUnits[factionKey] = [...own, ...used]
+  }
+  const overrides = {}
+  for (const id of unitIds) {
+    if (unitOverrides[id]) overrides[id] = unitOverrides[id]
+  }
+  return { v: SHARE_VERSION, list: shared, customUnits, overrides }
+}
+
+/** The payload as a URL-safe string: "z" + deflated JSON, or "j" + plain JSON where CompressionStream is missing. */
+export async function encodeShare(payload) {
+  const json = new TextEncoder().encode(JSON.stringify(payload))
+  if (typeof CompressionStream === 'undefined') return `j${toBase64Url(json)}`
+  return `z${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`
+}
+
+/** Inverse of encodeShare; throws on anything that isn't a share payload. */
+export async function decodeShare(token) {
+  const mode = token[0]
+  let bytes = fromBase64Url(token.slice(1))
+  if (mode === 'z') bytes = await pipe(bytes, new DecompressionStream('deflate-raw'))
+  else if (mode !== 'j') throw new Error('Unknown share link format')
+  const payload = JSON.parse(new TextDecoder().decode(bytes))
+  if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.list?.entries)) {
+    throw new Error('Not a shared army list')
+  }
+  return { list: payload.list, customUnits: payload.customUnits || {}, overrides: payload.overrides || {} }
+}
+
+/** Full link for a token, on the page the app is served from. */
+export function shareUrl(token) {
+  return `${window.location.origin}${window.location.pathname}${HASH_PREFIX}${token}`
+}
+
+/** The share token in the current URL hash, or null. */
+export function readShareHash() {
+  const { hash } = window.location
+  return hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : null
+}
+
+/** Drop the share hash without adding a history entry. */
+export function clearShareHash() {
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`)
+}
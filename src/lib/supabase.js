@@ -8,3 +8,30 @@ export const supabase = supabaseUrl && supabaseAnonKey
   : null
 
 export const isSupabaseEnabled = () => !!supabase
+
+/** Signed-in Supabase user, or null (also when Supabase isn't configured). */
+export async function getSessionUser() {
+  if (!supabase) return null
+  const { data } = await supabase.auth.getSession()
+  return data.session?.user || null
+}
+
+/** Email a magic sign-in link that returns to this page. */
+export async function signInWithEmail(email) {
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: `${window.location.origin}${window.location.pathname}` },
+  })
+  if (error) throw error
+}
+
+export async function signOut() {
+  if (supabase) await supabase.auth.signOut()
+}
+
+/** Calls back with the user (or null) whenever the session changes; returns an unsubscribe function. */
+export function onAuthChange(callback) {
+  if (!supabase) return () => {}
+  const { data } = supabase.auth.onAuthStateChange((_event, session) => callback(session?.user || null))
+  return () => data.subscription.unsubscribe()
+}
@@ -9,6 +9,8 @@
  * or warhammer-the-old-world style repos when available).
  */
 
+import { loadUnitsFromBsdataForFaction } from './bsdataLoader'
+
 const GITHUB_API = 'https://api.github.com'
 const BSDATA_WHFB = 'BSData/whfb'
 const BSDATA_OLD_WORLD = 'BSData/warhammer-the-old-world'
@@ -123,3 +125,124 @@ export function hasUpdateAvailable() {
 export function clearUpdateFlag() {
   localStorage.removeItem(STORAGE_KEYS.updateAvailable)
 }
+
+// ─── Per-unit verification against the BSData catalogue ────────────────────
+
+/** Same normalisation dataService uses to recognise a unit across sources. */
+function nameKey(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/** Catalogue unit for one of ours: explicit `bsdataId` first, then by name. */
+function findCatalogueUnit(unit, catalogue) {
+  if (unit.bsdataId) {
+    const byId = catalogue.find((c) => c.bsdataId === unit.bsdataId)
+    if (byId) return byId
+  }
+  const key = nameKey(unit.name)
+  return catalogue.find((c) => nameKey(c.name) === key) || null
+}
+
+/**
+ * Diff one unit against its catalogue entry. Each diff carries `fix`, a partial unit override
+ * (see applyOverride in App.jsx) that adopts the upstream value.
+ */
+function diffUnit(unit, upstream) {
+  const diffs = []
+  const ptsField = unit.isCharacter ? 'ptsCost' : 'ptsPerModel'
+  const upstreamPts = upstream.isCharacter ? upstream.ptsCost : upstream.ptsPerModel
+  if (upstreamPts != null && unit[ptsField] !== upstreamPts) {
+    diffs.push({
+      field: 'pts',
+      label: unit.isCharacter ? 'Points' : 'Pts/model',
+      ours: unit[ptsField],
+      upstream: upstreamPts,
+      fix: { ptsOverride: upstreamPts },
+    })
+  }
+  if (!unit.isCharacter && !upstream.isCharacter) {
+    if (upstream.minSize != null && unit.minSize !== upstream.minSize) {
+      diffs.push({ field: 'minSize', label: 'Min size', ours: unit.minSize, upstream: upstream.minSize, fix: { minSizeOverride: upstream.minSize } })
+    }
+    // 99 is the parser's "no max" marker; don't report it against a real campaign cap.
+    if (upstream.maxSize != null && upstream.maxSize !== 99 && unit.maxSize !== upstream.maxSize) {
+      diffs.push({ field: 'maxSize', label: 'Max size', ours: unit.maxSize, upstream: upstream.maxSize, fix: { maxSizeOverride: upstream.maxSize } })
+    }
+  }
+  const ourUpgrades = unit.upgrades || []
+  for (const up of upstream.upgrades || []) {
+    const mine = ourUpgrades.find((u) => nameKey(u.name) === nameKey(up.name))
+    if (!mine) {
+      diffs.push({
+        field: 'upgrade',
+        label: `Missing option: ${up.name}`,
+        ours: null,
+        upstream: up.pts,
+        fix: { addUpgrades: [{ ...up, id: `bsdata_${up.id}` }] },
+      })
+    } else if ((mine.pts ?? 0) !== (up.pts ?? 0)) {
+      diffs.push({
+        field: 'upgrade',
+        label: `${mine.name} cost`,
+        ours: mine.pts ?? 0,
+        upstream: up.pts ?? 0,
+        fix: { removeUpgrades: [mine.id], addUpgrades: [{ ...mine, pts: up.pts ?? 0 }] },
+      })
+    }
+  }
+  return diffs
+}
+
+/**
+ * Compare our units with catalogue units for one faction.
+ *
+ * @returns {{ outdated: Array<{ unit, upstream, diffs }>, upToDate: number, notInCatalogue: Array, missing: Array }}
+ *   `notInCatalogue` are our units with no catalogue match (usually campaign homebrew);
+ *   `missing` are catalogue units we don't have.
+ */
+export function verifyUnits(units, catalogue) {
+  const outdated = []
+  const notInCatalogue = []
+  const matched = new Set()
+  let upToDate = 0
+  for (const unit of units) {
+    const upstream = findCatalogueUnit(unit, catalogue)
+    if (!upstream) {
+      notInCatalogue.push(unit)
+      continue
+    }
+    matched.add(upstream)
+    const diffs = diffUnit(unit, upstream)
+    if (diffs.length) outdated.push({ unit, upstream, diffs })
+    else upToDate += 1
+  }
+  const missing = catalogue.filter((c) => !matched.has(c))
+  return { outdated, upToDate, notInCatalogue, missing }
+}
+
+/**
+ * Merge a diff's fix into an existing unit override. Upgrade lists are unioned, and an
+ * upgrade re-added by an earlier adoption is replaced rather than duplicated.
+ */
+export function mergeOverrideFix(override, fix) {
+  const next = { ...(override || {}), ...fix }
+  if (fix.removeUpgrades) {
+    next.removeUpgrades = [...new Set([...(override?.removeUpgrades || []), ...fix.removeUpgrades])]
+  }
+  if (fix.addUpgrades) {
+    const ids = new Set(fix.addUpgrades.map((u) => u.id))
+    next.addUpgrades = [...(override?.addUpgrades || []).filter((u) => !ids.has(u.id)), ...fix.addUpgrades]
+  }
+  return next
+}
+
+/**
+ * Build the Data Health report for a faction: loads its catalogue (cached 24h) and diffs
+ * our units against it. Only units from units.json / Supabase are checked.
+ */
+export async function buildDataHealthReport(factionKey, units) {
+  const catalogue = await loadUnitsFromBsdataForFaction(factionKey)
+  if (!catalogue) return null
+  const ours = units.filter((u) => u.source === 'local' || u.source === 'supabase')
+  return { factionKey, checkedAt: new Date().toISOString(), ...verifyUnits(ours, catalogue) }
+}
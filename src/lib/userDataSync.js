@@ -0,0 +1,231 @@
+/**
+ * Supabase write-back for what players author: custom units, unit overrides and custom house rules.
+ *
+ * localStorage stays the working copy. Every save is diffed against the previous value and the
+ * changed rows are queued (tow-campaign-sync-queue); the queue is pushed whenever Supabase is
+ * configured, a player is signed in and the browser is online. Rows belong to their author (RLS,
+ * see supabase/migrations); organisers' rows are readable by every player and are returned
+ * separately as the campaign layer.
+ */
+
+import { supabase, isSupabaseEnabled } from './supabase'
+
+const QUEUE_KEY = 'tow-campaign-sync-queue'
+const STATE_KEY = 'tow-campaign-sync-state'
+const CAMPAIGN_KEY = 'tow-campaign-sync-campaign'
+
+// kind → table and the column that identifies a row within one owner's data
+const TABLES = {
+  customUnits: { table: 'custom_units', key: 'id' },
+  overrides: { table: 'unit_overrides', key: 'unit_id' },
+  rules: { table: 'custom_house_rules', key: 'id' },
+}
+
+/** Custom house rules need a stable id to be synced; older rules get one here. */
+export function withRuleIds(rules) {
+  let changed = false
+  const out = (rules || []).map((r, i) => {
+    if (r.id) return r
+    changed = true
+    return { ...r, id: `rule_${Date.now()}_${i}` }
+  })
+  return changed ? out : rules
+}
+
+// Each kind as { key: row fields } so two values can be compared row by row
+const ROWS = {
+  customUnits: (byFaction) => {
+    const rows = {}
+    for (const [factionId, units] of Object.entries(byFaction || {})) {
+      for (const u of units || []) rows[u.id] = { faction_id: factionId, data: u }
+    }
+    return rows
+  },
+  overrides: (overrides) => {
+    const rows = {}
+    for (const [unitId, data] of Object.entries(overrides || {})) rows[unitId] = { data }
+    return rows
+  },
+  rules: (rules) => {
+    const rows = {}
+    for (const r of rules || []) if (r.id) rows[r.id] = { faction: r.faction, rule: r.rule }
+    return rows
+  },
+}
+
+function readQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]')
+  } catch {
+    return []
+  }
+}
+
+function writeQueue(queue) {
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue))
+  } catch (e) {
+    console.warn('Sync queue not saved:', e)
+  }
+}
+
+/** Number of changes waiting to be pushed. */
+export function pendingCount() {
+  return readQueue().length
+}
+
+/**
+ * Queue the rows that differ between two values of one kind ('customUnits' | 'overrides' | 'rules').
+ * A newer change to the same row replaces a queued one. No-op when Supabase isn't configured.
+ */
+export function queueChanges(kind, prev, next) {
+  if (!isSupabaseEnabled()) return
+  const before = ROWS[kind](prev)
+  const after = ROWS[kind](next)
+  const ops = []
+  for (const [key, row] of Object.entries(after)) {
+    if (JSON.stringify(row) !== JSON.stringify(before[key])) ops.push({ kind, key, row })
+  }
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) ops.push({ kind, key, row: null })
+  }
+  if (!ops.length) return
+  const queuedAt = new Date().toISOString()
+  const queue = readQueue().filter((q) => !ops.some((o) => o.kind === q.kind && o.key === q.key))
+  writeQueue([...queue, ...ops.map((o) => ({ ...o, queuedAt }))])
+}
+
+function readState() {
+  try {
+    return JSON.parse(localStorage.getItem(STATE_KEY) || '{}')
+  } catch {
+    return {}
+  }
+}
+
+/** The account the locally stored custom units, overrides and rules belong to (last signed in), or null. */
+export function localDataOwner() {
+  return readState().userId || null
+}
+
+/**
+ * The first time a user signs in on this device, everything already stored locally is queued so
+ * it reaches their account. Data another account left behind is never queued, and that account's
+ * queued changes are dropped: the caller settles the local copy first (localDataOwner, resetUserSync).
+ * Returns true when it queued anything.
+ */
+export function seedQueueForUser(userId, local) {
+  const { userId: owner } = readState()
+  if (owner === userId) return false
+  if (owner) {
+    writeQueue([])
+  } else {
+    queueChanges('customUnits', {}, local.customUnits)
+    queueChanges('overrides', {}, local.overrides)
+    queueChanges('rules', [], local.rules)
+  }
+  try {
+    localStorage.setItem(STATE_KEY, JSON.stringify({ userId, seededAt: new Date().toISOString() }))
+  } catch (e) {
+    console.warn('Sync state not saved:', e)
+  }
+  return pendingCount() > 0
+}
+
+/** Forget which account the local data belongs to and drop its queued changes (sign-out, account switch). */
+export function resetUserSync() {
+  try {
+    localStorage.removeItem(STATE_KEY)
+    localStorage.removeItem(QUEUE_KEY)
+  } catch { /* nothing stored */ }
+}
+
+let flushing = null
+
+/**
+ * Push queued changes in order. Stops at the first failure and keeps the rest for the next try.
+ * @returns {Promise<{ pushed: number, pending: number, error: string | null }>}
+ */
+export function flushQueue(userId) {
+  if (!flushing) {
+    flushing = pushQueue(userId).finally(() => { flushing = null })
+  }
+  return flushing
+}
+
+async function pushQueue(userId) {
+  if (!isSupabaseEnabled() || !userId) return { pushed: 0, pending: pendingCount(), error: null }
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return { pushed: 0, pending: pendingCount(), error: 'offline' }
+  }
+  let pushed = 0
+  for (const op of readQueue()) {
+    const { table, key } = TABLES[op.kind]
+    const { error } = op.row
+      ? await supabase.from(table).upsert({ ...op.row, [key]: op.key, owner: userId, updated_at: op.queuedAt })
+      : await supabase.from(table).delete().eq('owner', userId).eq(key, op.key)
+    if (error) return { pushed, pending: pendingCount(), error: error.message }
+    // Drop just this op; the same row may have been queued again while it was in flight
+    writeQueue(readQueue().filter((q) => !(q.kind === op.kind && q.key === op.key && q.queuedAt === op.queuedAt)))
+    pushed++
+  }
+  return { pushed, pending: pendingCount(), error: null }
+}
+
+const emptyLayer = () => ({ customUnits: {}, overrides: {}, rules: [] })
+
+/** The campaign layer from the last successful pull, for offline starts. */
+export function readCampaignCache() {
+  try {
+    return { ...emptyLayer(), ...JSON.parse(localStorage.getItem(CAMPAIGN_KEY) || '{}') }
+  } catch {
+    return emptyLayer()
+  }
+}
+
+/**
+ * Everything the signed-in player may read, split into their own rows and the campaign layer
+ * (organisers' rows). RLS decides what comes back.
+ * @returns {Promise<{ own, campaign, isOrganiser: boolean }>} layers are { customUnits, overrides, rules }
+ */
+export async function pullUserData(userId) {
+  const [units, overrides, rules, organisers] = await Promise.all([
+    supabase.from('custom_units').select('owner, id, faction_id, data').order('updated_at'),
+    supabase.from('unit_overrides').select('owner, unit_id, data').order('updated_at'),
+    supabase.from('custom_house_rules').select('owner, id, faction, rule').order('updated_at'),
+    supabase.from('campaign_organisers').select('user_id'),
+  ])
+  const failed = [units, overrides, rules, organisers].find((r) => r.error)
+  if (failed) throw new Error(failed.error.message)
+
+  const own = emptyLayer()
+  const campaign = emptyLayer()
+  const layerOf = (row) => (row.owner === userId ? own : campaign)
+  for (const row of units.data) {
+    const layer = layerOf(row).customUnits
+    if (!layer[row.faction_id]) layer[row.faction_id] = []
+    layer[row.faction_id].push({ ...row.data, id: row.id })
+  }
+  // Several organisers can override the same unit; later rows win field by field
+  for (const row of overrides.data) {
+    const layer = layerOf(row).overrides
+    layer[row.unit_id] = { ...(layer[row.unit_id] || {}), ...row.data }
+  }
+  for (const row of rules.data) {
+    layerOf(row).rules.push({ id: row.id, faction: row.faction, rule: row.rule, isCustom: true })
+  }
+  try {
+    localStorage.setItem(CAMPAIGN_KEY, JSON.stringify(campaign))
+  } catch { /* cache only */ }
+  return { own, campaign, isOrganiser: organisers.data.some((o) => o.user_id === userId) }
+}
+
+/**
+ * Overrides as the app applies them: the campaign's, with the player's own on top for any field
+ * they set themselves.
+ */
+export function layerOverrides(campaign, own) {
+  const merged = { ...campaign }
+  for (const [unitId, ov] of Object.entries(own || {})) merged[unitId] = { ...(merged[unitId] || {}), ...ov }
+  return merged
+}
@@ -0,0 +1,47 @@
+/**
+ * Weapon profiles from equipment strings, e.g. "Asrai longbow (30", S3, AP-1, Armour Bane 1)".
+ * Used by the unit detail view and the printable roster.
+ */
+
+/** Parse equipment strings into structured weapon data: { weapons: [{ name, range, strength, ap, specRules }], nonWeapons } */
+export function parseWeapons(equipment) {
+  if (!equipment || equipment.length === 0) return []
+  const weapons = []
+  const nonWeapons = []
+  for (const item of equipment) {
+    // Try to detect weapons by common keywords
+    const isWeapon = /weapon|sword|bow|spear|lance|axe|blade|dagger|javelin|falchion|greatbow|fist|claw|root|shot|crossbow|halberd|mace|flail|whip/i.test(item)
+    // "Armour Bane" is a weapon rule, not armour
+    const isArmour = /armour|armor|shield|ward|save|bark|scales|plate/i.test(item.replace(/armou?r bane/gi, ''))
+    if (isWeapon && !isArmour) {
+      // Parse weapon details from string
+      const rangeMatch = item.match(/[Rr](\d+)["″]|(\d+)["″]/)
+      const range = rangeMatch ? (rangeMatch[1] || rangeMatch[2]) + '"' : 'Combat'
+      const sMatch = item.match(/S[+:]?\s*(\d+|User|[A-Z])/i) || item.match(/\(S(\+?\d+)/)
+      const strength = sMatch ? 'S' + (sMatch[1] || '') : 'S'
+      const apMatch = item.match(/AP[\s-]*(\d+|-)/i)
+      const ap = apMatch ? '-' + apMatch[1].replace('-', '') : '-'
+      // Get special rules (everything in parentheses that isn't S/AP/R)
+      const parenContent = item.match(/\(([^)]+)\)/)
+      let specRules = '-'
+      if (parenContent) {
+        const parts = parenContent[1].split(',').map((s) => s.trim())
+          .filter((s) => !/^[RS]\+?\d|^AP/i.test(s) && !/^\d+["″]/.test(s))
+        if (parts.length > 0) specRules = parts.join(', ')
+      }
+      const name = item.split('(')[0].trim()
+      weapons.push({ name, range, strength, ap, specRules })
+    } else {
+      nonWeapons.push(item)
+    }
+  }
+  // If nothing parsed as a weapon, check for "Hand Weapon" exactly
+  if (weapons.length === 0) {
+    const hwIdx = equipment.findIndex((e) => /^hand weapon$/i.test(e.trim()))
+    if (hwIdx !== -1) {
+      weapons.push({ name: 'Hand Weapon', range: 'Combat', strength: 'S', ap: '-', specRules: '-' })
+      nonWeapons.splice(nonWeapons.indexOf(equipment[hwIdx]), 1)
+    }
+  }
+  return { weapons, nonWeapons }
+}
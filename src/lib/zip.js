@@ -0,0 +1,60 @@
+/**
+ * Minimal zip reader for .rosz rosters: reads the central directory and inflates entries with the
+ * browser's DecompressionStream, so no zip library is needed. Stored and deflated entries only.
+ */
+
+const EOCD_SIG = 0x06054b50
+const CENTRAL_SIG = 0x02014b50
+const LOCAL_SIG = 0x04034b50
+
+/** True when the bytes start like a zip file ("PK\x03\x04"). */
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04
+}
+
+function findEndOfCentralDirectory(view) {
+  // The end record is 22 bytes plus a comment of up to 64 KB
+  for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) return i
+  }
+  throw new Error('Not a zip file (no end of central directory)')
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/** Entries of a zip archive as [{ name, read: () => Promise<Uint8Array> }]. */
+export function listZipEntries(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const eocd = findEndOfCentralDirectory(view)
+  const count = view.getUint16(eocd + 10, true)
+  let p = view.getUint32(eocd + 16, true)
+  const decoder = new TextDecoder()
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== CENTRAL_SIG) throw new Error('Corrupt zip central directory')
+    const method = view.getUint16(p + 10, true)
+    const size = view.getUint32(p + 20, true)
+    const nameLen = view.getUint16(p + 28, true)
+    const extraLen = view.getUint16(p + 30, true)
+    const commentLen = view.getUint16(p + 32, true)
+    const localOffset = view.getUint32(p + 42, true)
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen))
+    entries.push({
+      name,
+      read: async () => {
+        if (view.getUint32(localOffset, true) !== LOCAL_SIG) throw new Error(`Corrupt zip entry ${name}`)
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+        const data = bytes.subarray(start, start + size)
+        if (method === 0) return data
+        if (method === 8) return inflate(data)
+        throw new Error(`Unsupported zip compression (method ${method}) in ${name}`)
+      },
+    })
+    p += 46 + nameLen + extraLen + commentLen
+  }
+  return entries
+}
@@ -0,0 +1,77 @@
+-- Player-authored data written back from the app (src/lib/userDataSync.js):
+-- custom units, unit overrides and custom house rules. Each row belongs to the
+-- signed-in user who wrote it; rows written by a campaign organiser are read by
+-- every player, so the organiser's house rules and overrides apply to everyone.
+
+-- Organisers are added by the project owner (SQL editor / service role):
+--   insert into campaign_organisers (user_id) values ('<auth user uuid>');
+create table if not exists campaign_organisers (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  added_at timestamptz not null default now()
+);
+
+create or replace function is_organiser(uid uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from campaign_organisers where user_id = uid)
+$$;
+
+create table if not exists custom_units (
+  owner uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  id text not null,
+  faction_id text not null,
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (owner, id)
+);
+
+create table if not exists unit_overrides (
+  owner uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  unit_id text not null,
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (owner, unit_id)
+);
+
+create table if not exists custom_house_rules (
+  owner uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  id text not null,
+  faction text not null,
+  rule text not null,
+  updated_at timestamptz not null default now(),
+  primary key (owner, id)
+);
+
+alter table campaign_organisers enable row level security;
+alter table custom_units enable row level security;
+alter table unit_overrides enable row level security;
+alter table custom_house_rules enable row level security;
+
+-- Everyone signed in can see who the organisers are; nobody can change that from the app
+drop policy if exists "organisers are public" on campaign_organisers;
+create policy "organisers are public" on campaign_organisers
+  for select to authenticated using (true);
+
+-- Same policies on each authored table: read your own and the organisers' rows, write only your own
+do $$
+declare t text;
+begin
+  foreach t in array array['custom_units', 'unit_overrides', 'custom_house_rules'] loop
+    execute format('drop policy if exists "read own and organiser rows" on %I', t);
+    execute format('create policy "read own and organiser rows" on %I for select to authenticated
+      using (owner = auth.uid() or is_organiser(owner))', t);
+    execute format('drop policy if exists "insert own rows" on %I', t);
+    execute format('create policy "insert own rows" on %I for insert to authenticated
+      with check (owner = auth.uid())', t);
+    execute format('drop policy if exists "update own rows" on %I', t);
+    execute format('create policy "update own rows" on %I for update to authenticated
+      using (owner = auth.uid()) with check (owner = auth.uid())', t);
+    execute format('drop policy if exists "delete own rows" on %I', t);
+    execute format('create policy "delete own rows" on %I for delete to authenticated
+      using (owner = auth.uid())', t);
+  end loop;
+end $$;
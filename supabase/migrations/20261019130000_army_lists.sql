@@ -0,0 +1,34 @@
+-- Army lists synced across a player's devices (src/lib/listSync.js). One row per
+-- list; `version` goes up by one on every write and clients only update the
+-- version they last saw, so concurrent edits are merged instead of overwritten.
+-- Deleted lists stay as tombstones (deleted = true) so offline devices learn of it.
+
+create table if not exists army_lists (
+  owner uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  id text not null,
+  data jsonb not null,
+  version integer not null default 1,
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now(),
+  primary key (owner, id)
+);
+
+alter table army_lists enable row level security;
+
+-- Lists are private to their owner
+drop policy if exists "own lists" on army_lists;
+create policy "own lists" on army_lists
+  for all to authenticated
+  using (owner = auth.uid())
+  with check (owner = auth.uid());
+
+-- Realtime change events for the app's subscription
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'army_lists'
+  ) then
+    alter publication supabase_realtime add table army_lists;
+  end if;
+end $$;
@@ -0,0 +1,52 @@
+-- Reference data read by src/lib/dataService.js and loaded from public/data by
+-- scripts/seed-supabase.js. Written with "if not exists" throughout so it also
+-- applies cleanly to a project whose tables were created by hand.
+
+create table if not exists factions (
+  id text primary key,
+  config jsonb not null
+);
+
+create table if not exists units (
+  faction_id text not null references factions (id) on delete cascade,
+  category text not null,
+  name text not null,
+  data jsonb not null
+);
+-- The unit's own id (data.id), so a seed can update a unit in place
+alter table units add column if not exists unit_id text;
+update units set unit_id = data->>'id' where unit_id is null;
+alter table units alter column unit_id set not null;
+create unique index if not exists units_faction_unit_key on units (faction_id, unit_id);
+
+create table if not exists magic_items (
+  slot text not null,
+  name text not null,
+  pts integer not null default 0
+);
+-- '' for the common items (items.json), otherwise the armyItems.json army key
+alter table magic_items add column if not exists army text not null default '';
+-- Anything else an item carries (type, description)
+alter table magic_items add column if not exists details jsonb;
+create unique index if not exists magic_items_army_slot_name_key on magic_items (army, slot, name);
+
+create table if not exists house_rules (
+  faction text not null,
+  rule text not null
+);
+create unique index if not exists house_rules_faction_rule_key on house_rules (faction, rule);
+
+-- Anyone may read (the app loads these before sign-in); only organisers may change them from
+-- the app. The seed script uses the service role key, which bypasses RLS.
+do $$
+declare t text;
+begin
+  foreach t in array array['factions', 'units', 'magic_items', 'house_rules'] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('drop policy if exists "public read" on %I', t);
+    execute format('create policy "public read" on %I for select to anon, authenticated using (true)', t);
+    execute format('drop policy if exists "organisers write" on %I', t);
+    execute format('create policy "organisers write" on %I for all to authenticated
+      using (is_organiser(auth.uid())) with check (is_organiser(auth.uid()))', t);
+  end loop;
+end $$;
@@ -1,10 +1,29 @@
+import { readFileSync } from 'fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import netlifyFunctions from './vite/netlify-functions.js'
+
+// The offline glossary is generated (scripts/build-rules-glossary.js); say so when a build would ship it empty
+function rulesGlossaryCheck() {
+  return {
+    name: 'rules-glossary-check',
+    apply: 'build',
+    buildStart() {
+      const { rules } = JSON.parse(readFileSync('public/data/special-rules.json', 'utf8'))
+      if (!Object.keys(rules || {}).length) {
+        this.warn('public/data/special-rules.json has no rules: run node scripts/build-rules-glossary.js --crawl (or --from <dir>) and commit it')
+      }
+    },
+  }
+}
 
 export default defineConfig({
   plugins: [
     react(),
+    rulesGlossaryCheck(),
+    // Serves netlify/functions at /.netlify/functions during `npm run dev`
+    netlifyFunctions({ fixtures: process.env.FUNCTIONS_FIXTURES }),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.ico', 'apple-touch-icon.png'],
@@ -32,7 +51,9 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        // The rules glossary and spell lists are precached so RuleTag, the Rules Glossary and the
+        // GameView magic section work offline
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}', 'data/special-rules.json', 'data/spells.json'],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/.*\.supabase\.co\/rest\/v1\/.*/i,
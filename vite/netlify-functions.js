@@ -0,0 +1,112 @@
+/**
+ * Dev-server stand-in for Netlify Functions: every handler in netlify/functions/ is served at
+ * /.netlify/functions/<name>, so `npm run dev` works without netlify-cli.
+ *
+ * Fixture mode (FUNCTIONS_FIXTURES=<dir>): outgoing fetches from handlers are answered from
+ * saved pages instead of the network. https://host/any/path/<slug> → <dir>/<slug>.html, the same
+ * naming scripts/build-rules-glossary.js --from reads. Unknown pages get a 404.
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs'
+import { join, resolve, dirname, basename, extname } from 'path'
+import Module from 'module'
+
+const FUNCTIONS_DIR = resolve('netlify/functions')
+const LIB_DIR = resolve('netlify')
+
+/**
+ * Load a function file as CommonJS. The repo is "type": "module", so require() would treat
+ * netlify/functions/*.js as ESM; compiling it ourselves keeps the Netlify (CJS) semantics.
+ * Reloaded on every request so edits apply without restarting Vite.
+ */
+function loadHandler(file) {
+  for (const key of Object.keys(Module._cache)) {
+    if (key.startsWith(LIB_DIR)) delete Module._cache[key]
+  }
+  const mod = new Module(file)
+  mod.filename = file
+  mod.paths = Module._nodeModulePaths(dirname(file))
+  mod._compile(readFileSync(file, 'utf8'), file)
+  return mod.exports.handler
+}
+
+function findFunction(name) {
+  for (const ext of ['.js', '.cjs']) {
+    const file = join(FUNCTIONS_DIR, name + ext)
+    if (existsSync(file)) return file
+  }
+  return null
+}
+
+function fixtureFetch(dir, realFetch) {
+  return async (input, init) => {
+    const url = new URL(typeof input === 'string' ? input : input.url)
+    if (url.hostname === 'localhost' || url.hostname === '127.0.0.1') return realFetch(input, init)
+    const slug = url.pathname.split('/').filter(Boolean).pop() || 'index'
+    const file = join(dir, `${slug}.html`)
+    if (!existsSync(file)) return new Response('Not found (no fixture)', { status: 404 })
+    return new Response(readFileSync(file, 'utf8'), { status: 200, headers: { 'Content-Type': 'text/html' } })
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = []
+    req.on('data', (c) => chunks.push(c))
+    req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
+
+export default function netlifyFunctions({ fixtures } = {}) {
+  return {
+    name: 'netlify-functions-dev',
+    apply: 'serve',
+    configureServer(server) {
+      const log = server.config.logger
+      if (fixtures) {
+        const dir = resolve(fixtures)
+        globalThis.fetch = fixtureFetch(dir, globalThis.fetch)
+        // Keep fixture responses out of the rule-lookup file cache shared with live runs.
+        process.env.RULE_CACHE = process.env.RULE_CACHE || 'memory'
+        log.info(`  netlify functions: fixture mode, serving pages from ${dir}`)
+      }
+      if (existsSync(FUNCTIONS_DIR)) {
+        const names = readdirSync(FUNCTIONS_DIR).filter((f) => ['.js', '.cjs'].includes(extname(f)))
+        log.info(`  netlify functions: ${names.map((f) => basename(f, extname(f))).join(', ')}`)
+      }
+
+      server.middlewares.use('/.netlify/functions', async (req, res) => {
+        const url = new URL(req.url, 'http://localhost')
+        const name = url.pathname.split('/').filter(Boolean)[0]
+        const file = name && findFunction(name)
+        if (!file) {
+          res.statusCode = 404
+          res.end(`No function "${name}" in netlify/functions`)
+          return
+        }
+        try {
+          const handler = loadHandler(file)
+          const body = ['GET', 'HEAD'].includes(req.method) ? null : await readBody(req)
+          const result = await handler({
+            httpMethod: req.method,
+            path: `/.netlify/functions${url.pathname}`,
+            rawUrl: `http://${req.headers.host}/.netlify/functions${req.url}`,
+            headers: req.headers,
+            queryStringParameters: Object.fromEntries(url.searchParams),
+            body,
+            isBase64Encoded: false,
+          }, {})
+          res.statusCode = result?.statusCode || 200
+          for (const [k, v] of Object.entries(result?.headers || {})) res.setHeader(k, v)
+          const out = result?.body ?? ''
+          res.end(result?.isBase64Encoded ? Buffer.from(out, 'base64') : out)
+        } catch (e) {
+          log.error(`netlify function ${name} failed: ${e.stack || e}`)
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: e.message }))
+        }
+      })
+    },
+  }
+}